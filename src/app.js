@@ -19,10 +19,20 @@ const healthRoutes = require('./routes/health');
 const setupRoutes = require('./routes/setup');
 const klaviyoRoutes = require('./routes/klaviyo');
 const klaviyoWebhookRoutes = require('./routes/klaviyo-webhook');
+const ingestRoutes = require('./routes/ingest');
+const mailchimpWebhookRoutes = require('./routes/mailchimp-webhook');
 
 // Database
 const db = require('./db');
 
+// Webhook signatures
+const { captureRawBody } = require('./lib/webhookSignature');
+
+// Background workers
+const syncQueue = require('./services/syncQueue');
+const healthMonitor = require('./services/healthMonitor');
+const klaviyoTokenRefresher = require('./services/klaviyoTokenRefresher');
+
 const app = express();
 const PORT = process.env.PORT || 3000;
 
@@ -42,17 +52,21 @@ app.use(cors({
 }));
 
 // Rate limiting — exclude /oauth/* so corporate NAT'd IPs and link scanners
-// can't lock a customer out of completing their OAuth flow.
+// can't lock a customer out of completing their OAuth flow, and Mailchimp's
+// list webhooks, which arrive in bursts from a few Mailchimp IPs.
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
   message: { error: 'Too many requests, please try again later.' },
-  skip: (req) => req.path.startsWith('/oauth') || req.path.startsWith('/klaviyo/oauth'),
+  skip: (req) => req.path.startsWith('/oauth') || req.path.startsWith('/klaviyo/oauth') ||
+    req.path.startsWith('/mailchimp/webhook'),
 });
 app.use(limiter);
 
-// Body parsing
-app.use(express.json());
+// Body parsing (1mb leaves room for full /webhook/contacts/batch payloads).
+// Signed webhook routes keep the exact bytes received: the HMAC is verified
+// against them, not a re-serialization of req.body.
+app.use(express.json({ limit: '1mb', verify: captureRawBody }));
 app.use(express.urlencoded({ extended: true }));
 
 // Request logging in development
@@ -80,6 +94,12 @@ app.use('/klaviyo', klaviyoRoutes);
 // Webhook endpoint for receiving contacts from n8n CRM Router
 app.use('/webhook', webhookRoutes);
 
+// Mailchimp list webhook events (unsubscribes, cleaned, profile/email changes)
+app.use('/mailchimp/webhook', mailchimpWebhookRoutes);
+
+// Provider-agnostic fan-out: one call delivers to every connected integration
+app.use('/ingest', ingestRoutes);
+
 // Connection management (for admin/debugging)
 app.use('/connections', connectionRoutes);
 
@@ -129,6 +149,24 @@ async function startServer() {
       console.log(`  Environment: ${process.env.NODE_ENV || 'development'}`);
       console.log(`  OAuth Redirect: ${process.env.OAUTH_REDIRECT_URI}`);
     });
+
+    // Retry worker for queued contact syncs (disable on extra web instances
+    // with SYNC_WORKER_ENABLED=false if a dedicated worker is running)
+    if (process.env.SYNC_WORKER_ENABLED !== 'false') {
+      syncQueue.start();
+    }
+
+    // Scheduled account / audience checks (HEALTH_MONITOR_ENABLED=false to
+    // run them elsewhere)
+    if (process.env.HEALTH_MONITOR_ENABLED !== 'false') {
+      healthMonitor.start();
+    }
+
+    // Renew Klaviyo tokens ahead of expiry (safe on every instance: refreshes
+    // are serialized per account with an advisory lock)
+    if (process.env.KLAVIYO_TOKEN_REFRESHER_ENABLED !== 'false') {
+      klaviyoTokenRefresher.start();
+    }
   } catch (error) {
     console.error('Failed to start server:', error);
     process.exit(1);
@@ -91,12 +91,51 @@ async function getClient() {
   return await pool.connect();
 }
 
+// How long withAdvisoryLock waits for a lock held elsewhere
+const ADVISORY_LOCK_TIMEOUT_MS = 10000;
+
+/**
+ * Run `fn(client)` while holding a Postgres advisory lock on `key` (any
+ * string), so only one process at a time runs it for that key. `client` is
+ * the connection holding the lock; run fn's queries on it, so waiting
+ * callers don't each need a second pool connection. Waits up to
+ * `timeoutMs` for the lock, then throws an error with code LOCK_TIMEOUT.
+ * The lock is released when `fn` settles, or by Postgres if the process dies.
+ */
+async function withAdvisoryLock(key, fn, { timeoutMs = ADVISORY_LOCK_TIMEOUT_MS } = {}) {
+  const client = await pool.connect();
+  try {
+    await client.query("SELECT set_config('lock_timeout', $1, false)", [`${timeoutMs}ms`]);
+    try {
+      await client.query('SELECT pg_advisory_lock(hashtext($1))', [key]);
+    } catch (error) {
+      if (error.code !== '55P03') throw error;
+      const err = new Error(`Timed out waiting for lock ${key}`);
+      err.code = 'LOCK_TIMEOUT';
+      throw err;
+    } finally {
+      await client.query('RESET lock_timeout');
+    }
+
+    try {
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock(hashtext($1))', [key]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
 // =============================================================================
 // Connection CRUD Operations
 // =============================================================================
 
 /**
- * Create or update a Mailchimp connection
+ * Create or update a Mailchimp connection.
+ * consentMode is only written when given; otherwise new rows get
+ * 'single_opt_in' and existing rows keep theirs. Changing the audience
+ * clears the cached marketing permissions.
  */
 async function upsertConnection({
   macAddress,
@@ -106,13 +145,14 @@ async function upsertConnection({
   accountName,
   audienceId,
   audienceName,
-  sourceTag
+  sourceTag,
+  consentMode = null
 }) {
   const result = await query(`
     INSERT INTO mailchimp_connections (
       mac_address, access_token, data_center, account_id, 
-      account_name, audience_id, audience_name, source_tag, updated_at
-    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW())
+      account_name, audience_id, audience_name, source_tag, consent_mode, updated_at
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, COALESCE($9, 'single_opt_in'), NOW())
     ON CONFLICT (mac_address) 
     DO UPDATE SET
       access_token = EXCLUDED.access_token,
@@ -122,9 +162,15 @@ async function upsertConnection({
       audience_id = EXCLUDED.audience_id,
       audience_name = EXCLUDED.audience_name,
       source_tag = EXCLUDED.source_tag,
+      consent_mode = COALESCE($9, mailchimp_connections.consent_mode),
+      marketing_permissions = CASE
+        WHEN mailchimp_connections.audience_id IS DISTINCT FROM EXCLUDED.audience_id THEN NULL
+        ELSE mailchimp_connections.marketing_permissions
+      END,
+      ${statusResetOnReconnect('mailchimp_connections', 'audience_id')},
       updated_at = NOW()
     RETURNING *
-  `, [macAddress, accessToken, dataCenter, accountId, accountName, audienceId, audienceName, sourceTag]);
+  `, [macAddress, accessToken, dataCenter, accountId, accountName, audienceId, audienceName, sourceTag, consentMode]);
   
   return result.rows[0];
 }
@@ -153,6 +199,11 @@ async function bulkUpsertConnections(connections) {
           audience_id = EXCLUDED.audience_id,
           audience_name = EXCLUDED.audience_name,
           source_tag = EXCLUDED.source_tag,
+          marketing_permissions = CASE
+            WHEN mailchimp_connections.audience_id IS DISTINCT FROM EXCLUDED.audience_id THEN NULL
+            ELSE mailchimp_connections.marketing_permissions
+          END,
+          ${statusResetOnReconnect('mailchimp_connections', 'audience_id')},
           updated_at = NOW()
         RETURNING *
       `, [
@@ -199,11 +250,66 @@ async function getConnectionByAccountId(accountId) {
  */
 async function getAllConnections() {
   const result = await query(
-    'SELECT id, mac_address, account_name, audience_name, source_tag, created_at, updated_at FROM mailchimp_connections ORDER BY updated_at DESC'
+    `SELECT id, mac_address, account_name, audience_name, source_tag, consent_mode, status, status_reason, status_changed_at,
+            last_checked_at, last_status, last_check_error, created_at, updated_at
+     FROM mailchimp_connections ORDER BY updated_at DESC`
   );
   return result.rows;
 }
 
+/**
+ * Cache an audience's marketing permissions ([{ id, text }]) on every
+ * connection that syncs to it.
+ */
+async function setAudienceMarketingPermissions(accountId, audienceId, permissions) {
+  await query(`
+    UPDATE mailchimp_connections
+    SET marketing_permissions = $3::jsonb
+    WHERE account_id = $1 AND audience_id = $2
+  `, [accountId, audienceId, JSON.stringify(permissions)]);
+}
+
+/**
+ * Cached merge field schema ([{ tag, name, type }]) for an audience, or null.
+ */
+async function getAudienceSchema(accountId, audienceId) {
+  const result = await query(
+    'SELECT merge_fields, fetched_at FROM mailchimp_audience_schemas WHERE account_id = $1 AND audience_id = $2',
+    [accountId, audienceId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Store an audience's merge field schema.
+ */
+async function saveAudienceSchema(accountId, audienceId, mergeFields) {
+  await query(`
+    INSERT INTO mailchimp_audience_schemas (account_id, audience_id, merge_fields, fetched_at)
+    VALUES ($1, $2, $3::jsonb, NOW())
+    ON CONFLICT (account_id, audience_id)
+    DO UPDATE SET
+      merge_fields = EXCLUDED.merge_fields,
+      fetched_at = NOW()
+  `, [accountId, audienceId, JSON.stringify(mergeFields)]);
+}
+
+/**
+ * Names of the given accounts of a provider: a Map of account_id ->
+ * account_name. Used to label limiter stats.
+ */
+async function getAccountNames(provider, accountIds) {
+  if (accountIds.length === 0) return new Map();
+  const table = provider === 'klaviyo' ? 'klaviyo_connections' : 'mailchimp_connections';
+  const result = await query(`
+    SELECT DISTINCT ON (account_id) account_id, account_name
+    FROM ${table}
+    WHERE account_id = ANY($1::varchar[])
+    ORDER BY account_id, updated_at DESC
+  `, [accountIds]);
+  return new Map(result.rows.map(row => [row.account_id, row.account_name]));
+}
+
 /**
  * Delete connection by MAC address
  */
@@ -566,12 +672,97 @@ async function cleanupExpiredOAuth() {
 
 /**
  * Log a contact sync operation
+ * Failures should pass `provider` and the normalized job `payload` so they
+ * can be replayed later; the payload is only stored for failures.
+ * `outcome` defaults from `success` ('synced' / 'failed'); suppressed
+ * contacts pass 'suppressed'.
+ */
+async function logSync({ macAddress, email, success, outcome = null, errorMessage = null, provider = null, payload = null }) {
+  const finalOutcome = outcome || (success ? 'synced' : 'failed');
+  await query(`
+    INSERT INTO sync_log (mac_address, email, success, outcome, error_message, provider, payload)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+  `, [
+    macAddress, email, success, finalOutcome, errorMessage, provider,
+    finalOutcome === 'failed' && payload ? JSON.stringify(payload) : null
+  ]);
+}
+
+/**
+ * Log many contact sync outcomes in one insert
+ * Each entry: { macAddress, email, success, outcome, errorMessage, provider, payload }
+ */
+async function logSyncMany(entries) {
+  if (entries.length === 0) return;
+  
+  const outcomes = entries.map(e => e.outcome || (e.success ? 'synced' : 'failed'));
+  
+  await query(`
+    INSERT INTO sync_log (mac_address, email, success, outcome, error_message, provider, payload)
+    SELECT * FROM UNNEST(
+      $1::varchar[], $2::varchar[], $3::boolean[], $4::varchar[], $5::text[], $6::varchar[], $7::jsonb[]
+    )
+  `, [
+    entries.map(e => e.macAddress),
+    entries.map(e => e.email),
+    entries.map(e => e.success),
+    outcomes,
+    entries.map(e => e.errorMessage || null),
+    entries.map(e => e.provider || null),
+    entries.map((e, i) => (outcomes[i] === 'failed' && e.payload ? JSON.stringify(e.payload) : null))
+  ]);
+}
+
+/**
+ * Get a single sync log entry
+ */
+async function getSyncLog(id) {
+  const result = await query('SELECT * FROM sync_log WHERE id = $1', [id]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Find failed syncs that can be replayed, oldest first.
+ * Filters are optional and combined with AND; `accountId` matches MACs
+ * connected to that Mailchimp or Klaviyo account.
+ */
+async function findReplayableSyncLogs({
+  macAddress = null,
+  accountId = null,
+  from = null,
+  to = null,
+  includeReplayed = false,
+  limit = 100
+}) {
+  const result = await query(`
+    SELECT * FROM sync_log l
+    WHERE l.success = false
+      AND l.payload IS NOT NULL
+      AND ($1::text IS NULL OR LOWER(l.mac_address) = LOWER($1))
+      AND ($2::text IS NULL OR LOWER(l.mac_address) IN (
+            SELECT LOWER(mac_address) FROM mailchimp_connections WHERE account_id = $2
+            UNION
+            SELECT LOWER(mac_address) FROM klaviyo_connections WHERE account_id = $2
+          ))
+      AND ($3::timestamptz IS NULL OR l.created_at >= $3)
+      AND ($4::timestamptz IS NULL OR l.created_at < $4)
+      AND ($5::boolean OR l.replayed_at IS NULL)
+    ORDER BY l.created_at ASC
+    LIMIT $6
+  `, [macAddress, accountId, from, to, includeReplayed, limit]);
+  
+  return result.rows;
+}
+
+/**
+ * Mark a failed sync as replayed (with the job the replay created, if any)
  */
-async function logSync({ macAddress, email, success, errorMessage = null }) {
+async function markSyncLogReplayed(id, jobId = null) {
   await query(`
-    INSERT INTO sync_log (mac_address, email, success, error_message)
-    VALUES ($1, $2, $3, $4)
-  `, [macAddress, email, success, errorMessage]);
+    UPDATE sync_log
+    SET replayed_at = NOW(), replay_job_id = $2
+    WHERE id = $1
+  `, [id, jobId]);
 }
 
 /**
@@ -609,6 +800,289 @@ async function appendSiteMerchantEmail(siteId, email) {
   return result.rowCount > 0;
 }
 
+// =============================================================================
+// Sync Job Queue
+// =============================================================================
+
+/**
+ * Persist a sync job. With `claim` the job is created already locked by the
+ * caller (status 'processing', first attempt counted) so it can be delivered
+ * inline without the worker picking it up at the same time.
+ */
+async function createSyncJob({ provider, macAddress, email, payload, maxAttempts, claim = false }) {
+  const result = await query(`
+    INSERT INTO sync_jobs (
+      provider, mac_address, email, payload, max_attempts,
+      status, attempts, locked_at
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    RETURNING *
+  `, [
+    provider, macAddress, email, JSON.stringify(payload), maxAttempts,
+    claim ? 'processing' : 'pending',
+    claim ? 1 : 0,
+    claim ? new Date() : null,
+  ]);
+
+  return result.rows[0];
+}
+
+/**
+ * Claim up to `limit` due jobs for the worker. Also reclaims jobs stuck in
+ * 'processing' longer than `lockTimeoutSeconds` (process died mid-delivery).
+ * SKIP LOCKED keeps multiple instances from claiming the same row.
+ */
+async function claimSyncJobs(limit, lockTimeoutSeconds) {
+  const result = await query(`
+    UPDATE sync_jobs
+    SET status = 'processing',
+        locked_at = NOW(),
+        attempts = attempts + 1,
+        updated_at = NOW()
+    WHERE id IN (
+      SELECT id FROM sync_jobs
+      WHERE (status = 'pending' AND next_attempt_at <= NOW())
+         OR (status = 'processing' AND locked_at < NOW() - make_interval(secs => $2))
+      ORDER BY next_attempt_at
+      LIMIT $1
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *
+  `, [limit, lockTimeoutSeconds]);
+
+  return result.rows;
+}
+
+/**
+ * Mark a job delivered and keep the provider result for inspection.
+ */
+async function completeSyncJob(id, resultData) {
+  await query(`
+    UPDATE sync_jobs
+    SET status = 'succeeded',
+        result = $2,
+        last_error = NULL,
+        locked_at = NULL,
+        completed_at = NOW(),
+        updated_at = NOW()
+    WHERE id = $1
+  `, [id, JSON.stringify(resultData || null)]);
+}
+
+/**
+ * Release a failed job back to 'pending' with its next attempt time.
+ */
+async function rescheduleSyncJob(id, errorMessage, nextAttemptAt) {
+  await query(`
+    UPDATE sync_jobs
+    SET status = 'pending',
+        last_error = $2,
+        next_attempt_at = $3,
+        locked_at = NULL,
+        updated_at = NOW()
+    WHERE id = $1
+  `, [id, errorMessage, nextAttemptAt]);
+}
+
+/**
+ * Move a job to the dead-letter state. It is never retried automatically.
+ */
+async function deadLetterSyncJob(id, errorMessage) {
+  await query(`
+    UPDATE sync_jobs
+    SET status = 'dead',
+        last_error = $2,
+        locked_at = NULL,
+        completed_at = NOW(),
+        updated_at = NOW()
+    WHERE id = $1
+  `, [id, errorMessage]);
+}
+
+/**
+ * Job counts grouped by provider and status (admin / health).
+ */
+async function getSyncJobStats() {
+  const result = await query(`
+    SELECT provider, status, COUNT(*)::int AS count,
+           MIN(next_attempt_at) FILTER (WHERE status = 'pending') AS oldest_due_at
+    FROM sync_jobs
+    GROUP BY provider, status
+    ORDER BY provider, status
+  `);
+  return result.rows;
+}
+
+/**
+ * Recent jobs in a given status, newest first.
+ */
+async function getSyncJobsByStatus(status, limit = 100) {
+  const result = await query(`
+    SELECT * FROM sync_jobs
+    WHERE status = $1
+    ORDER BY updated_at DESC
+    LIMIT $2
+  `, [status, limit]);
+  return result.rows;
+}
+
+/**
+ * Delete succeeded jobs older than `days`. Dead jobs are kept for inspection.
+ */
+async function purgeCompletedSyncJobs(days) {
+  const result = await query(`
+    DELETE FROM sync_jobs
+    WHERE status = 'succeeded'
+      AND completed_at < NOW() - make_interval(days => $1)
+  `, [days]);
+  return result.rowCount;
+}
+
+// =============================================================================
+// Mailchimp Batch Operations
+// =============================================================================
+
+/**
+ * Record a submitted Mailchimp batch
+ */
+async function createMailchimpBatch({
+  batchId,
+  accountId,
+  accountName,
+  audienceId,
+  dataCenter,
+  contacts,
+  status,
+  totalOperations
+}) {
+  const result = await query(`
+    INSERT INTO mailchimp_batches (
+      batch_id, account_id, account_name, audience_id, data_center,
+      contacts, status, total_operations
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    RETURNING *
+  `, [
+    batchId, accountId, accountName, audienceId, dataCenter,
+    JSON.stringify(contacts), status, totalOperations
+  ]);
+  
+  return result.rows[0];
+}
+
+/**
+ * Get a Mailchimp batch by its Mailchimp batch id
+ */
+async function getMailchimpBatch(batchId) {
+  const result = await query(
+    'SELECT * FROM mailchimp_batches WHERE batch_id = $1',
+    [batchId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Update progress counters from GET /batches/{id}
+ */
+async function updateMailchimpBatchStatus(batchId, { status, totalOperations, finishedOperations, erroredOperations }) {
+  const result = await query(`
+    UPDATE mailchimp_batches
+    SET status = $2,
+        total_operations = $3,
+        finished_operations = $4,
+        errored_operations = $5,
+        updated_at = NOW()
+    WHERE batch_id = $1
+    RETURNING *
+  `, [batchId, status, totalOperations, finishedOperations, erroredOperations]);
+  
+  return result.rows[0] || null;
+}
+
+/**
+ * Store the per-contact summary of a finished batch. Only the first caller
+ * wins, so concurrent status polls can't write sync_log rows twice; returns
+ * null if the results were already recorded.
+ */
+async function completeMailchimpBatch(batchId, summary) {
+  const result = await query(`
+    UPDATE mailchimp_batches
+    SET summary = $2,
+        results_logged_at = NOW(),
+        updated_at = NOW()
+    WHERE batch_id = $1 AND results_logged_at IS NULL
+    RETURNING *
+  `, [batchId, JSON.stringify(summary)]);
+  
+  return result.rows[0] || null;
+}
+
+// =============================================================================
+// Idempotency Keys
+// =============================================================================
+
+/**
+ * Try to take ownership of an idempotency key for a new request.
+ *
+ * Succeeds when the key is unused, expired, or stuck in flight for longer
+ * than `staleAfterSeconds` (the original request died). Returns
+ * { claimed: true } or { claimed: false, row } with the existing record.
+ */
+async function claimIdempotencyKey({ scope, key, requestHash, ttlSeconds, staleAfterSeconds }) {
+  const claim = await query(`
+    INSERT INTO idempotency_keys (scope, idempotency_key, request_hash, expires_at)
+    VALUES ($1, $2, $3, NOW() + make_interval(secs => $4))
+    ON CONFLICT (scope, idempotency_key)
+    DO UPDATE SET
+      request_hash = EXCLUDED.request_hash,
+      response_status = NULL,
+      response_body = NULL,
+      created_at = NOW(),
+      expires_at = EXCLUDED.expires_at
+    WHERE idempotency_keys.expires_at < NOW()
+       OR (idempotency_keys.response_status IS NULL
+           AND idempotency_keys.created_at < NOW() - make_interval(secs => $5))
+    RETURNING *
+  `, [scope, key, requestHash, ttlSeconds, staleAfterSeconds]);
+
+  if (claim.rows[0]) {
+    return { claimed: true };
+  }
+
+  const existing = await query(
+    'SELECT * FROM idempotency_keys WHERE scope = $1 AND idempotency_key = $2',
+    [scope, key]
+  );
+  return { claimed: false, row: existing.rows[0] || null };
+}
+
+/**
+ * Store the response for a claimed key so duplicates can be answered with it.
+ */
+async function saveIdempotentResponse(scope, key, status, body) {
+  await query(`
+    UPDATE idempotency_keys
+    SET response_status = $3, response_body = $4
+    WHERE scope = $1 AND idempotency_key = $2
+  `, [scope, key, status, JSON.stringify(body)]);
+}
+
+/**
+ * Drop an in-flight key (the request failed and should be retryable).
+ */
+async function releaseIdempotencyKey(scope, key) {
+  await query(`
+    DELETE FROM idempotency_keys
+    WHERE scope = $1 AND idempotency_key = $2 AND response_status IS NULL
+  `, [scope, key]);
+}
+
+/**
+ * Delete keys past their retention window.
+ */
+async function purgeExpiredIdempotencyKeys() {
+  const result = await query('DELETE FROM idempotency_keys WHERE expires_at < NOW()');
+  return result.rowCount;
+}
+
 // =============================================================================
 // Klaviyo Connection Operations
 // =============================================================================
@@ -629,7 +1103,8 @@ async function createPendingKlaviyoOAuth(state, macAddress, redirectUrl, codeVer
 }
 
 /**
- * Create or update a Klaviyo connection for a MAC address.
+ * Create or update a Klaviyo connection for a MAC address. Like
+ * upsertConnection, consentMode is only written when given.
  */
 async function upsertKlaviyoConnection({
   macAddress,
@@ -642,12 +1117,13 @@ async function upsertKlaviyoConnection({
   listId,
   listName,
   sourceTag,
+  consentMode = null,
 }) {
   const result = await query(`
     INSERT INTO klaviyo_connections (
       mac_address, access_token, refresh_token, token_expires_at,
-      account_id, account_name, login_email, list_id, list_name, source_tag, updated_at
-    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW())
+      account_id, account_name, login_email, list_id, list_name, source_tag, consent_mode, updated_at
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, COALESCE($11, 'single_opt_in'), NOW())
     ON CONFLICT (mac_address)
     DO UPDATE SET
       access_token = EXCLUDED.access_token,
@@ -659,11 +1135,13 @@ async function upsertKlaviyoConnection({
       list_id = EXCLUDED.list_id,
       list_name = EXCLUDED.list_name,
       source_tag = EXCLUDED.source_tag,
+      consent_mode = COALESCE($11, klaviyo_connections.consent_mode),
+      ${statusResetOnReconnect('klaviyo_connections', 'list_id')},
       updated_at = NOW()
     RETURNING *
   `, [
     macAddress, accessToken, refreshToken, tokenExpiresAt,
-    accountId, accountName, loginEmail, listId, listName, sourceTag,
+    accountId, accountName, loginEmail, listId, listName, sourceTag, consentMode,
   ]);
 
   return result.rows[0];
@@ -695,6 +1173,7 @@ async function bulkUpsertKlaviyoConnections(connections) {
           list_id = EXCLUDED.list_id,
           list_name = EXCLUDED.list_name,
           source_tag = EXCLUDED.source_tag,
+          ${statusResetOnReconnect('klaviyo_connections', 'list_id')},
           updated_at = NOW()
         RETURNING *
       `, [
@@ -728,9 +1207,10 @@ async function getKlaviyoConnectionByMac(macAddress) {
 /**
  * Update stored tokens after a refresh. Updates every MAC row that shares the
  * same Klaviyo account (one OAuth install can map to many devices).
+ * `client` runs it on a given connection, such as a lock holder's.
  */
-async function updateKlaviyoTokens(accountId, { accessToken, refreshToken, tokenExpiresAt }) {
-  const result = await query(`
+async function updateKlaviyoTokens(accountId, { accessToken, refreshToken, tokenExpiresAt }, client = pool) {
+  const result = await client.query(`
     UPDATE klaviyo_connections
     SET access_token = $1,
         refresh_token = $2,
@@ -743,12 +1223,63 @@ async function updateKlaviyoTokens(accountId, { accessToken, refreshToken, token
   return result.rows;
 }
 
+/**
+ * Current tokens of a Klaviyo account (from its most recently updated row).
+ * `client` runs it on a given connection, such as a lock holder's.
+ */
+async function getKlaviyoAccountTokens(accountId, client = pool) {
+  const result = await client.query(`
+    SELECT access_token, refresh_token, token_expires_at
+    FROM klaviyo_connections
+    WHERE account_id = $1
+    ORDER BY updated_at DESC
+    LIMIT 1
+  `, [accountId]);
+
+  return result.rows[0] || null;
+}
+
+/**
+ * One connection per Klaviyo account whose access token expires within
+ * `withinSeconds`, skipping revoked accounts.
+ */
+async function getExpiringKlaviyoAccounts(withinSeconds) {
+  const result = await query(`
+    SELECT * FROM (
+      SELECT DISTINCT ON (account_id) *
+      FROM klaviyo_connections
+      ORDER BY account_id, updated_at DESC
+    ) accounts
+    WHERE token_expires_at < NOW() + make_interval(secs => $1)
+      AND status <> 'revoked'
+    ORDER BY token_expires_at
+  `, [withinSeconds]);
+
+  return result.rows;
+}
+
+/**
+ * Set the consent mode of a Klaviyo connection.
+ */
+async function updateKlaviyoConsentMode(macAddress, consentMode) {
+  const result = await query(`
+    UPDATE klaviyo_connections
+    SET consent_mode = $2,
+        updated_at = NOW()
+    WHERE LOWER(mac_address) = LOWER($1)
+    RETURNING *
+  `, [macAddress, consentMode]);
+
+  return result.rows[0] || null;
+}
+
 /**
  * All Klaviyo connections (admin listing).
  */
 async function getAllKlaviyoConnections() {
   const result = await query(
-    `SELECT id, mac_address, account_name, list_name, source_tag, token_expires_at, created_at, updated_at
+    `SELECT id, mac_address, account_name, list_name, source_tag, consent_mode, status, status_reason, status_changed_at,
+            last_checked_at, last_status, last_check_error, token_expires_at, created_at, updated_at
      FROM klaviyo_connections ORDER BY updated_at DESC`
   );
   return result.rows;
@@ -781,12 +1312,668 @@ async function findKlaviyoConnectionsByAccountName(searchName, threshold = 0.3)
   return result.rows;
 }
 
+// =============================================================================
+// Field Mappings
+// =============================================================================
+
+/**
+ * Field mappings of one connection, in creation order.
+ */
+async function getFieldMappings(provider, macAddress) {
+  const result = await query(`
+    SELECT * FROM field_mappings
+    WHERE provider = $1 AND LOWER(mac_address) = LOWER($2)
+    ORDER BY id
+  `, [provider, macAddress]);
+  return result.rows;
+}
+
+/**
+ * Field mappings of every connection on a MAC (admin listing).
+ */
+async function getFieldMappingsForMac(macAddress) {
+  const result = await query(`
+    SELECT * FROM field_mappings
+    WHERE LOWER(mac_address) = LOWER($1)
+    ORDER BY provider, id
+  `, [macAddress]);
+  return result.rows;
+}
+
+/**
+ * Create a field mapping, or replace the one with the same target.
+ */
+async function upsertFieldMapping({
+  provider,
+  macAddress,
+  sourceKey,
+  target,
+  transform = null,
+  dateFormat = null,
+  defaultValue = null
+}) {
+  const result = await query(`
+    INSERT INTO field_mappings (
+      provider, mac_address, source_key, target, transform, date_format, default_value, updated_at
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+    ON CONFLICT (provider, mac_address, target)
+    DO UPDATE SET
+      source_key = EXCLUDED.source_key,
+      transform = EXCLUDED.transform,
+      date_format = EXCLUDED.date_format,
+      default_value = EXCLUDED.default_value,
+      updated_at = NOW()
+    RETURNING *
+  `, [provider, macAddress, sourceKey, target, transform, dateFormat, defaultValue]);
+
+  return result.rows[0];
+}
+
+/**
+ * Delete a field mapping of a MAC. Returns the deleted row or null.
+ */
+async function deleteFieldMapping(id, macAddress) {
+  const result = await query(
+    'DELETE FROM field_mappings WHERE id = $1 AND LOWER(mac_address) = LOWER($2) RETURNING *',
+    [id, macAddress]
+  );
+  return result.rows[0] || null;
+}
+
+// =============================================================================
+// Webhook Secrets
+// =============================================================================
+
+/**
+ * Active (unrevoked) webhook secrets: [{ id, integration, secret }].
+ */
+async function getActiveWebhookSecrets() {
+  const result = await query(
+    'SELECT id, integration, secret FROM webhook_secrets WHERE revoked_at IS NULL ORDER BY id'
+  );
+  return result.rows;
+}
+
+/**
+ * All webhook secrets for the admin listing, without the secret itself.
+ */
+async function getAllWebhookSecrets() {
+  const result = await query(`
+    SELECT id, integration, RIGHT(secret, 4) as secret_hint, created_at, revoked_at
+    FROM webhook_secrets
+    ORDER BY integration, id
+  `);
+  return result.rows;
+}
+
+async function createWebhookSecret(integration, secret) {
+  const result = await query(`
+    INSERT INTO webhook_secrets (integration, secret)
+    VALUES ($1, $2)
+    RETURNING *
+  `, [integration, secret]);
+  return result.rows[0];
+}
+
+/**
+ * Revoke a webhook secret. Returns the row, or null if unknown or already revoked.
+ */
+async function revokeWebhookSecret(id) {
+  const result = await query(`
+    UPDATE webhook_secrets
+    SET revoked_at = NOW()
+    WHERE id = $1 AND revoked_at IS NULL
+    RETURNING id, integration, created_at, revoked_at
+  `, [id]);
+  return result.rows[0] || null;
+}
+
+// =============================================================================
+// Connection Status (circuit breaker)
+// =============================================================================
+
+// Connection table and audience/list column per provider
+const CONNECTION_TABLES = {
+  mailchimp: { table: 'mailchimp_connections', audienceColumn: 'audience_id' },
+  klaviyo: { table: 'klaviyo_connections', audienceColumn: 'list_id' },
+};
+
+/**
+ * SET clauses for a connection upsert: a new token or audience/list (a
+ * reconnect) closes the circuit; other updates keep the current status.
+ */
+function statusResetOnReconnect(table, audienceColumn) {
+  const changed = `${table}.access_token IS DISTINCT FROM EXCLUDED.access_token
+      OR ${table}.${audienceColumn} IS DISTINCT FROM EXCLUDED.${audienceColumn}`;
+  return `status = CASE WHEN ${changed} THEN 'active' ELSE ${table}.status END,
+      status_reason = CASE WHEN ${changed} THEN NULL ELSE ${table}.status_reason END,
+      consecutive_failures = CASE WHEN ${changed} THEN 0 ELSE ${table}.consecutive_failures END`;
+}
+
+/**
+ * Count an auth / not-found failure against every connection of an account
+ * (or, with audienceId, of one audience/list on it). Connections go
+ * 'degraded' on the first failure and to `tripStatus` once
+ * consecutive_failures reaches `threshold`. Returns the updated rows.
+ */
+async function recordConnectionFailure(provider, { accountId, audienceId = null, tripStatus, reason, threshold }) {
+  const { table, audienceColumn } = CONNECTION_TABLES[provider];
+  const result = await query(`
+    UPDATE ${table}
+    SET consecutive_failures = consecutive_failures + 1,
+        status = CASE WHEN consecutive_failures + 1 >= $4 THEN $3 ELSE 'degraded' END,
+        status_changed_at = CASE
+          WHEN status IS DISTINCT FROM (CASE WHEN consecutive_failures + 1 >= $4 THEN $3 ELSE 'degraded' END)
+          THEN NOW() ELSE status_changed_at
+        END,
+        status_reason = $5
+    WHERE account_id = $1 AND ($2::varchar IS NULL OR ${audienceColumn} = $2)
+    RETURNING mac_address, account_name, status, consecutive_failures
+  `, [accountId, audienceId, tripStatus, threshold, reason]);
+
+  return result.rows;
+}
+
+/**
+ * Close the circuit: mark connections of an account active again. With
+ * audienceId, only that audience/list plus any connection on the account
+ * that was revoked (a success proves the token works).
+ */
+async function resetConnectionStatus(provider, { accountId, audienceId = null }) {
+  const { table, audienceColumn } = CONNECTION_TABLES[provider];
+  const result = await query(`
+    UPDATE ${table}
+    SET status = 'active',
+        status_reason = NULL,
+        consecutive_failures = 0,
+        status_changed_at = NOW()
+    WHERE account_id = $1
+      AND ($2::varchar IS NULL OR ${audienceColumn} = $2 OR status = 'revoked')
+      AND (status <> 'active' OR consecutive_failures > 0)
+    RETURNING mac_address
+  `, [accountId, audienceId]);
+
+  return result.rows;
+}
+
+/**
+ * Claim the right to probe an open connection: true for at most one caller
+ * per `intervalSeconds`.
+ */
+async function claimConnectionProbe(provider, macAddress, intervalSeconds) {
+  const { table } = CONNECTION_TABLES[provider];
+  const result = await query(`
+    UPDATE ${table}
+    SET last_probe_at = NOW()
+    WHERE LOWER(mac_address) = LOWER($1)
+      AND (last_probe_at IS NULL OR last_probe_at < NOW() - make_interval(secs => $2))
+    RETURNING id
+  `, [macAddress, intervalSeconds]);
+
+  return result.rows.length > 0;
+}
+
+// =============================================================================
+// Connection Health Checks
+// =============================================================================
+
+/**
+ * One connection per distinct account + audience/list whose last health
+ * check is older than `intervalSeconds` (or never ran), most recently
+ * updated row first so the freshest token is used.
+ */
+async function getHealthCheckTargets(provider, intervalSeconds) {
+  const { table, audienceColumn } = CONNECTION_TABLES[provider];
+  const result = await query(`
+    SELECT * FROM (
+      SELECT DISTINCT ON (account_id, ${audienceColumn}) *
+      FROM ${table}
+      ORDER BY account_id, ${audienceColumn}, updated_at DESC
+    ) targets
+    WHERE last_checked_at IS NULL OR last_checked_at < NOW() - make_interval(secs => $1)
+    ORDER BY last_checked_at NULLS FIRST
+  `, [intervalSeconds]);
+  return result.rows;
+}
+
+/**
+ * Store a health check result on every connection of an account +
+ * audience/list.
+ */
+async function recordHealthCheck(provider, { accountId, audienceId, status, error = null }) {
+  const { table, audienceColumn } = CONNECTION_TABLES[provider];
+  const result = await query(`
+    UPDATE ${table}
+    SET last_checked_at = NOW(), last_status = $3, last_check_error = $4
+    WHERE account_id = $1 AND ${audienceColumn} = $2
+  `, [accountId, audienceId, status, error]);
+  return result.rowCount;
+}
+
+// Severity of a stored check result (higher is worse); an unknown status
+// ranks as an error so it isn't hidden behind 'ok'
+const CHECK_SEVERITY = `CASE
+    WHEN last_status IS NULL THEN 0
+    WHEN last_status = 'ok' THEN 1
+    WHEN last_status = 'audience_missing' THEN 3
+    WHEN last_status = 'revoked' THEN 4
+    ELSE 2
+  END`;
+
+/**
+ * Last health check per provider + account + audience/list, from stored
+ * results only (no API calls). When the connection rows disagree, the
+ * worst status is reported together with that row's error.
+ */
+async function getConnectionHealth() {
+  const worstCheck = (provider) => {
+    const { table, audienceColumn } = CONNECTION_TABLES[provider];
+    const nameColumn = audienceColumn.replace(/_id$/, '_name');
+    return `
+      SELECT DISTINCT ON (account_id, ${audienceColumn})
+             '${provider}' AS provider, account_id, account_name,
+             ${audienceColumn} AS audience_id, ${nameColumn} AS audience_name,
+             (COUNT(*) OVER audience)::int AS connections,
+             MAX(last_checked_at) OVER audience AS last_checked_at,
+             last_status, last_check_error
+      FROM ${table}
+      WINDOW audience AS (PARTITION BY account_id, ${audienceColumn})
+      ORDER BY account_id, ${audienceColumn}, ${CHECK_SEVERITY} DESC, ${table}.last_checked_at DESC NULLS LAST
+    `;
+  };
+
+  const result = await query(`
+    SELECT * FROM (${worstCheck('mailchimp')}) mailchimp
+    UNION ALL
+    SELECT * FROM (${worstCheck('klaviyo')}) klaviyo
+    ORDER BY provider, account_name
+  `);
+  return result.rows;
+}
+
+// =============================================================================
+// Mailchimp List Webhooks & Member Status
+// =============================================================================
+
+/**
+ * Registered list webhook of an account + audience, or null.
+ */
+async function getListWebhook(accountId, audienceId) {
+  const result = await query(
+    'SELECT * FROM mailchimp_list_webhooks WHERE account_id = $1 AND audience_id = $2',
+    [accountId, audienceId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * List webhook whose callback URL carries `token`, or null.
+ */
+async function getListWebhookByToken(token) {
+  const result = await query(
+    'SELECT * FROM mailchimp_list_webhooks WHERE token = $1',
+    [token]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Reserve the list webhook of an account + audience before registering it
+ * with Mailchimp. Returns the row, or null if one already exists.
+ */
+async function createListWebhook(accountId, audienceId, token) {
+  const result = await query(`
+    INSERT INTO mailchimp_list_webhooks (account_id, audience_id, token)
+    VALUES ($1, $2, $3)
+    ON CONFLICT (account_id, audience_id) DO NOTHING
+    RETURNING *
+  `, [accountId, audienceId, token]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Store the Mailchimp id of a registered list webhook.
+ */
+async function setListWebhookId(id, webhookId) {
+  await query(
+    'UPDATE mailchimp_list_webhooks SET webhook_id = $2 WHERE id = $1',
+    [id, webhookId]
+  );
+}
+
+/**
+ * Forget a list webhook (after removing it from Mailchimp).
+ */
+async function deleteListWebhook(id) {
+  await query('DELETE FROM mailchimp_list_webhooks WHERE id = $1', [id]);
+}
+
+/**
+ * Number of Mailchimp connections still syncing to an account + audience.
+ */
+async function countAudienceConnections(accountId, audienceId) {
+  const result = await query(
+    'SELECT COUNT(*)::int AS count FROM mailchimp_connections WHERE account_id = $1 AND audience_id = $2',
+    [accountId, audienceId]
+  );
+  return result.rows[0].count;
+}
+
+/**
+ * Record a guest's state from a list webhook event. Older events than the
+ * one already stored are ignored (Mailchimp may deliver out of order).
+ * `merges` is kept when not given.
+ */
+async function upsertMemberStatus({ accountId, audienceId, email, status, reason = null, newEmail = null, merges = null, event, eventAt }) {
+  const result = await query(`
+    INSERT INTO mailchimp_member_status (
+      account_id, audience_id, email, status, reason, new_email, merges, last_event, last_event_at
+    ) VALUES ($1, $2, LOWER($3), $4, $5, $6, $7, $8, $9)
+    ON CONFLICT (account_id, audience_id, email)
+    DO UPDATE SET
+      status = EXCLUDED.status,
+      reason = EXCLUDED.reason,
+      new_email = EXCLUDED.new_email,
+      merges = COALESCE(EXCLUDED.merges, mailchimp_member_status.merges),
+      last_event = EXCLUDED.last_event,
+      last_event_at = EXCLUDED.last_event_at,
+      updated_at = NOW()
+    WHERE mailchimp_member_status.last_event_at <= EXCLUDED.last_event_at
+    RETURNING *
+  `, [accountId, audienceId, email, status, reason, newEmail, merges ? JSON.stringify(merges) : null, event, eventAt]);
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Member states of an account + audience, most recent first, optionally
+ * filtered by status.
+ */
+async function getMemberStatuses(accountId, audienceId, { status = null, limit = 100 } = {}) {
+  const result = await query(`
+    SELECT email, status, reason, new_email, last_event, last_event_at
+    FROM mailchimp_member_status
+    WHERE account_id = $1 AND audience_id = $2 AND ($3::varchar IS NULL OR status = $3)
+    ORDER BY last_event_at DESC
+    LIMIT $4
+  `, [accountId, audienceId, status, limit]);
+  return result.rows;
+}
+
+// =============================================================================
+// Suppressions
+// =============================================================================
+
+/**
+ * Suppression entry for a guest on a provider account, or null.
+ */
+async function getSuppression(provider, accountId, email) {
+  const result = await query(
+    'SELECT * FROM suppressions WHERE provider = $1 AND account_id = $2 AND email = LOWER($3)',
+    [provider, accountId, email]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Which of `emails` are suppressed on a provider account, as a Set of
+ * lowercased addresses.
+ */
+async function getSuppressedEmails(provider, accountId, emails) {
+  if (emails.length === 0) return new Set();
+  const result = await query(`
+    SELECT email FROM suppressions
+    WHERE provider = $1 AND account_id = $2 AND email = ANY($3::varchar[])
+  `, [provider, accountId, emails.map(e => String(e).toLowerCase())]);
+  return new Set(result.rows.map(r => r.email));
+}
+
+/**
+ * Suppress guests on a provider account. An address that is already
+ * suppressed keeps its original entry. Returns the number added.
+ */
+async function addSuppressions(provider, accountId, emails, { reason, source }) {
+  if (emails.length === 0) return 0;
+  const result = await query(`
+    INSERT INTO suppressions (provider, account_id, email, reason, source)
+    SELECT $1, $2, LOWER(email), $4, $5 FROM UNNEST($3::varchar[]) AS email
+    ON CONFLICT (provider, account_id, email) DO NOTHING
+  `, [provider, accountId, emails, reason, source]);
+  return result.rowCount;
+}
+
+/**
+ * Suppression entries, newest first. Filters are optional.
+ */
+async function listSuppressions({ provider = null, accountId = null, email = null, limit = 100 }) {
+  const result = await query(`
+    SELECT * FROM suppressions
+    WHERE ($1::varchar IS NULL OR provider = $1)
+      AND ($2::varchar IS NULL OR account_id = $2)
+      AND ($3::varchar IS NULL OR email = LOWER($3))
+    ORDER BY created_at DESC
+    LIMIT $4
+  `, [provider, accountId, email, limit]);
+  return result.rows;
+}
+
+/**
+ * Lift a suppression. Returns the deleted entry, or null.
+ */
+async function deleteSuppression(id) {
+  const result = await query('DELETE FROM suppressions WHERE id = $1 RETURNING *', [id]);
+  return result.rows[0] || null;
+}
+
+// =============================================================================
+// Contact Settings (email quality, phone country, missing email)
+// =============================================================================
+
+/**
+ * Set (or, with null, clear) a connection's email_quality_policy.
+ * Returns the updated connection, or null if there is none for the MAC.
+ */
+async function setEmailQualityPolicy(provider, macAddress, policy) {
+  const { table } = CONNECTION_TABLES[provider];
+  const result = await query(`
+    UPDATE ${table}
+    SET email_quality_policy = $2::jsonb,
+        updated_at = NOW()
+    WHERE LOWER(mac_address) = LOWER($1)
+    RETURNING *
+  `, [macAddress, policy ? JSON.stringify(policy) : null]);
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Set (or, with null, clear) a connection's default phone country.
+ * Returns the updated connection, or null if there is none for the MAC.
+ */
+async function setDefaultCountry(provider, macAddress, country) {
+  const { table } = CONNECTION_TABLES[provider];
+  const result = await query(`
+    UPDATE ${table}
+    SET default_country = $2,
+        updated_at = NOW()
+    WHERE LOWER(mac_address) = LOWER($1)
+    RETURNING *
+  `, [macAddress, country]);
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Set (or, with null, clear) a Mailchimp connection's missing_email_policy.
+ * Returns the updated connection, or null if there is none for the MAC.
+ */
+async function setMissingEmailPolicy(macAddress, policy) {
+  const result = await query(`
+    UPDATE mailchimp_connections
+    SET missing_email_policy = $2,
+        updated_at = NOW()
+    WHERE LOWER(mac_address) = LOWER($1)
+    RETURNING *
+  `, [macAddress, policy]);
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Set (or, with null, clear) a Klaviyo connection's visit event metric name.
+ * Returns the updated connection, or null if there is none for the MAC.
+ */
+async function setVisitMetricName(macAddress, metricName) {
+  const result = await query(`
+    UPDATE klaviyo_connections
+    SET visit_metric_name = $2,
+        updated_at = NOW()
+    WHERE LOWER(mac_address) = LOWER($1)
+    RETURNING *
+  `, [macAddress, metricName]);
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Set a Mailchimp connection's member activity: whether a wifi_visit event
+ * is recorded, and the member note template (null for no note). Fields
+ * left undefined keep their current value. Returns the updated connection,
+ * or null if there is none for the MAC.
+ */
+async function setMemberActivity(macAddress, { visitEventEnabled, memberNote }) {
+  const result = await query(`
+    UPDATE mailchimp_connections
+    SET visit_event_enabled = COALESCE($2, visit_event_enabled),
+        member_note = CASE WHEN $3 THEN $4 ELSE member_note END,
+        updated_at = NOW()
+    WHERE LOWER(mac_address) = LOWER($1)
+    RETURNING *
+  `, [macAddress, visitEventEnabled === undefined ? null : visitEventEnabled, memberNote !== undefined, memberNote === undefined ? null : memberNote]);
+
+  return result.rows[0] || null;
+}
+
+// =============================================================================
+// Mailchimp Guests Without Email
+// =============================================================================
+
+/**
+ * Keep (or refresh) a guest without an email for an audience.
+ * disposition is 'held' or 'stored'.
+ */
+async function saveGuestWithoutEmail({ accountId, audienceId, macAddress, identifier, phone, externalId, payload, disposition }) {
+  const result = await query(`
+    INSERT INTO mailchimp_guests_without_email (
+      account_id, audience_id, mac_address, identifier, phone, external_id, payload, disposition
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    ON CONFLICT (account_id, audience_id, identifier) DO UPDATE SET
+      mac_address = EXCLUDED.mac_address,
+      phone = COALESCE(EXCLUDED.phone, mailchimp_guests_without_email.phone),
+      external_id = COALESCE(EXCLUDED.external_id, mailchimp_guests_without_email.external_id),
+      payload = EXCLUDED.payload,
+      disposition = EXCLUDED.disposition,
+      updated_at = NOW()
+    RETURNING *
+  `, [accountId, audienceId, macAddress, identifier, phone, externalId, JSON.stringify(payload), disposition]);
+
+  return result.rows[0];
+}
+
+/**
+ * Held guests on an audience matching a phone or external_id, oldest first.
+ */
+async function findHeldGuests(accountId, audienceId, { phone = null, externalId = null }) {
+  const result = await query(`
+    SELECT * FROM mailchimp_guests_without_email
+    WHERE account_id = $1 AND audience_id = $2
+      AND disposition = 'held'
+      AND (phone = $3 OR external_id = $4)
+    ORDER BY created_at
+  `, [accountId, audienceId, phone, externalId]);
+
+  return result.rows;
+}
+
+/**
+ * Delete guests without email by id (once released to Mailchimp).
+ */
+async function deleteGuestsWithoutEmail(ids) {
+  if (ids.length === 0) return 0;
+  const result = await query(
+    'DELETE FROM mailchimp_guests_without_email WHERE id = ANY($1::int[])',
+    [ids]
+  );
+  return result.rowCount;
+}
+
+/**
+ * Held / stored guests, newest first. Filters are optional.
+ */
+async function listGuestsWithoutEmail({ accountId = null, disposition = null, limit = 100 }) {
+  const result = await query(`
+    SELECT * FROM mailchimp_guests_without_email
+    WHERE ($1::varchar IS NULL OR account_id = $1)
+      AND ($2::varchar IS NULL OR disposition = $2)
+    ORDER BY updated_at DESC
+    LIMIT $3
+  `, [accountId, disposition, limit]);
+
+  return result.rows;
+}
+
+// =============================================================================
+// Guest Visits
+// =============================================================================
+
+/**
+ * Record guest visits on a provider account.
+ * Each visit: { email, macAddress, locationName, visitedAt }. A visit
+ * already recorded (same email and visited_at) is ignored.
+ */
+async function recordGuestVisits(provider, accountId, visits) {
+  if (visits.length === 0) return;
+  await query(`
+    INSERT INTO guest_visits (provider, account_id, email, mac_address, location_name, visited_at)
+    SELECT $1, $2, LOWER(v.email), v.mac_address, v.location_name, v.visited_at
+    FROM UNNEST($3::varchar[], $4::varchar[], $5::varchar[], $6::timestamptz[])
+      AS v(email, mac_address, location_name, visited_at)
+    ON CONFLICT (provider, account_id, email, visited_at) DO NOTHING
+  `, [
+    provider,
+    accountId,
+    visits.map(v => v.email),
+    visits.map(v => v.macAddress || null),
+    visits.map(v => v.locationName || null),
+    visits.map(v => v.visitedAt)
+  ]);
+}
+
+/**
+ * Visit count and first/last visit per guest on a provider account: a Map
+ * of lowercase email -> { visits, first_visit_at, last_visit_at }.
+ */
+async function getGuestVisitStats(provider, accountId, emails) {
+  if (emails.length === 0) return new Map();
+  const result = await query(`
+    SELECT email,
+           COUNT(*)::int AS visits,
+           MIN(visited_at) AS first_visit_at,
+           MAX(visited_at) AS last_visit_at
+    FROM guest_visits
+    WHERE provider = $1 AND account_id = $2 AND email = ANY($3::varchar[])
+    GROUP BY email
+  `, [provider, accountId, emails.map(e => String(e).toLowerCase())]);
+  return new Map(result.rows.map(({ email, ...stats }) => [email, stats]));
+}
+
 module.exports = {
   pool,
   vivaspotPool,
   query,
   vivaspotQuery,
   getClient,
+  withAdvisoryLock,
   testConnection,
 
   // Connections
@@ -797,6 +1984,10 @@ module.exports = {
   getAllConnections,
   deleteConnection,
   findConnectionsByAccountName,
+  setAudienceMarketingPermissions,
+  getAudienceSchema,
+  saveAudienceSchema,
+  getAccountNames,
 
   // VivaSpot Sites
   findSiteByRestaurantName,
@@ -818,11 +2009,96 @@ module.exports = {
   bulkUpsertKlaviyoConnections,
   getKlaviyoConnectionByMac,
   updateKlaviyoTokens,
+  getKlaviyoAccountTokens,
+  getExpiringKlaviyoAccounts,
+  updateKlaviyoConsentMode,
   getAllKlaviyoConnections,
   deleteKlaviyoConnection,
   findKlaviyoConnectionsByAccountName,
 
   // Sync logs
   logSync,
+  logSyncMany,
   getRecentSyncLogs,
+  getSyncLog,
+  findReplayableSyncLogs,
+  markSyncLogReplayed,
+
+  // Sync jobs
+  createSyncJob,
+  claimSyncJobs,
+  completeSyncJob,
+  rescheduleSyncJob,
+  deadLetterSyncJob,
+  getSyncJobStats,
+  getSyncJobsByStatus,
+  purgeCompletedSyncJobs,
+
+  // Mailchimp batches
+  createMailchimpBatch,
+  getMailchimpBatch,
+  updateMailchimpBatchStatus,
+  completeMailchimpBatch,
+
+  // Idempotency keys
+  claimIdempotencyKey,
+  saveIdempotentResponse,
+  releaseIdempotencyKey,
+  purgeExpiredIdempotencyKeys,
+
+  // Field mappings
+  getFieldMappings,
+  getFieldMappingsForMac,
+  upsertFieldMapping,
+  deleteFieldMapping,
+
+  // Webhook secrets
+  getActiveWebhookSecrets,
+  getAllWebhookSecrets,
+  createWebhookSecret,
+  revokeWebhookSecret,
+
+  // Connection status
+  recordConnectionFailure,
+  resetConnectionStatus,
+  claimConnectionProbe,
+
+  // Connection health checks
+  getHealthCheckTargets,
+  recordHealthCheck,
+  getConnectionHealth,
+
+  // Mailchimp list webhooks & member status
+  getListWebhook,
+  getListWebhookByToken,
+  createListWebhook,
+  setListWebhookId,
+  deleteListWebhook,
+  countAudienceConnections,
+  upsertMemberStatus,
+  getMemberStatuses,
+
+  // Suppressions
+  getSuppression,
+  getSuppressedEmails,
+  addSuppressions,
+  listSuppressions,
+  deleteSuppression,
+
+  // Contact settings
+  setEmailQualityPolicy,
+  setDefaultCountry,
+  setMissingEmailPolicy,
+  setMemberActivity,
+  setVisitMetricName,
+
+  // Mailchimp guests without email
+  saveGuestWithoutEmail,
+  findHeldGuests,
+  deleteGuestsWithoutEmail,
+  listGuestsWithoutEmail,
+
+  // Guest visits
+  recordGuestVisits,
+  getGuestVisitStats,
 };
@@ -265,6 +265,491 @@ const migrations = [
       CREATE INDEX IF NOT EXISTS idx_klaviyo_account_id
       ON klaviyo_connections(account_id);
     `
+  },
+
+  // Durable sync queue. Every contact webhook is persisted here before it is
+  // acknowledged; the worker retries failed deliveries with backoff and moves
+  // them to 'dead' once max_attempts is exhausted.
+  {
+    name: 'create_sync_jobs',
+    sql: `
+      CREATE TABLE IF NOT EXISTS sync_jobs (
+        id SERIAL PRIMARY KEY,
+
+        -- Destination provider: 'mailchimp' | 'klaviyo'
+        provider VARCHAR(20) NOT NULL,
+
+        mac_address VARCHAR(17) NOT NULL,
+        email VARCHAR(255),
+
+        -- Normalized webhook payload, replayed as-is on every attempt
+        payload JSONB NOT NULL,
+
+        -- pending | processing | succeeded | dead
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        max_attempts INTEGER NOT NULL,
+        next_attempt_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+        locked_at TIMESTAMP WITH TIME ZONE,
+        last_error TEXT,
+        result JSONB,
+
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        completed_at TIMESTAMP WITH TIME ZONE
+      );
+    `
+  },
+
+  // Worker poll: only unfinished jobs are ever scanned
+  {
+    name: 'create_sync_jobs_due_index',
+    sql: `
+      CREATE INDEX IF NOT EXISTS idx_sync_jobs_due
+      ON sync_jobs(next_attempt_at)
+      WHERE status IN ('pending', 'processing');
+    `
+  },
+
+  // Admin listing of dead-lettered jobs
+  {
+    name: 'create_sync_jobs_status_index',
+    sql: `
+      CREATE INDEX IF NOT EXISTS idx_sync_jobs_status
+      ON sync_jobs(status, updated_at DESC);
+    `
+  },
+
+  // Idempotency keys for the contact webhooks. n8n retries on timeout, so a
+  // duplicate within the retention window is answered from response_body
+  // instead of re-running the sync. response_status is NULL while the first
+  // request is still in flight.
+  {
+    name: 'create_idempotency_keys',
+    sql: `
+      CREATE TABLE IF NOT EXISTS idempotency_keys (
+        id SERIAL PRIMARY KEY,
+
+        -- Which endpoint the key belongs to ('mailchimp' | 'klaviyo')
+        scope VARCHAR(20) NOT NULL,
+        idempotency_key VARCHAR(255) NOT NULL,
+
+        -- SHA-256 of the request body, to reject key reuse with a new payload
+        request_hash VARCHAR(64) NOT NULL,
+
+        response_status INTEGER,
+        response_body JSONB,
+
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+
+        UNIQUE (scope, idempotency_key)
+      );
+    `
+  },
+
+  {
+    name: 'create_idempotency_keys_expires_index',
+    sql: `
+      CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires
+      ON idempotency_keys(expires_at);
+    `
+  },
+
+  // Mailchimp batch operations submitted by /webhook/contacts/batch. One row
+  // per POST /batches call; `contacts` maps each operation prefix back to the
+  // MAC + email so finished results can be written to sync_log.
+  {
+    name: 'create_mailchimp_batches',
+    sql: `
+      CREATE TABLE IF NOT EXISTS mailchimp_batches (
+        id SERIAL PRIMARY KEY,
+        batch_id VARCHAR(50) NOT NULL UNIQUE,
+
+        account_id VARCHAR(50),
+        account_name TEXT,
+        audience_id VARCHAR(50),
+        data_center VARCHAR(10) NOT NULL,
+
+        -- [{ operation_prefix, index, mac_address, email, payload }]
+        contacts JSONB NOT NULL,
+
+        -- Last known Mailchimp status (pending ... finished)
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        total_operations INTEGER,
+        finished_operations INTEGER,
+        errored_operations INTEGER,
+
+        -- Per-contact outcome, filled once results are downloaded
+        summary JSONB,
+        results_logged_at TIMESTAMP WITH TIME ZONE,
+
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+    `
+  },
+
+  // Keep enough on sync_log to re-drive a failed sync from the admin API:
+  // the provider it was bound for, the normalized contact payload, and when
+  // it was last replayed (plus the sync job that replay created).
+  {
+    name: 'add_sync_log_replay_columns',
+    sql: `
+      ALTER TABLE sync_log
+      ADD COLUMN IF NOT EXISTS provider VARCHAR(20),
+      ADD COLUMN IF NOT EXISTS payload JSONB,
+      ADD COLUMN IF NOT EXISTS replayed_at TIMESTAMP WITH TIME ZONE,
+      ADD COLUMN IF NOT EXISTS replay_job_id INTEGER;
+    `
+  },
+
+  // Replay candidates: failures that still have a payload
+  {
+    name: 'create_sync_log_failures_index',
+    sql: `
+      CREATE INDEX IF NOT EXISTS idx_sync_log_failures
+      ON sync_log(created_at)
+      WHERE success = false AND payload IS NOT NULL;
+    `
+  },
+
+  // Per-connection consent mode: 'single_opt_in' (subscribed straight away),
+  // 'double_opt_in' (Mailchimp pending + confirmation email) or
+  // 'transactional' (no marketing consent). Mailchimp rows also cache the
+  // audience's GDPR marketing permissions ([{ id, text }]); NULL = not fetched.
+  {
+    name: 'add_connection_consent_mode',
+    sql: `
+      ALTER TABLE mailchimp_connections
+      ADD COLUMN IF NOT EXISTS consent_mode VARCHAR(20) NOT NULL DEFAULT 'single_opt_in',
+      ADD COLUMN IF NOT EXISTS marketing_permissions JSONB;
+
+      ALTER TABLE klaviyo_connections
+      ADD COLUMN IF NOT EXISTS consent_mode VARCHAR(20) NOT NULL DEFAULT 'single_opt_in';
+    `
+  },
+
+  // Cached merge field schema per Mailchimp audience, so syncs can tell
+  // which merge tags exist without calling /lists/{id}/merge-fields
+  {
+    name: 'create_mailchimp_audience_schemas',
+    sql: `
+      CREATE TABLE IF NOT EXISTS mailchimp_audience_schemas (
+        id SERIAL PRIMARY KEY,
+        account_id VARCHAR(50) NOT NULL,
+        audience_id VARCHAR(50) NOT NULL,
+
+        -- [{ tag, name, type }]
+        merge_fields JSONB NOT NULL,
+
+        fetched_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+        UNIQUE (account_id, audience_id)
+      );
+    `
+  },
+
+  // Per-connection mapping of webhook payload keys to Mailchimp merge tags
+  // or Klaviyo profile properties, so venues don't have to use our key names
+  {
+    name: 'create_field_mappings',
+    sql: `
+      CREATE TABLE IF NOT EXISTS field_mappings (
+        id SERIAL PRIMARY KEY,
+
+        -- Connection the mapping belongs to
+        provider VARCHAR(20) NOT NULL,           -- 'mailchimp' | 'klaviyo'
+        mac_address VARCHAR(17) NOT NULL,
+
+        -- custom_fields key (or top-level payload field) -> merge tag / property
+        source_key VARCHAR(100) NOT NULL,
+        target VARCHAR(100) NOT NULL,
+
+        -- Optional transform: 'uppercase' | 'date' (reformatted to date_format)
+        transform VARCHAR(20),
+        date_format VARCHAR(20),
+
+        -- Used when the payload has no value for source_key
+        default_value TEXT,
+
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+        UNIQUE (provider, mac_address, target)
+      );
+    `
+  },
+
+  // Per-integration webhook signing secrets (e.g. one per n8n instance).
+  // An integration may have several active secrets while keys rotate;
+  // revoking a row stops it verifying immediately.
+  {
+    name: 'create_webhook_secrets',
+    sql: `
+      CREATE TABLE IF NOT EXISTS webhook_secrets (
+        id SERIAL PRIMARY KEY,
+        integration VARCHAR(100) NOT NULL,
+        secret TEXT NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        revoked_at TIMESTAMP WITH TIME ZONE
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_webhook_secrets_active
+      ON webhook_secrets(integration)
+      WHERE revoked_at IS NULL;
+    `
+  },
+
+  // Circuit breaker state per connection: 'active' | 'degraded' (recent
+  // auth / not-found failures) | 'revoked' | 'audience_missing'. Syncs are
+  // short-circuited while revoked or audience_missing, except for a
+  // periodic probe (last_probe_at) that can reset the connection.
+  {
+    name: 'add_connection_status',
+    sql: `
+      ALTER TABLE mailchimp_connections
+      ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'active',
+      ADD COLUMN IF NOT EXISTS status_reason TEXT,
+      ADD COLUMN IF NOT EXISTS consecutive_failures INTEGER NOT NULL DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS status_changed_at TIMESTAMP WITH TIME ZONE,
+      ADD COLUMN IF NOT EXISTS last_probe_at TIMESTAMP WITH TIME ZONE;
+
+      ALTER TABLE klaviyo_connections
+      ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'active',
+      ADD COLUMN IF NOT EXISTS status_reason TEXT,
+      ADD COLUMN IF NOT EXISTS consecutive_failures INTEGER NOT NULL DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS status_changed_at TIMESTAMP WITH TIME ZONE,
+      ADD COLUMN IF NOT EXISTS last_probe_at TIMESTAMP WITH TIME ZONE;
+    `
+  },
+
+  // Result of the scheduled health monitor's last check of the connection's
+  // account + audience/list: 'ok' | 'revoked' | 'audience_missing' | 'error'
+  {
+    name: 'add_connection_health_checks',
+    sql: `
+      ALTER TABLE mailchimp_connections
+      ADD COLUMN IF NOT EXISTS last_checked_at TIMESTAMP WITH TIME ZONE,
+      ADD COLUMN IF NOT EXISTS last_status VARCHAR(20),
+      ADD COLUMN IF NOT EXISTS last_check_error TEXT;
+
+      ALTER TABLE klaviyo_connections
+      ADD COLUMN IF NOT EXISTS last_checked_at TIMESTAMP WITH TIME ZONE,
+      ADD COLUMN IF NOT EXISTS last_status VARCHAR(20),
+      ADD COLUMN IF NOT EXISTS last_check_error TEXT;
+    `
+  },
+
+  // Mailchimp list webhooks registered on connect, one per account +
+  // audience. `token` is the secret in the callback URL that identifies
+  // (and authenticates) the audience an event belongs to.
+  {
+    name: 'create_mailchimp_list_webhooks',
+    sql: `
+      CREATE TABLE IF NOT EXISTS mailchimp_list_webhooks (
+        id SERIAL PRIMARY KEY,
+        account_id VARCHAR(50) NOT NULL,
+        audience_id VARCHAR(50) NOT NULL,
+        webhook_id VARCHAR(50),
+        token VARCHAR(64) NOT NULL UNIQUE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        UNIQUE(account_id, audience_id)
+      );
+    `
+  },
+
+  // Latest known state of each guest in a Mailchimp audience, from list
+  // webhook events: 'subscribed' | 'unsubscribed' | 'cleaned' |
+  // 'email_changed' (new_email holds the replacement address)
+  {
+    name: 'create_mailchimp_member_status',
+    sql: `
+      CREATE TABLE IF NOT EXISTS mailchimp_member_status (
+        id SERIAL PRIMARY KEY,
+        account_id VARCHAR(50) NOT NULL,
+        audience_id VARCHAR(50) NOT NULL,
+        email VARCHAR(255) NOT NULL,
+        status VARCHAR(20) NOT NULL,
+        reason VARCHAR(50),
+        new_email VARCHAR(255),
+        merges JSONB,
+        last_event VARCHAR(20) NOT NULL,
+        last_event_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        UNIQUE(account_id, audience_id, email)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_mailchimp_member_status_status
+      ON mailchimp_member_status(account_id, audience_id, status);
+    `
+  },
+
+  // Guests who must not be (re-)subscribed, per provider account. Filled
+  // from provider webhooks ('webhook'), admin imports ('import') and the
+  // admin API ('api'); checked before every sync.
+  {
+    name: 'create_suppressions',
+    sql: `
+      CREATE TABLE IF NOT EXISTS suppressions (
+        id SERIAL PRIMARY KEY,
+        provider VARCHAR(20) NOT NULL,
+        account_id VARCHAR(50) NOT NULL,
+        email VARCHAR(255) NOT NULL,
+        reason VARCHAR(50) NOT NULL,
+        source VARCHAR(20) NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        UNIQUE(provider, account_id, email)
+      );
+    `
+  },
+
+  // Outcome of a logged sync: 'synced' | 'failed' | 'suppressed' (skipped
+  // or synced without consent because the guest is on the suppression list).
+  // Rows logged before the column existed are backfilled; logSync always
+  // sets it, so the partial index stays empty and later runs of the backfill
+  // read the index instead of scanning sync_log.
+  {
+    name: 'add_sync_log_outcome',
+    sql: `
+      ALTER TABLE sync_log
+      ADD COLUMN IF NOT EXISTS outcome VARCHAR(20);
+
+      UPDATE sync_log
+      SET outcome = CASE WHEN success THEN 'synced' ELSE 'failed' END
+      WHERE outcome IS NULL;
+
+      CREATE INDEX IF NOT EXISTS idx_sync_log_outcome_missing
+      ON sync_log(id)
+      WHERE outcome IS NULL;
+    `
+  },
+
+  // Per-connection email quality policy: check -> action (reject, correct,
+  // tag, allow). NULL uses the defaults in lib/emailQuality.
+  {
+    name: 'add_email_quality_policy',
+    sql: `
+      ALTER TABLE mailchimp_connections
+      ADD COLUMN IF NOT EXISTS email_quality_policy JSONB;
+
+      ALTER TABLE klaviyo_connections
+      ADD COLUMN IF NOT EXISTS email_quality_policy JSONB;
+    `
+  },
+
+  // ISO country national phone numbers are parsed in (e.g. 'GB'); NULL
+  // uses DEFAULT_PHONE_COUNTRY
+  {
+    name: 'add_connection_default_country',
+    sql: `
+      ALTER TABLE mailchimp_connections
+      ADD COLUMN IF NOT EXISTS default_country VARCHAR(2);
+
+      ALTER TABLE klaviyo_connections
+      ADD COLUMN IF NOT EXISTS default_country VARCHAR(2);
+    `
+  },
+
+  // What a Mailchimp connection does with guests who have no email:
+  // 'skip' | 'hold' | 'store'. NULL uses MAILCHIMP_MISSING_EMAIL_POLICY.
+  {
+    name: 'add_missing_email_policy',
+    sql: `
+      ALTER TABLE mailchimp_connections
+      ADD COLUMN IF NOT EXISTS missing_email_policy VARCHAR(10);
+    `
+  },
+
+  // Guests without an email kept for a Mailchimp audience. 'held' rows are
+  // synced (and deleted) once a contact with an email arrives for the same
+  // phone or external_id; 'stored' rows are only kept locally.
+  // identifier is 'external_id:<id>' or 'phone:<E.164>'.
+  {
+    name: 'create_mailchimp_guests_without_email',
+    sql: `
+      CREATE TABLE IF NOT EXISTS mailchimp_guests_without_email (
+        id SERIAL PRIMARY KEY,
+        account_id VARCHAR(50) NOT NULL,
+        audience_id VARCHAR(50) NOT NULL,
+        mac_address VARCHAR(17),
+        identifier VARCHAR(255) NOT NULL,
+        phone VARCHAR(20),
+        external_id VARCHAR(255),
+        payload JSONB NOT NULL,
+        disposition VARCHAR(10) NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        UNIQUE(account_id, audience_id, identifier)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_guests_without_email_phone
+      ON mailchimp_guests_without_email(account_id, audience_id, phone);
+
+      CREATE INDEX IF NOT EXISTS idx_guests_without_email_external_id
+      ON mailchimp_guests_without_email(account_id, audience_id, external_id);
+    `
+  },
+
+  // Per-connection Mailchimp member activity: a wifi_visit event and/or a
+  // note template recorded on every synced member
+  {
+    name: 'add_mailchimp_member_activity',
+    sql: `
+      ALTER TABLE mailchimp_connections
+      ADD COLUMN IF NOT EXISTS visit_event_enabled BOOLEAN NOT NULL DEFAULT FALSE;
+
+      ALTER TABLE mailchimp_connections
+      ADD COLUMN IF NOT EXISTS member_note TEXT;
+    `
+  },
+
+  // Klaviyo visit events: the metric each connection records them under
+  // (NULL = KLAVIYO_VISIT_METRIC_NAME), and an index for counting a guest's
+  // synced visits
+  {
+    name: 'add_klaviyo_visit_metric_name',
+    sql: `
+      ALTER TABLE klaviyo_connections
+      ADD COLUMN IF NOT EXISTS visit_metric_name VARCHAR(128);
+
+      CREATE INDEX IF NOT EXISTS idx_sync_log_visits
+      ON sync_log(provider, LOWER(email))
+      WHERE outcome = 'synced';
+    `
+  },
+
+  // Every captive-portal visit per provider account + guest email, for the
+  // VISITS / FIRSTVISIT / LASTVISIT fields. A retried or replayed sync keeps
+  // its visited_at, so it doesn't count twice. Visit numbers are read from
+  // here now instead of sync_log.
+  {
+    name: 'create_guest_visits',
+    sql: `
+      CREATE TABLE IF NOT EXISTS guest_visits (
+        id SERIAL PRIMARY KEY,
+        provider VARCHAR(20) NOT NULL,
+        account_id VARCHAR(50) NOT NULL,
+        email VARCHAR(255) NOT NULL,
+        mac_address VARCHAR(17),
+        location_name VARCHAR(255),
+        visited_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        UNIQUE(provider, account_id, email, visited_at)
+      );
+
+      DROP INDEX IF EXISTS idx_sync_log_visits;
+    `
+  },
+
+  // Visit numbers come from guest_visits, so sync_log no longer needs the
+  // index add_klaviyo_visit_metric_name created for counting them
+  {
+    name: 'drop_sync_log_visits_index',
+    sql: `
+      DROP INDEX IF EXISTS idx_sync_log_visits;
+    `
   }
 ];
 
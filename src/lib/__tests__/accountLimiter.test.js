@@ -0,0 +1,136 @@
+const axios = require('axios');
+const { createAccountLimiter, endpointOf } = require('../accountLimiter');
+
+/**
+ * axios client whose requests are answered by `respond(config)` after
+ * `delayMs`; records the order requests reach the "network".
+ */
+function fakeClient({ token, respond = () => ({ status: 200 }), delayMs = 20, log }) {
+  return axios.create({
+    baseURL: 'https://api.example.com',
+    headers: { Authorization: `Bearer ${token}` },
+    adapter: (config) => new Promise((resolve, reject) => {
+      log.push({ url: config.url, token, start: Date.now() });
+      setTimeout(() => {
+        const { status, headers = {} } = respond(config);
+        const response = { data: {}, status, statusText: String(status), headers, config };
+        if (status >= 400) {
+          reject(new axios.AxiosError(`Request failed with status code ${status}`, 'ERR_BAD_RESPONSE', config, null, response));
+        } else {
+          resolve(response);
+        }
+      }, delayMs);
+    }),
+  });
+}
+
+beforeEach(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('endpointOf', () => {
+  test.each([
+    ['/events/', 'events'],
+    ['/lists/XyZ/relationships/profiles/', 'lists'],
+    ['/profile-bulk-import-jobs/?page=2', 'profile-bulk-import-jobs'],
+    ['https://a.klaviyo.com/api/accounts/', 'api'],
+    ['', '/'],
+  ])('%s -> %s', (url, endpoint) => {
+    expect(endpointOf(url)).toBe(endpoint);
+  });
+});
+
+describe('createAccountLimiter', () => {
+  test('requires an account id', () => {
+    const limiter = createAccountLimiter({ provider: 'mailchimp', maxConcurrent: 1 });
+    expect(() => limiter.wrap(axios.create(), null)).toThrow(/account id/);
+  });
+
+  test('old and refreshed tokens of one account share the concurrency cap', async () => {
+    const limiter = createAccountLimiter({ provider: 'klaviyo', maxConcurrent: 1 });
+    const log = [];
+    const oldClient = limiter.wrap(fakeClient({ token: 'old', log }), 'acct-1');
+    const newClient = limiter.wrap(fakeClient({ token: 'new', log }), 'acct-1');
+
+    const calls = [oldClient.get('/profiles/'), newClient.get('/profiles/')];
+    await new Promise(resolve => setTimeout(resolve, 5));
+    expect(limiter.stats()).toEqual([
+      expect.objectContaining({ account_id: 'acct-1', active: 1, queued: 1 }),
+    ]);
+    await Promise.all(calls);
+
+    expect(log[1].start - log[0].start).toBeGreaterThanOrEqual(15);
+  });
+
+  test('separate accounts do not wait for each other', async () => {
+    const limiter = createAccountLimiter({ provider: 'mailchimp', maxConcurrent: 1 });
+    const log = [];
+    const a = limiter.wrap(fakeClient({ token: 'a', log }), 'acct-a');
+    const b = limiter.wrap(fakeClient({ token: 'b', log }), 'acct-b');
+
+    await Promise.all([a.get('/lists'), b.get('/lists')]);
+
+    expect(Math.abs(log[1].start - log[0].start)).toBeLessThan(15);
+  });
+
+  test('a Klaviyo 429 pauses only the endpoint that returned it', async () => {
+    const limiter = createAccountLimiter({ provider: 'klaviyo', maxConcurrent: 5, pauseScope: 'endpoint' });
+    const log = [];
+    let limited = true;
+    const client = limiter.wrap(fakeClient({
+      token: 't',
+      log,
+      delayMs: 5,
+      respond: (config) => {
+        if (config.url === '/events/' && limited) {
+          limited = false;
+          return { status: 429, headers: { 'retry-after': '0.3' } };
+        }
+        return { status: 200 };
+      },
+    }), 'acct-1');
+
+    const event = client.post('/events/', {});
+    await new Promise(resolve => setTimeout(resolve, 30));
+
+    expect(limiter.stats()[0].paused_endpoints).toEqual({ events: expect.any(String) });
+    const startedAt = Date.now();
+    await client.post('/profile-bulk-import-jobs/', {});
+    expect(Date.now() - startedAt).toBeLessThan(200);
+
+    await event;
+    const eventStarts = log.filter(entry => entry.url === '/events/').map(entry => entry.start);
+    expect(eventStarts).toHaveLength(2);
+    expect(eventStarts[1] - eventStarts[0]).toBeGreaterThanOrEqual(280);
+  });
+
+  test('a Mailchimp 429 pauses the whole account', async () => {
+    const limiter = createAccountLimiter({ provider: 'mailchimp', maxConcurrent: 5 });
+    const log = [];
+    let limited = true;
+    const client = limiter.wrap(fakeClient({
+      token: 't',
+      log,
+      delayMs: 5,
+      respond: (config) => {
+        if (config.url === '/batches' && limited) {
+          limited = false;
+          return { status: 429, headers: { 'retry-after': '0.2' } };
+        }
+        return { status: 200 };
+      },
+    }), 'acct-1');
+
+    const batch = client.post('/batches', {});
+    await new Promise(resolve => setTimeout(resolve, 30));
+
+    const startedAt = Date.now();
+    await client.get('/lists');
+    expect(Date.now() - startedAt).toBeGreaterThanOrEqual(120);
+    await batch;
+  });
+});
@@ -0,0 +1,65 @@
+const { suggestDomain, screenEmail, DEFAULT_POLICY } = require('../emailQuality');
+
+describe('suggestDomain', () => {
+  test.each([
+    'hotmail.ca',
+    'protonmail.ch',
+    'yahoo.co.jp',
+    'yahoo.co.in',
+    'yahoo.co.nz',
+    'hotmail.co.nz',
+    'hotmail.co.uk',
+    'yahoo.com.au',
+    'gmx.de',
+    'gmail.com',
+    'mail.com',
+    'example.com',
+    'company.co',
+  ])('leaves %s alone', (domain) => {
+    expect(suggestDomain(domain)).toBeNull();
+  });
+
+  test.each([
+    ['gmial.com', 'gmail.com'],
+    ['gmaill.com', 'gmail.com'],
+    ['yahooo.com', 'yahoo.com'],
+    ['outlok.com', 'outlook.com'],
+    ['hotmial.co.uk', 'hotmail.co.uk'],
+    ['hotmial.cmo', 'hotmail.com'],
+    ['gmail.con', 'gmail.com'],
+    ['example.con', 'example.com'],
+  ])('suggests %s -> %s', (domain, suggestion) => {
+    expect(suggestDomain(domain)).toBe(suggestion);
+  });
+});
+
+describe('screenEmail', () => {
+  const payload = (email) => ({ email, mac_address: 'aa:bb:cc:dd:ee:ff' });
+
+  test('tags typos by default without changing the address', async () => {
+    expect(DEFAULT_POLICY.typo).toBe('tag');
+
+    const { payload: screened, report, rejected } = await screenEmail({}, payload('guest@gmial.com'));
+    expect(rejected).toBe(false);
+    expect(screened.email).toBe('guest@gmial.com');
+    expect(screened.email_flags).toEqual(['typo']);
+    expect(report.decisions).toEqual([{ check: 'typo', action: 'tag', suggestion: 'gmail.com' }]);
+  });
+
+  test('corrects typos when the policy says so', async () => {
+    const connection = { email_quality_policy: { typo: 'correct' } };
+    const { payload: screened, report } = await screenEmail(connection, payload('guest@gmial.com'));
+    expect(screened.email).toBe('guest@gmail.com');
+    expect(report.original_email).toBe('guest@gmial.com');
+  });
+
+  test.each(['hotmail.ca', 'protonmail.ch', 'yahoo.co.jp', 'yahoo.co.in', 'yahoo.co.nz', 'hotmail.co.nz'])(
+    'syncs guest@%s unchanged under a correcting policy',
+    async (domain) => {
+      const connection = { email_quality_policy: { typo: 'correct' } };
+      const { payload: screened, report } = await screenEmail(connection, payload(`guest@${domain}`));
+      expect(screened.email).toBe(`guest@${domain}`);
+      expect(report).toBeNull();
+    }
+  );
+});
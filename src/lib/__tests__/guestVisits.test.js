@@ -0,0 +1,102 @@
+jest.mock('../../db', () => {
+  // guest_visits with its UNIQUE(provider, account_id, email, visited_at)
+  const rows = new Map();
+  return {
+    rows,
+    recordGuestVisits: jest.fn(async (provider, accountId, visits) => {
+      for (const visit of visits) {
+        const visitedAt = new Date(visit.visitedAt).toISOString();
+        const key = [provider, accountId, visit.email.toLowerCase(), visitedAt].join('|');
+        if (!rows.has(key)) rows.set(key, { provider, accountId, email: visit.email.toLowerCase(), visitedAt });
+      }
+    }),
+    getGuestVisitStats: jest.fn(async (provider, accountId, emails) => {
+      const stats = new Map();
+      for (const email of emails.map(e => e.toLowerCase())) {
+        const times = [...rows.values()]
+          .filter(row => row.provider === provider && row.accountId === accountId && row.email === email)
+          .map(row => row.visitedAt)
+          .sort();
+        if (times.length > 0) {
+          stats.set(email, { visits: times.length, first_visit_at: times[0], last_visit_at: times[times.length - 1] });
+        }
+      }
+      return stats;
+    }),
+  };
+});
+
+const db = require('../../db');
+const { parseVisitTime, recordVisit } = require('../guestVisits');
+const { buildJobPayload } = require('../contactSync');
+const { validateContact } = require('../contactPipeline');
+
+const MAC = 'aa:bb:cc:dd:ee:ff';
+
+beforeEach(() => {
+  db.rows.clear();
+});
+
+describe('parseVisitTime', () => {
+  test.each([
+    ['2026-03-01T18:30:00Z', '2026-03-01T18:30:00.000Z'],
+    ['2026-03-01T19:30:00+01:00', '2026-03-01T18:30:00.000Z'],
+    [1772389800, '2026-03-01T18:30:00.000Z'],
+    ['1772389800', '2026-03-01T18:30:00.000Z'],
+    [1772389800000, '2026-03-01T18:30:00.000Z'],
+  ])('%p -> %s', (value, expected) => {
+    expect(parseVisitTime(value)).toBe(expected);
+  });
+
+  test.each([['yesterday'], [''], [null], [undefined], [{}], [true]])('rejects %p', (value) => {
+    expect(parseVisitTime(value)).toBeNull();
+  });
+});
+
+describe('visit time on the job payload', () => {
+  test('uses the payload timestamp', () => {
+    const payload = buildJobPayload({ email: 'guest@example.com', timestamp: '2026-03-01T18:30:00Z' }, MAC);
+    expect(payload.visited_at).toBe('2026-03-01T18:30:00.000Z');
+  });
+
+  test('falls back to the time the request arrives', () => {
+    const before = Date.now();
+    const payload = buildJobPayload({ email: 'guest@example.com' }, MAC);
+    expect(Date.parse(payload.visited_at)).toBeGreaterThanOrEqual(before);
+    expect(Date.parse(payload.visited_at)).toBeLessThanOrEqual(Date.now());
+  });
+
+  test('rejects a timestamp that is not a time', () => {
+    const body = { mac_address: MAC, email: 'guest@example.com', timestamp: 'yesterday' };
+    expect(validateContact(body)).toMatch(/timestamp/);
+    expect(validateContact({ ...body, timestamp: '2026-03-01T18:30:00Z' })).toBeNull();
+  });
+});
+
+describe('recordVisit', () => {
+  test('two deliveries of the same payload record one visit', async () => {
+    const body = { mac_address: MAC, email: 'Guest@Example.com', timestamp: '2026-03-01T18:30:00Z' };
+
+    await recordVisit('mailchimp', 'acct-1', buildJobPayload(body, MAC));
+    const stats = await recordVisit('mailchimp', 'acct-1', buildJobPayload({ ...body }, MAC));
+
+    expect(stats).toEqual({
+      visits: 1,
+      first_visit_at: '2026-03-01T18:30:00.000Z',
+      last_visit_at: '2026-03-01T18:30:00.000Z',
+    });
+  });
+
+  test('a backfilled earlier login becomes the first visit', async () => {
+    const body = { mac_address: MAC, email: 'guest@example.com' };
+
+    await recordVisit('klaviyo', 'acct-1', buildJobPayload({ ...body, timestamp: '2026-03-10T12:00:00Z' }, MAC));
+    const stats = await recordVisit('klaviyo', 'acct-1', buildJobPayload({ ...body, timestamp: '2026-02-01T12:00:00Z' }, MAC));
+
+    expect(stats).toEqual({
+      visits: 2,
+      first_visit_at: '2026-02-01T12:00:00.000Z',
+      last_visit_at: '2026-03-10T12:00:00.000Z',
+    });
+  });
+});
@@ -0,0 +1,63 @@
+jest.mock('../../db', () => ({
+  claimIdempotencyKey: jest.fn(),
+  saveIdempotentResponse: jest.fn(),
+  releaseIdempotencyKey: jest.fn(),
+}));
+
+const db = require('../../db');
+const { idempotency, isReplayable } = require('../idempotency');
+
+/**
+ * Run the middleware, then a handler answering with `status`.
+ */
+async function respond(status) {
+  const req = {
+    body: { mac_address: 'aa:bb:cc:dd:ee:ff', email: 'guest@example.com' },
+    get: (name) => (name === 'idempotency-key' ? 'key-1' : undefined),
+  };
+  const sent = new Promise((resolve) => {
+    const res = {
+      statusCode: 200,
+      status(code) { this.statusCode = code; return this; },
+      set: jest.fn(),
+      json: resolve,
+    };
+    idempotency('mailchimp')(req, res, () => res.status(status).json({ status }));
+  });
+  await sent;
+}
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  db.claimIdempotencyKey.mockResolvedValue({ claimed: true });
+  db.saveIdempotentResponse.mockResolvedValue();
+  db.releaseIdempotencyKey.mockResolvedValue();
+});
+
+describe('isReplayable', () => {
+  test.each([[200, true], [202, true], [400, true], [422, true], [404, false], [409, false], [429, false], [500, false], [503, false]])(
+    '%i -> %p',
+    (status, expected) => {
+      expect(isReplayable(status)).toBe(expected);
+    }
+  );
+});
+
+describe('idempotency', () => {
+  test('stores a successful response', async () => {
+    await respond(200);
+    expect(db.saveIdempotentResponse).toHaveBeenCalledWith('mailchimp', 'key-1', 200, { status: 200 });
+    expect(db.releaseIdempotencyKey).not.toHaveBeenCalled();
+  });
+
+  test('stores a validation error', async () => {
+    await respond(400);
+    expect(db.saveIdempotentResponse).toHaveBeenCalledWith('mailchimp', 'key-1', 400, { status: 400 });
+  });
+
+  test('releases the key when the connection is not found', async () => {
+    await respond(404);
+    expect(db.releaseIdempotencyKey).toHaveBeenCalledWith('mailchimp', 'key-1');
+    expect(db.saveIdempotentResponse).not.toHaveBeenCalled();
+  });
+});
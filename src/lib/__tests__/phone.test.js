@@ -0,0 +1,91 @@
+const { COUNTRIES, normalizePhone, phoneCountryFor } = require('../phone');
+
+// National numbers as guests type them, per country
+const NATIONAL_NUMBERS = {
+  US: [['(415) 555-0123', '+14155550123'], ['1 415 555 0123', '+14155550123']],
+  CA: [['604-555-0123', '+16045550123']],
+  PR: [['787 555 0123', '+17875550123']],
+  MX: [['55 1234 5678', '+525512345678']],
+  GB: [['07700 900123', '+447700900123'], ['020 7946 0018', '+442079460018']],
+  IE: [['01 234 5678', '+35312345678'], ['087 123 4567', '+353871234567']],
+  FR: [['06 12 34 56 78', '+33612345678']],
+  DE: [['0151 1234567', '+491511234567'], ['030 1234567', '+49301234567']],
+  ES: [['612 34 56 78', '+34612345678']],
+  PT: [['912 345 678', '+351912345678']],
+  IT: [['06 1234 5678', '+390612345678'], ['312 345 6789', '+393123456789']],
+  NL: [['06 12345678', '+31612345678']],
+  BE: [['0470 12 34 56', '+32470123456']],
+  CH: [['078 123 45 67', '+41781234567']],
+  AT: [['0664 1234567', '+436641234567']],
+  DK: [['20 12 34 56', '+4520123456']],
+  NO: [['412 34 567', '+4741234567']],
+  SE: [['070-123 45 67', '+46701234567']],
+  AU: [['0412 345 678', '+61412345678']],
+  NZ: [['021 123 4567', '+64211234567']],
+  ZA: [['082 123 4567', '+27821234567']],
+  IN: [['098765 43210', '+919876543210'], ['98765 43210', '+919876543210']],
+  PH: [['0917 123 4567', '+639171234567']],
+  SG: [['8123 4567', '+6581234567']],
+  JP: [['090-1234-5678', '+819012345678']],
+  AE: [['050 123 4567', '+971501234567']],
+  BR: [['(11) 91234-5678', '+5511912345678']],
+};
+
+describe('normalizePhone', () => {
+  test('covers every supported country', () => {
+    expect(Object.keys(NATIONAL_NUMBERS).sort()).toEqual(Object.keys(COUNTRIES).sort());
+  });
+
+  describe.each(Object.keys(COUNTRIES))('%s', (country) => {
+    test.each(NATIONAL_NUMBERS[country])('national %s -> %s', (raw, expected) => {
+      expect(normalizePhone(raw, country)).toBe(expected);
+    });
+
+    test.each(NATIONAL_NUMBERS[country].map(([, e164]) => [e164]))('international %s is kept', (e164) => {
+      expect(normalizePhone(e164, country)).toBe(e164);
+      expect(normalizePhone(`00${e164.slice(1)}`, country)).toBe(e164);
+    });
+  });
+
+  test.each([
+    ['+49 0151 1234567'],
+    ['+43 0664 1234567'],
+    ['+46 070 123 45 67'],
+    ['+353 01 234 5678'],
+    ['+44 07700 900123'],
+  ])('rejects a trunk 0 after the country code: %s', (raw) => {
+    expect(normalizePhone(raw)).toBeNull();
+  });
+
+  test('keeps the 0 of Italian landlines after the country code', () => {
+    expect(normalizePhone('+39 06 1234 5678')).toBe('+390612345678');
+  });
+
+  test('reads 011 as the NANP international prefix', () => {
+    expect(normalizePhone('011 44 7700 900123', 'US')).toBe('+447700900123');
+  });
+
+  test('drops extensions', () => {
+    expect(normalizePhone('415-555-0123 ext. 42', 'US')).toBe('+14155550123');
+  });
+
+  test.each([
+    ['555-0123', 'US'],
+    ['(015) 555-0123', 'US'],
+    ['call me', 'US'],
+    ['07700 9001', 'GB'],
+    ['', 'US'],
+    [null, 'US'],
+  ])('rejects %p (%s)', (raw, country) => {
+    expect(normalizePhone(raw, country)).toBeNull();
+  });
+});
+
+describe('phoneCountryFor', () => {
+  test('prefers the payload, then the connection, then US', () => {
+    delete process.env.DEFAULT_PHONE_COUNTRY;
+    expect(phoneCountryFor({ default_country: 'GB' }, { country: 'de' })).toBe('DE');
+    expect(phoneCountryFor({ default_country: 'GB' }, {})).toBe('GB');
+    expect(phoneCountryFor({}, { country: 'XX' })).toBe('US');
+  });
+});
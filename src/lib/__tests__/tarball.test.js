@@ -0,0 +1,88 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const axios = require('axios');
+const { extractTarEntries } = require('../tarball');
+const { getBatchResults } = require('../../services/mailchimp');
+
+// Real archives written by GNU tar in its three formats, each holding:
+//   results/                          directory
+//   results/empty.txt                 0 bytes
+//   results/exact-block.json          512 bytes, exactly one block
+//   results/padded.json               513 bytes, padded to two blocks
+//   results/nested-directory-x5/operation-results-with-a-long-file-name.json
+//                                     138-byte path, past the 100-byte name field
+const fixture = (format) => fs.readFileSync(path.join(__dirname, 'fixtures', `batch-results-${format}.tar.gz`));
+const archive = (format) => zlib.gunzipSync(fixture(format));
+
+const LONG_NAME = `results/${'nested-directory-'.repeat(5)}/operation-results-with-a-long-file-name.json`;
+
+describe('extractTarEntries', () => {
+  test.each([['gnu'], ['ustar'], ['posix']])('reads every regular file of a %s archive', (format) => {
+    const entries = extractTarEntries(archive(format));
+
+    expect(entries.map(entry => [entry.name, entry.data.length])).toEqual([
+      ['results/empty.txt', 0],
+      ['results/exact-block.json', 512],
+      [LONG_NAME, 83],
+      ['results/padded.json', 513],
+    ]);
+  });
+
+  test('returns file contents without block padding', () => {
+    const entries = extractTarEntries(archive('gnu'));
+    const byName = Object.fromEntries(entries.map(entry => [entry.name, entry.data.toString('utf8')]));
+
+    expect(JSON.parse(byName['results/exact-block.json']).map(op => op.operation_id)).toEqual(['exact-0', 'exact-1', 'exact-2']);
+    expect(JSON.parse(byName['results/padded.json']).map(op => op.operation_id)).toEqual(['padded-0', 'padded-1', 'padded-2']);
+    expect(JSON.parse(byName[LONG_NAME])).toEqual([
+      { operation_id: 'long-0', status_code: 200, response: '{"id": "long0"}' },
+    ]);
+  });
+
+  test('stops at the end-of-archive blocks', () => {
+    const tar = archive('ustar');
+    const withTrailingData = Buffer.concat([tar, Buffer.from('not part of the archive')]);
+
+    expect(extractTarEntries(withTrailingData)).toHaveLength(4);
+  });
+
+  test('throws on an archive cut inside a file', () => {
+    const tar = archive('gnu');
+    const padded = tar.indexOf('padded-0');
+
+    expect(() => extractTarEntries(tar.subarray(0, padded + 10))).toThrow('Truncated tar archive');
+  });
+
+  test('throws on an archive cut inside a header', () => {
+    expect(() => extractTarEntries(archive('gnu').subarray(0, 700))).toThrow('Truncated tar archive');
+  });
+
+  test('returns nothing for an empty archive', () => {
+    expect(extractTarEntries(Buffer.alloc(1024))).toEqual([]);
+  });
+});
+
+describe('getBatchResults', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('parses the operations of every JSON file in the downloaded archive', async () => {
+    jest.spyOn(axios, 'get').mockResolvedValue({ data: fixture('posix') });
+
+    const results = await getBatchResults('https://mailchimp-batches.example.com/results.tar.gz');
+
+    expect(results.map(result => result.operationId)).toEqual([
+      'exact-0', 'exact-1', 'exact-2', 'long-0', 'padded-0', 'padded-1', 'padded-2',
+    ]);
+    expect(results[3]).toEqual({ operationId: 'long-0', statusCode: 200, response: { id: 'long0' } });
+  });
+
+  test('fails on a truncated download', async () => {
+    jest.spyOn(axios, 'get').mockResolvedValue({ data: fixture('gnu').subarray(0, 200) });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(getBatchResults('https://mailchimp-batches.example.com/results.tar.gz')).rejects.toThrow();
+  });
+});
@@ -0,0 +1,211 @@
+jest.mock('../../db', () => ({
+  getActiveWebhookSecrets: jest.fn(),
+}));
+
+const crypto = require('crypto');
+const db = require('../../db');
+const { verifySignature, invalidateSecretsCache } = require('../webhookSignature');
+
+const sign = (secret, content) => crypto.createHmac('sha256', secret).update(content).digest('hex');
+const now = () => String(Math.floor(Date.now() / 1000));
+
+/**
+ * Run verifySignature on a request; resolves with 'next' or the rejection
+ * { status, body }.
+ */
+function verify({ method = 'POST', headers = {}, rawBody, body = {} }) {
+  const req = { method, headers, body, rawBody: rawBody === undefined ? undefined : Buffer.from(rawBody) };
+  return new Promise((resolve) => {
+    const res = {
+      statusCode: 200,
+      status(code) { this.statusCode = code; return this; },
+      json(payload) { resolve({ status: this.statusCode, body: payload }); },
+    };
+    verifySignature(req, res, () => resolve('next'));
+  });
+}
+
+/**
+ * Signed POST of `body` (an object, sent as raw JSON).
+ */
+function signedPost(secret, body, { timestamp = now(), integration } = {}) {
+  const rawBody = JSON.stringify(body);
+  return {
+    rawBody,
+    body,
+    headers: {
+      'x-webhook-timestamp': timestamp,
+      'x-webhook-signature': sign(secret, `${timestamp}.${rawBody}`),
+      ...(integration && { 'x-webhook-integration': integration }),
+    },
+  };
+}
+
+const ENV = { ...process.env };
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  invalidateSecretsCache();
+  db.getActiveWebhookSecrets.mockResolvedValue([]);
+  process.env = { ...ENV };
+  delete process.env.WEBHOOK_SECRET;
+  delete process.env.WEBHOOK_ALLOW_LEGACY_SIGNATURES;
+  delete process.env.WEBHOOK_TIMESTAMP_TOLERANCE_SECONDS;
+});
+
+afterAll(() => {
+  process.env = ENV;
+});
+
+describe('per-integration secrets cache', () => {
+  test('reads the secrets once while the cache is fresh', async () => {
+    db.getActiveWebhookSecrets.mockResolvedValue([{ id: 1, integration: 'n8n-prod', secret: 'prod-secret' }]);
+    const request = signedPost('prod-secret', { email: 'guest@example.com' }, { integration: 'n8n-prod' });
+
+    await expect(verify(request)).resolves.toBe('next');
+    await expect(verify(request)).resolves.toBe('next');
+
+    expect(db.getActiveWebhookSecrets).toHaveBeenCalledTimes(1);
+  });
+
+  test('a revoked secret stops working once the cache is invalidated', async () => {
+    db.getActiveWebhookSecrets.mockResolvedValue([{ id: 1, integration: 'n8n-prod', secret: 'prod-secret' }]);
+    const request = signedPost('prod-secret', { email: 'guest@example.com' }, { integration: 'n8n-prod' });
+    await expect(verify(request)).resolves.toBe('next');
+
+    db.getActiveWebhookSecrets.mockResolvedValue([{ id: 2, integration: 'n8n-staging', secret: 'staging-secret' }]);
+    invalidateSecretsCache();
+
+    await expect(verify(request)).resolves.toEqual({ status: 401, body: { error: 'Invalid webhook signature' } });
+  });
+});
+
+describe('verifySignature', () => {
+  beforeEach(() => {
+    process.env.WEBHOOK_SECRET = 'shared-secret';
+  });
+
+  test('accepts a valid signature over the raw body', async () => {
+    await expect(verify(signedPost('shared-secret', { email: 'guest@example.com' }))).resolves.toBe('next');
+  });
+
+  test('signs the body bytes as sent, not a re-serialization', async () => {
+    const timestamp = now();
+    const rawBody = '{ "email":"guest@example.com" }';
+    const request = {
+      rawBody,
+      body: JSON.parse(rawBody),
+      headers: { 'x-webhook-timestamp': timestamp, 'x-webhook-signature': sign('shared-secret', `${timestamp}.${rawBody}`) },
+    };
+    await expect(verify(request)).resolves.toBe('next');
+  });
+
+  test('rejects a tampered body', async () => {
+    const request = signedPost('shared-secret', { email: 'guest@example.com' });
+    request.rawBody = JSON.stringify({ email: 'attacker@example.com' });
+
+    await expect(verify(request)).resolves.toEqual({ status: 401, body: { error: 'Invalid webhook signature' } });
+  });
+
+  test('rejects a stale timestamp', async () => {
+    const stale = String(Math.floor(Date.now() / 1000) - 301);
+
+    await expect(verify(signedPost('shared-secret', { email: 'guest@example.com' }, { timestamp: stale })))
+      .resolves.toEqual({ status: 401, body: { error: 'Webhook timestamp outside tolerance' } });
+  });
+
+  test('honors WEBHOOK_TIMESTAMP_TOLERANCE_SECONDS', async () => {
+    process.env.WEBHOOK_TIMESTAMP_TOLERANCE_SECONDS = '600';
+    const timestamp = String(Math.floor(Date.now() / 1000) - 400);
+
+    await expect(verify(signedPost('shared-secret', { email: 'guest@example.com' }, { timestamp }))).resolves.toBe('next');
+  });
+
+  test('rejects a missing signature', async () => {
+    await expect(verify({ rawBody: '{}', headers: { 'x-webhook-timestamp': now() } }))
+      .resolves.toEqual({ status: 401, body: { error: 'Missing webhook signature' } });
+  });
+
+  test('accepts the old and new shared secret during a rotation', async () => {
+    process.env.WEBHOOK_SECRET = 'new-secret, old-secret';
+    const body = { email: 'guest@example.com' };
+
+    await expect(verify(signedPost('old-secret', body))).resolves.toBe('next');
+    await expect(verify(signedPost('new-secret', body))).resolves.toBe('next');
+    await expect(verify(signedPost('retired-secret', body))).resolves.toMatchObject({ status: 401 });
+  });
+
+  test('checks a named integration only against its own secrets', async () => {
+    db.getActiveWebhookSecrets.mockResolvedValue([
+      { id: 1, integration: 'n8n-prod', secret: 'prod-old' },
+      { id: 2, integration: 'n8n-prod', secret: 'prod-new' },
+      { id: 3, integration: 'n8n-staging', secret: 'staging-secret' },
+    ]);
+    const body = { email: 'guest@example.com' };
+
+    await expect(verify(signedPost('prod-old', body, { integration: 'n8n-prod' }))).resolves.toBe('next');
+    await expect(verify(signedPost('prod-new', body, { integration: 'n8n-prod' }))).resolves.toBe('next');
+    await expect(verify(signedPost('staging-secret', body, { integration: 'n8n-prod' }))).resolves.toMatchObject({ status: 401 });
+    await expect(verify(signedPost('shared-secret', body, { integration: 'n8n-prod' }))).resolves.toMatchObject({ status: 401 });
+  });
+
+  test('skips verification when no secret is configured', async () => {
+    delete process.env.WEBHOOK_SECRET;
+
+    await expect(verify({ rawBody: '{}', headers: {} })).resolves.toBe('next');
+  });
+
+  describe('legacy signatures', () => {
+    const body = { email: 'guest@example.com', mac_address: 'aa:bb:cc:dd:ee:ff' };
+    const legacy = () => ({
+      rawBody: JSON.stringify(body, null, 2),
+      body,
+      headers: { 'x-webhook-signature': sign('shared-secret', JSON.stringify(body)) },
+    });
+    const legacyTimestamped = () => {
+      const timestamp = now();
+      return {
+        rawBody: JSON.stringify(body, null, 2),
+        body,
+        headers: {
+          'x-webhook-timestamp': timestamp,
+          'x-webhook-signature': sign('shared-secret', `${timestamp}.${JSON.stringify(body)}`),
+        },
+      };
+    };
+
+    test('are rejected by default', async () => {
+      await expect(verify(legacy())).resolves.toEqual({ status: 401, body: { error: 'Missing webhook timestamp' } });
+      await expect(verify(legacyTimestamped())).resolves.toEqual({ status: 401, body: { error: 'Invalid webhook signature' } });
+    });
+
+    test('are accepted with WEBHOOK_ALLOW_LEGACY_SIGNATURES on', async () => {
+      process.env.WEBHOOK_ALLOW_LEGACY_SIGNATURES = 'true';
+
+      await expect(verify(legacy())).resolves.toBe('next');
+      await expect(verify(legacyTimestamped())).resolves.toBe('next');
+    });
+  });
+
+  describe('GET requests', () => {
+    test('sign "<timestamp>." with an empty body', async () => {
+      const timestamp = now();
+      const request = {
+        method: 'GET',
+        headers: { 'x-webhook-timestamp': timestamp, 'x-webhook-signature': sign('shared-secret', `${timestamp}.`) },
+      };
+
+      await expect(verify(request)).resolves.toBe('next');
+    });
+
+    test('reject a signature over anything else', async () => {
+      const timestamp = now();
+      const request = {
+        method: 'GET',
+        headers: { 'x-webhook-timestamp': timestamp, 'x-webhook-signature': sign('shared-secret', `${timestamp}.{}`) },
+      };
+
+      await expect(verify(request)).resolves.toMatchObject({ status: 401 });
+    });
+  });
+});
@@ -0,0 +1,216 @@
+/**
+ * Per-account request limiter for provider API clients.
+ *
+ * Mailchimp allows 10 concurrent connections per account and Klaviyo rate
+ * limits each account per endpoint, so a busy multi-location group can trip
+ * 429s. Each service wraps its axios client with limiter.wrap(client,
+ * accountId): calls for the same account queue until a slot is free (and,
+ * if configured, the account is under its requests-per-second budget).
+ *
+ * Accounts are keyed by the provider's account_id, so every connection and
+ * every access token of an account (Klaviyo rotates them on each refresh)
+ * shares one queue.
+ *
+ * A 429 pauses the account for the Retry-After period (or an exponential
+ * fallback) and the call is retried through the queue, up to maxRetries
+ * times; after that the 429 surfaces and the sync queue retries the job
+ * later. With pauseScope 'endpoint' (Klaviyo) only calls to the same
+ * endpoint are paused, keyed by the first segment of the request path
+ * (`/events/` -> 'events'); other endpoints keep running.
+ */
+
+/**
+ * Retry-After header (seconds or HTTP date) in milliseconds, or null.
+ */
+function retryAfterMs(header) {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(header);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Endpoint of a request path: its first segment ('/lists/X/' -> 'lists').
+ */
+function endpointOf(url) {
+  const path = String(url || '').replace(/^[a-z]+:\/\/[^/]+/i, '').split('?')[0];
+  return path.split('/').filter(Boolean)[0] || '/';
+}
+
+// Pause key for calls that aren't paused per endpoint
+const ACCOUNT_PAUSE = '*';
+
+function createAccountLimiter({ provider, maxConcurrent, maxPerSecond = null, maxRetries = 3, pauseScope = 'account' }) {
+  // accountId -> { active, queue: [{ endpoint, resolve }], pauses: Map(pause key -> until), recent: [start times], timer }
+  const accounts = new Map();
+
+  const pauseKeyOf = (endpoint) => (pauseScope === 'endpoint' ? endpoint : ACCOUNT_PAUSE);
+
+  function stateFor(accountId) {
+    if (!accounts.has(accountId)) {
+      accounts.set(accountId, { active: 0, queue: [], pauses: new Map(), recent: [], timer: null });
+    }
+    return accounts.get(accountId);
+  }
+
+  function pausedUntil(state, endpoint, now) {
+    const until = state.pauses.get(pauseKeyOf(endpoint)) || 0;
+    return until > now ? until : 0;
+  }
+
+  function wakeLater(accountId, state, delayMs) {
+    if (state.timer) return;
+    state.timer = setTimeout(() => {
+      state.timer = null;
+      drain(accountId);
+    }, Math.max(delayMs, 1));
+    state.timer.unref();
+  }
+
+  // Start as many queued calls as the account's limits allow, skipping
+  // calls to paused endpoints
+  function drain(accountId) {
+    const state = accounts.get(accountId);
+    if (!state) return;
+
+    let now = Date.now();
+    for (const [key, until] of state.pauses) {
+      if (until <= now) state.pauses.delete(key);
+    }
+
+    while (state.queue.length > 0 && state.active < maxConcurrent) {
+      now = Date.now();
+
+      const index = state.queue.findIndex(call => !pausedUntil(state, call.endpoint, now));
+      if (index === -1) {
+        const next = Math.min(...state.queue.map(call => pausedUntil(state, call.endpoint, now)));
+        wakeLater(accountId, state, next - now);
+        break;
+      }
+
+      if (maxPerSecond) {
+        state.recent = state.recent.filter(t => now - t < 1000);
+        if (state.recent.length >= maxPerSecond) {
+          wakeLater(accountId, state, 1000 - (now - state.recent[0]));
+          break;
+        }
+        state.recent.push(now);
+      }
+
+      state.active++;
+      state.queue.splice(index, 1)[0].resolve();
+    }
+
+    now = Date.now();
+    const idle = state.active === 0 && state.queue.length === 0 && !state.timer &&
+      [...state.pauses.values()].every(until => until <= now) &&
+      state.recent.every(t => now - t >= 1000);
+    if (idle) accounts.delete(accountId);
+  }
+
+  function acquire(accountId, endpoint) {
+    return new Promise(resolve => {
+      stateFor(accountId).queue.push({ endpoint, resolve });
+      drain(accountId);
+    });
+  }
+
+  function release(accountId) {
+    const state = accounts.get(accountId);
+    if (!state) return;
+    state.active--;
+    drain(accountId);
+  }
+
+  function pause(accountId, endpoint, ms) {
+    const state = stateFor(accountId);
+    const key = pauseKeyOf(endpoint);
+    state.pauses.set(key, Math.max(state.pauses.get(key) || 0, Date.now() + ms));
+  }
+
+  /**
+   * Route every request of an axios client through the account's queue.
+   */
+  function wrap(client, accountId) {
+    if (!accountId) {
+      throw new Error(`${provider} API client needs an account id`);
+    }
+    const key = String(accountId);
+
+    const finish = (config) => {
+      if (config && config.limiterSlot) {
+        config.limiterSlot = false;
+        release(key);
+      }
+    };
+
+    client.interceptors.request.use(async (config) => {
+      await acquire(key, endpointOf(config.url));
+      config.limiterSlot = true;
+      return config;
+    });
+
+    client.interceptors.response.use(
+      (response) => {
+        finish(response.config);
+        return response;
+      },
+      async (error) => {
+        const config = error.config;
+        finish(config);
+
+        const attempt = (config && config.rateLimitRetries) || 0;
+        if (error.response?.status !== 429 || !config || attempt >= maxRetries) {
+          throw error;
+        }
+
+        const endpoint = endpointOf(config.url);
+        const waitMs = retryAfterMs(error.response.headers?.['retry-after']) ?? 1000 * 2 ** attempt;
+        const scope = pauseScope === 'endpoint' ? `account ${key}, ${endpoint}` : `account ${key}`;
+        console.warn(`${provider} rate limited (${scope}), retrying in ${waitMs}ms`);
+
+        config.rateLimitRetries = attempt + 1;
+        pause(key, endpoint, waitMs);
+        return client.request(config);
+      }
+    );
+
+    return client;
+  }
+
+  /**
+   * Accounts with calls in flight, queued or paused:
+   * [{ account_id, active, queued, paused_until, paused_endpoints? }]
+   * paused_until is the latest pause; with pauseScope 'endpoint',
+   * paused_endpoints maps each paused endpoint to its pause end.
+   */
+  function stats() {
+    const now = Date.now();
+    return [...accounts.entries()]
+      .map(([accountId, s]) => {
+        const pauses = [...s.pauses.entries()].filter(([, until]) => until > now);
+        return { accountId, s, pauses };
+      })
+      .filter(({ s, pauses }) => s.active > 0 || s.queue.length > 0 || pauses.length > 0)
+      .map(({ accountId, s, pauses }) => {
+        const latest = pauses.length > 0 ? Math.max(...pauses.map(([, until]) => until)) : 0;
+        return {
+          account_id: accountId,
+          active: s.active,
+          queued: s.queue.length,
+          paused_until: latest ? new Date(latest).toISOString() : null,
+          ...(pauseScope === 'endpoint' && {
+            paused_endpoints: Object.fromEntries(pauses.map(([endpoint, until]) => [endpoint, new Date(until).toISOString()])),
+          }),
+        };
+      });
+  }
+
+  return { wrap, stats };
+}
+
+module.exports = {
+  endpointOf,
+  createAccountLimiter,
+};
@@ -0,0 +1,175 @@
+/**
+ * Connection circuit breaker.
+ *
+ * A revoked app or deleted audience makes every sync for the account fail
+ * the same way, each costing an API round trip. Auth failures (401/403,
+ * Klaviyo invalid_grant) and 404s are counted per connection:
+ *
+ *   active            normal
+ *   degraded          some recent auth / not-found failures
+ *   revoked           CIRCUIT_BREAKER_THRESHOLD auth failures in a row
+ *                     (invalid_grant trips immediately)
+ *   audience_missing  CIRCUIT_BREAKER_THRESHOLD 404s in a row
+ *
+ * While revoked or audience_missing the circuit is open: syncs fail fast
+ * without calling the provider. Every CIRCUIT_BREAKER_PROBE_SECONDS one
+ * sync probes the account (token + audience/list); if the probe passes the
+ * circuit closes and the sync goes ahead. Any success, a reconnect through
+ * OAuth or a new audience also closes it.
+ */
+
+const db = require('../db');
+const mailchimp = require('../services/mailchimp');
+const klaviyo = require('../services/klaviyo');
+const { getValidAccessToken } = require('./klaviyoTokens');
+
+const OPEN_STATUSES = ['revoked', 'audience_missing'];
+
+const THRESHOLD = parseInt(process.env.CIRCUIT_BREAKER_THRESHOLD, 10) || 3;
+const PROBE_INTERVAL_SECONDS = parseInt(process.env.CIRCUIT_BREAKER_PROBE_SECONDS, 10) || 300;
+
+const AUDIENCE_COLUMNS = { mailchimp: 'audience_id', klaviyo: 'list_id' };
+
+function isOpen(connection) {
+  return OPEN_STATUSES.includes(connection.status);
+}
+
+/**
+ * Which status an error counts toward, or null if it says nothing about
+ * the connection (timeouts, 5xx, validation errors...).
+ */
+function classifyFailure(error) {
+  if (error.code === 'INVALID_GRANT') {
+    return { tripStatus: 'revoked', scope: 'account', immediate: true };
+  }
+
+  const status = error.httpStatus || error.response?.status;
+  if (status === 401 || status === 403) {
+    return { tripStatus: 'revoked', scope: 'account', immediate: false };
+  }
+  if (status === 404) {
+    return { tripStatus: 'audience_missing', scope: 'audience', immediate: false };
+  }
+  return null;
+}
+
+/**
+ * Count a failed provider call against the connection, if it is the kind
+ * that trips the breaker.
+ */
+async function recordFailure(provider, connection, error) {
+  const failure = classifyFailure(error);
+  if (!failure) return;
+
+  try {
+    const rows = await db.recordConnectionFailure(provider, {
+      accountId: connection.account_id,
+      audienceId: failure.scope === 'audience' ? connection[AUDIENCE_COLUMNS[provider]] : null,
+      tripStatus: failure.tripStatus,
+      reason: error.message,
+      threshold: failure.immediate ? 1 : THRESHOLD,
+    });
+
+    if (rows.some(r => r.status === failure.tripStatus) && !isOpen(connection)) {
+      console.warn(`Circuit opened: ${provider} account "${connection.account_name}" is ${failure.tripStatus} (${error.message})`);
+    }
+  } catch (dbError) {
+    console.error('Failed to record connection failure:', dbError.message);
+  }
+}
+
+/**
+ * Close the circuit after a successful call, if it wasn't already clean.
+ */
+async function recordSuccess(provider, connection) {
+  if (connection.status === 'active' && !connection.consecutive_failures) return;
+
+  try {
+    await db.resetConnectionStatus(provider, {
+      accountId: connection.account_id,
+      audienceId: connection[AUDIENCE_COLUMNS[provider]],
+    });
+    if (connection.status !== 'active') {
+      console.log(`Circuit closed: ${provider} account "${connection.account_name}" is active again`);
+    }
+  } catch (dbError) {
+    console.error('Failed to reset connection status:', dbError.message);
+  }
+}
+
+/**
+ * Check a connection against the provider: token works and the
+ * audience/list exists. Returns { ok, status?, reason? }; status is null
+ * for failures that say nothing about the connection (timeouts, 5xx, 429),
+ * as classified by classifyFailure.
+ */
+async function probeConnection(provider, connection) {
+  try {
+    if (provider === 'mailchimp') {
+      // Throws with the HTTP status, so a 401 counts as revoked but an outage doesn't
+      const audience = await mailchimp.getAudience(mailchimp.accountOf(connection), connection.audience_id);
+      if (!audience) return { ok: false, status: 'audience_missing', reason: 'Audience not found' };
+      return { ok: true };
+    }
+
+    const accessToken = await getValidAccessToken(connection);
+    const list = await klaviyo.getList(klaviyo.accountOf(connection, accessToken), connection.list_id);
+    if (!list) return { ok: false, status: 'audience_missing', reason: 'List not found' };
+    return { ok: true };
+  } catch (error) {
+    const failure = classifyFailure(error);
+    return { ok: false, status: failure ? failure.tripStatus : null, reason: error.message };
+  }
+}
+
+/**
+ * Whether a sync may call the provider. Closed circuits always pass; open
+ * ones pass only when this caller wins the periodic probe and it succeeds.
+ */
+async function allowSync(provider, connection) {
+  if (!isOpen(connection)) return true;
+
+  const claimed = await db.claimConnectionProbe(provider, connection.mac_address, PROBE_INTERVAL_SECONDS);
+  if (!claimed) return false;
+
+  const probe = await probeConnection(provider, connection);
+  if (!probe.ok) {
+    console.log(`Probe failed for ${provider} account "${connection.account_name}": ${probe.reason}`);
+    return false;
+  }
+
+  await db.resetConnectionStatus(provider, {
+    accountId: connection.account_id,
+    audienceId: connection[AUDIENCE_COLUMNS[provider]],
+  });
+  console.log(`Circuit closed after probe: ${provider} account "${connection.account_name}"`);
+  return true;
+}
+
+/**
+ * Error for a sync short-circuited by an open breaker. Not retryable: the
+ * failure is logged with its payload so it can be replayed once fixed.
+ */
+function circuitOpenError(provider, connection) {
+  const label = provider === 'mailchimp' ? 'Mailchimp' : 'Klaviyo';
+  const message = connection.status === 'revoked'
+    ? `${label} access revoked for this account; reconnect required`
+    : `${label} ${provider === 'mailchimp' ? 'audience' : 'list'} no longer exists; choose a new one`;
+
+  const err = new Error(message);
+  err.retryable = false;
+  err.code = 'CIRCUIT_OPEN';
+  err.connectionStatus = connection.status;
+  return err;
+}
+
+module.exports = {
+  OPEN_STATUSES,
+  isOpen,
+  classifyFailure,
+  recordFailure,
+  recordSuccess,
+  probeConnection,
+  allowSync,
+  circuitOpenError,
+};
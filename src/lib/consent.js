@@ -0,0 +1,133 @@
+/**
+ * Per-connection consent modes.
+ *
+ *   single_opt_in   guest is subscribed straight away (the default)
+ *   double_opt_in   Mailchimp adds the guest as 'pending' and sends a
+ *                   confirmation email; Klaviyo subscribes and the list's own
+ *                   double opt-in setting sends the confirmation
+ *   transactional   no marketing consent: Mailchimp 'transactional' status,
+ *                   Klaviyo profile only (no list subscription)
+ *
+ * In both opt-in modes the guest also gets the audience's Mailchimp GDPR
+ * marketing permissions, cached on the connection row.
+ *
+ * SMS consent is per guest: the portal's SMS opt-in checkbox arrives as
+ * `sms_consent` and is sent to Klaviyo only (Mailchimp ignores it), unless
+ * the connection is transactional.
+ */
+
+const db = require('../db');
+const mailchimp = require('../services/mailchimp');
+
+const CONSENT_MODES = ['single_opt_in', 'double_opt_in', 'transactional'];
+const DEFAULT_CONSENT_MODE = 'single_opt_in';
+
+const MAILCHIMP_STATUS = {
+  single_opt_in: 'subscribed',
+  double_opt_in: 'pending',
+  transactional: 'transactional',
+};
+
+const KLAVIYO_CONSENT = {
+  single_opt_in: 'SUBSCRIBED',
+  double_opt_in: 'SUBSCRIBED',
+  transactional: null,
+};
+
+function isValidConsentMode(mode) {
+  return CONSENT_MODES.includes(mode);
+}
+
+function consentModeOf(connection) {
+  return isValidConsentMode(connection.consent_mode) ? connection.consent_mode : DEFAULT_CONSENT_MODE;
+}
+
+/**
+ * Mailchimp status_if_new for a connection.
+ */
+function mailchimpStatusFor(connection) {
+  return MAILCHIMP_STATUS[consentModeOf(connection)];
+}
+
+/**
+ * Klaviyo email marketing consent for a connection, or null for none.
+ */
+function klaviyoConsentFor(connection) {
+  return KLAVIYO_CONSENT[consentModeOf(connection)];
+}
+
+/**
+ * A portal checkbox value (true, "true", "on", "yes", 1) as true/false, or
+ * null when the field wasn't sent.
+ */
+function parseOptIn(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'boolean') return value;
+  return ['true', 'on', 'yes', '1'].includes(String(value).trim().toLowerCase());
+}
+
+/**
+ * Klaviyo SMS marketing consent for a guest, or null for none. Needs the
+ * guest's opt-in and a phone number to send it to.
+ */
+function klaviyoSmsConsentFor(connection, payload, phone) {
+  if (!payload.sms_consent || !phone) return null;
+  return consentModeOf(connection) === 'transactional' ? null : 'SUBSCRIBED';
+}
+
+/**
+ * Marketing permission ids to enable for a guest. Only email permissions
+ * are granted by a WiFi sign-up; an audience whose permissions aren't
+ * labelled that way gets all of them.
+ */
+function marketingPermissionIdsFor(connection) {
+  if (consentModeOf(connection) === 'transactional') return [];
+
+  const permissions = connection.marketing_permissions || [];
+  const email = permissions.filter(p => /e-?mail/i.test(p.text || ''));
+  return (email.length > 0 ? email : permissions).map(p => p.id);
+}
+
+/**
+ * Fetch and cache the audience's marketing permissions for every
+ * connection syncing to it. Returns the permissions, or null when they
+ * can't be read yet (a GDPR audience without members); nothing is cached
+ * then, so the next sync tries again.
+ */
+async function refreshMarketingPermissions(connection) {
+  const permissions = await mailchimp.getMarketingPermissions(
+    mailchimp.accountOf(connection),
+    connection.audience_id
+  );
+  if (permissions === null) return null;
+
+  await db.setAudienceMarketingPermissions(connection.account_id, connection.audience_id, permissions);
+  return permissions;
+}
+
+/**
+ * Return the connection with its marketing permissions loaded, fetching
+ * them while an opt-in connection has none cached. Only null means "not
+ * loaded": [] is a cached audience without GDPR fields.
+ */
+async function withMarketingPermissions(connection) {
+  const loaded = connection.marketing_permissions !== null && connection.marketing_permissions !== undefined;
+  if (loaded || consentModeOf(connection) === 'transactional') {
+    return connection;
+  }
+  const permissions = await refreshMarketingPermissions(connection);
+  return { ...connection, marketing_permissions: permissions };
+}
+
+module.exports = {
+  CONSENT_MODES,
+  DEFAULT_CONSENT_MODE,
+  isValidConsentMode,
+  mailchimpStatusFor,
+  klaviyoConsentFor,
+  klaviyoSmsConsentFor,
+  parseOptIn,
+  marketingPermissionIdsFor,
+  refreshMarketingPermissions,
+  withMarketingPermissions,
+};
@@ -0,0 +1,188 @@
+/**
+ * Contact intake pipeline.
+ *
+ * Every contact route (single, batch, fan-out; Mailchimp and Klaviyo) runs
+ * incoming contacts through the same steps so a batched guest ends up
+ * exactly like a real-time one:
+ *
+ *   1. validate     required fields + email format, per payload
+ *                   schema_version (see guestIdentity): v1 needs an email
+ *                   (Klaviyo also takes phone-only guests who ticked the
+ *                   SMS opt-in), v2 any of email, phone or external_id
+ *   2. normalize    canonical MAC, job payload
+ *   3. resolve      connection by MAC, falling back to auto-mapping
+ *   4. log          "no connection" outcomes go to sync_log, with the
+ *                   payload so they can be replayed once connected
+ *   5. screen       email quality checks under the connection's policy
+ *                   (see emailQuality); rejected contacts are logged
+ *
+ * Tag / source building and delivery live in contactSync.js.
+ */
+
+const db = require('../db');
+const { buildJobPayload, resolveConnection } = require('./contactSync');
+const { screenEmail, rejectionMessage } = require('./emailQuality');
+const { parseOptIn } = require('./consent');
+const { phoneFor } = require('./phone');
+const { PAYLOAD_SCHEMA_VERSIONS, schemaVersionOf } = require('./guestIdentity');
+const { parseVisitTime } = require('./guestVisits');
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const PROVIDER_LABELS = {
+  mailchimp: 'Mailchimp',
+  klaviyo: 'Klaviyo',
+};
+
+/**
+ * Normalize a MAC to the canonical lowercase XX:XX:XX:XX:XX:XX form used by
+ * the connection tables. Accepts colons, dashes, dots or no separator;
+ * anything that isn't 12 hex characters is only lowercased.
+ */
+function normalizeMac(macAddress) {
+  const raw = String(macAddress).trim().toLowerCase();
+  const clean = raw.replace(/[:\-.\s]/g, '');
+  if (clean.length === 12 && /^[0-9a-f]+$/.test(clean)) {
+    return clean.match(/.{2}/g).join(':');
+  }
+  return raw;
+}
+
+// Providers that can subscribe a guest by phone alone (SMS consent)
+const PHONE_ONLY_PROVIDERS = ['klaviyo'];
+
+/**
+ * Return a validation error message for a contact body, or null if valid.
+ * With allowPhoneOnly, a v1 body without email is valid if it has a phone
+ * and sms_consent.
+ */
+function validateContact(body, { allowPhoneOnly = false } = {}) {
+  if (!body || !body.mac_address) {
+    return 'Missing required field: mac_address';
+  }
+
+  const version = schemaVersionOf(body);
+  if (version === null) {
+    return `schema_version must be one of: ${PAYLOAD_SCHEMA_VERSIONS.join(', ')}`;
+  }
+  if (body.timestamp !== undefined && body.timestamp !== null && !parseVisitTime(body.timestamp)) {
+    return 'timestamp must be an ISO 8601 date or a unix time';
+  }
+  if (version >= 2) {
+    if (!body.email && !body.phone && !body.external_id) {
+      return 'Missing identifier: email, phone or external_id';
+    }
+    if (body.email && !EMAIL_REGEX.test(body.email)) {
+      return 'Invalid email format';
+    }
+    return null;
+  }
+
+  if (!body.email) {
+    if (allowPhoneOnly && body.phone && parseOptIn(body.sms_consent)) return null;
+    return allowPhoneOnly
+      ? 'Missing required field: email (or phone with sms_consent)'
+      : 'Missing required field: email';
+  }
+  if (!EMAIL_REGEX.test(body.email)) {
+    return 'Invalid email format';
+  }
+  return null;
+}
+
+/**
+ * Run a job payload through the connection's email quality policy. A
+ * rejected contact is logged with outcome 'rejected'. A phone-only guest
+ * needs a phone that parses for the connection's country.
+ *
+ * Returns { payload, emailQuality } (emailQuality is null when no check
+ * fired), or { status, error, emailQuality? } with status 400 for an
+ * unusable phone and 422 for a rejected email.
+ */
+async function screenContact(provider, connection, payload) {
+  if (!payload.email) {
+    if (!payload.external_id && !phoneFor(connection, payload)) {
+      return { status: 400, error: 'Invalid phone number for a phone-only contact' };
+    }
+    return { payload, emailQuality: null };
+  }
+
+  const { payload: screened, report, rejected } = await screenEmail(connection, payload);
+  if (!rejected) {
+    return { payload: screened, emailQuality: report };
+  }
+
+  const error = rejectionMessage(report);
+  console.log(`${PROVIDER_LABELS[provider]} contact rejected: ${payload.email} (${error})`);
+
+  await db.logSync({
+    macAddress: payload.mac_address,
+    email: payload.email,
+    success: false,
+    outcome: 'rejected',
+    errorMessage: error,
+    provider,
+  });
+
+  return { status: 422, error, emailQuality: report };
+}
+
+/**
+ * Run a contact body through validation, normalization, connection
+ * resolution and email quality checks for one provider.
+ *
+ * Returns { payload, connection, emailQuality } on success, or
+ * { status, error, macAddress?, emailQuality? } with the HTTP status the
+ * single-contact routes answer with (400 / 404 / 422). Pass a Map as
+ * `connectionCache` to share lookups across a batch.
+ */
+async function prepareContact(provider, body, { connectionCache = null } = {}) {
+  const validationError = validateContact(body, { allowPhoneOnly: PHONE_ONLY_PROVIDERS.includes(provider) });
+  if (validationError) {
+    return { status: 400, error: validationError };
+  }
+
+  const macAddress = normalizeMac(body.mac_address);
+  const cacheKey = `${provider}|${macAddress}`;
+
+  let connection;
+  if (connectionCache && connectionCache.has(cacheKey)) {
+    connection = connectionCache.get(cacheKey);
+  } else {
+    connection = await resolveConnection(provider, macAddress, body.location_name);
+    if (connectionCache) connectionCache.set(cacheKey, connection);
+  }
+
+  if (!connection) {
+    const label = PROVIDER_LABELS[provider];
+    console.log(`No ${label} connection for MAC: ${macAddress}`);
+
+    await db.logSync({
+      macAddress,
+      email: body.email,
+      success: false,
+      errorMessage: `No ${label} connection found`,
+      provider,
+      payload: buildJobPayload(body, macAddress),
+    });
+
+    return {
+      status: 404,
+      error: `No ${label} connection found for this location`,
+      macAddress,
+    };
+  }
+
+  const screened = await screenContact(provider, connection, buildJobPayload(body, macAddress));
+  if (screened.error) return screened;
+
+  return { payload: screened.payload, connection, emailQuality: screened.emailQuality };
+}
+
+module.exports = {
+  normalizeMac,
+  validateContact,
+  prepareContact,
+  screenContact,
+  EMAIL_REGEX,
+};
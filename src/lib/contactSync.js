@@ -0,0 +1,425 @@
+/**
+ * Provider delivery for contact syncs.
+ *
+ * The webhook routes normalize a request into a job payload and hand it to the
+ * sync queue; the queue calls the deliverer for the job's provider, both for
+ * the inline first attempt and for every retry. Deliverers re-resolve the
+ * connection by MAC on each attempt so a reconnect or token refresh between
+ * retries is picked up.
+ *
+ * Errors thrown here may carry `retryable: false` to skip straight to the
+ * dead-letter state; otherwise the queue classifies them by `httpStatus`.
+ *
+ * Each delivery first checks the account's suppression list (see
+ * suppressions): suppressed guests are skipped or synced without consent,
+ * and the result carries `suppressed: true`. Then it goes through the
+ * connection's circuit breaker (see connectionStatus): open connections
+ * fail fast with code CIRCUIT_OPEN, and provider failures and successes are
+ * recorded against the connection.
+ */
+
+const db = require('../db');
+const mailchimp = require('../services/mailchimp');
+const klaviyo = require('../services/klaviyo');
+const { getValidAccessToken } = require('./klaviyoTokens');
+const {
+  mailchimpStatusFor,
+  klaviyoConsentFor,
+  klaviyoSmsConsentFor,
+  parseOptIn,
+  marketingPermissionIdsFor,
+  withMarketingPermissions,
+} = require('./consent');
+const { ensureMergeFields } = require('./mergeFields');
+const { applyFieldMappings, withFieldMappings } = require('./fieldMappings');
+const connectionStatus = require('./connectionStatus');
+const { checkSuppression, skippedResult } = require('./suppressions');
+const { flagTags } = require('./emailQuality');
+const { phoneFor } = require('./phone');
+const { deferWithoutEmail, mergeHeldGuests } = require('./guestIdentity');
+const { visitEventFor, memberNoteFor } = require('./memberActivity');
+const klaviyoEvents = require('./klaviyoEvents');
+const guestVisits = require('./guestVisits');
+
+// Every synced contact carries this tag (Mailchimp) / source prefix (Klaviyo).
+const BASE_TAG = 'VivaSpot WiFi';
+
+function permanentError(message, code = null) {
+  const err = new Error(message);
+  err.retryable = false;
+  if (code) err.code = code;
+  return err;
+}
+
+// Providers a contact can be delivered to, in fan-out order.
+const PROVIDERS = ['mailchimp', 'klaviyo'];
+
+/**
+ * Build the payload stored on a sync job from a webhook request body.
+ */
+function buildJobPayload(body, normalizedMac) {
+  return {
+    mac_address: normalizedMac,
+    email: body.email || null,
+    external_id: body.external_id ? String(body.external_id) : null,
+    first_name: body.first_name || null,
+    last_name: body.last_name || null,
+    phone: body.phone || null,
+    country: body.country || null,
+    sms_consent: parseOptIn(body.sms_consent),
+    source: body.source || null,
+    location_name: body.location_name || null,
+    custom_fields: body.custom_fields || {},
+    visited_at: guestVisits.visitTimeOf(body),
+  };
+}
+
+// =============================================================================
+// Connection resolution
+// =============================================================================
+
+/**
+ * Try to auto-map a location to an existing Mailchimp account
+ * Uses fuzzy matching on account/location name
+ */
+async function autoMapMailchimp(macAddress, locationName) {
+  try {
+    // Search for similar account names
+    const matches = await db.findConnectionsByAccountName(locationName, 0.3);
+
+    if (matches.length === 0) {
+      console.log(`No auto-mapping match for: ${locationName}`);
+      return null;
+    }
+
+    // Use the best match
+    const bestMatch = matches[0];
+    console.log(`Auto-mapped "${locationName}" -> "${bestMatch.account_name}" (score: ${bestMatch.match_score})`);
+
+    // Create a connection for this MAC address using the matched account
+    return await db.upsertConnection({
+      macAddress: macAddress,
+      accessToken: bestMatch.access_token,
+      dataCenter: bestMatch.data_center,
+      accountId: bestMatch.account_id,
+      accountName: bestMatch.account_name,
+      audienceId: bestMatch.audience_id,
+      audienceName: bestMatch.audience_name,
+      // Use location name as source tag for multi-location groups
+      sourceTag: locationName,
+      consentMode: bestMatch.consent_mode
+    });
+  } catch (error) {
+    console.error('Auto-mapping error:', error);
+    return null;
+  }
+}
+
+/**
+ * Fuzzy-map a location to an existing Klaviyo connection and create a row for
+ * this MAC. Mirrors the Mailchimp auto-mapping.
+ */
+async function autoMapKlaviyo(macAddress, locationName) {
+  try {
+    const matches = await db.findKlaviyoConnectionsByAccountName(locationName, 0.3);
+    if (matches.length === 0) return null;
+
+    const best = matches[0];
+    console.log(`Klaviyo auto-mapped "${locationName}" -> "${best.account_name}" (score: ${best.match_score})`);
+
+    return await db.upsertKlaviyoConnection({
+      macAddress,
+      accessToken: best.access_token,
+      refreshToken: best.refresh_token,
+      tokenExpiresAt: best.token_expires_at,
+      accountId: best.account_id,
+      accountName: best.account_name,
+      loginEmail: best.login_email,
+      listId: best.list_id,
+      listName: best.list_name,
+      sourceTag: locationName,
+      consentMode: best.consent_mode,
+    });
+  } catch (error) {
+    console.error('Klaviyo auto-mapping error:', error.message);
+    return null;
+  }
+}
+
+const CONNECTION_LOOKUPS = {
+  mailchimp: { byMac: (mac) => db.getConnectionByMac(mac), autoMap: autoMapMailchimp },
+  klaviyo: { byMac: (mac) => db.getKlaviyoConnectionByMac(mac), autoMap: autoMapKlaviyo },
+};
+
+/**
+ * Look up a provider's connection for a MAC, falling back to fuzzy
+ * auto-mapping by location name. Returns null if none can be found.
+ */
+async function resolveConnection(provider, macAddress, locationName) {
+  const lookup = CONNECTION_LOOKUPS[provider];
+  const connection = await lookup.byMac(macAddress);
+  if (connection || !locationName) return connection;
+  return lookup.autoMap(macAddress, locationName);
+}
+
+// =============================================================================
+// Delivery
+// =============================================================================
+
+/**
+ * Mailchimp contact + tags for a job payload. Tags always include the
+ * VivaSpot WiFi tag, then the connection's source tag, the payload source
+ * and a tag per email quality flag. The phone is normalized to E.164 (see
+ * phone), or dropped if invalid.
+ * Status and marketing permissions follow the connection's consent mode
+ * (load permissions with withMarketingPermissions first); custom fields go
+ * through the connection's field_mappings (see withFieldMappings). The
+ * wifi_visit event and member note are set if the connection enables them
+ * (see memberActivity). `visits` (the guest's totals from guestVisits) adds
+ * the VISITS, FIRSTVISIT and LASTVISIT merge fields.
+ */
+function buildMailchimpContact(connection, payload, { visits = null } = {}) {
+  const contact = {
+    email: payload.email,
+    firstName: payload.first_name,
+    lastName: payload.last_name,
+    phone: phoneFor(connection, payload),
+    mergeFields: {
+      ...applyFieldMappings(payload, connection.field_mappings),
+      ...guestVisits.visitMergeFields(visits),
+    },
+    status: mailchimpStatusFor(connection),
+    marketingPermissionIds: marketingPermissionIdsFor(connection),
+    event: visitEventFor(connection, payload),
+    note: memberNoteFor(connection, payload),
+  };
+
+  const tags = [BASE_TAG];
+  if (connection.source_tag) tags.push(connection.source_tag);
+  if (payload.source) tags.push(payload.source);
+  tags.push(...flagTags(payload));
+
+  return { contact, tags };
+}
+
+/**
+ * mailchimp.syncContact, provisioning merge fields on a 400: missing merge
+ * tags are created (or dropped if they can't be) and the sync retried once.
+ */
+async function syncMailchimpContact(connection, contact, tags) {
+  const sync = (c) => mailchimp.syncContact(
+    mailchimp.accountOf(connection),
+    connection.audience_id,
+    c,
+    tags
+  );
+
+  try {
+    return await sync(contact);
+  } catch (error) {
+    const mergeFields = mailchimp.buildMemberPayload(contact).merge_fields;
+    if (error.httpStatus !== 400 || Object.keys(mergeFields).length === 0) throw error;
+
+    const { available, created } = await ensureMergeFields(connection, mergeFields, { refresh: true });
+    const dropped = Object.keys(mergeFields).filter(tag => !available.has(tag));
+    if (created.length === 0 && dropped.length === 0) throw error;
+
+    if (dropped.length > 0) {
+      console.warn(`Dropping merge field(s) ${dropped.join(', ')} for ${contact.email}`);
+    }
+    return sync({ ...contact, mergeFieldTags: [...available] });
+  }
+}
+
+/**
+ * Run a provider call for a connection through its circuit breaker.
+ */
+async function withCircuitBreaker(provider, connection, call) {
+  if (!(await connectionStatus.allowSync(provider, connection))) {
+    throw connectionStatus.circuitOpenError(provider, connection);
+  }
+
+  let result;
+  try {
+    result = await call();
+  } catch (error) {
+    await connectionStatus.recordFailure(provider, connection, error);
+    throw error;
+  }
+
+  await connectionStatus.recordSuccess(provider, connection);
+  return result;
+}
+
+/**
+ * Upsert + tag a contact in the Mailchimp audience mapped to the payload's MAC.
+ * A guest without an email goes to the connection's missing-email policy
+ * instead; one with an email first picks up any guests held for its phone
+ * or external_id (see guestIdentity).
+ */
+async function deliverToMailchimp(jobPayload) {
+  const found = await db.getConnectionByMac(jobPayload.mac_address);
+  if (!found) {
+    throw permanentError('No Mailchimp connection found');
+  }
+
+  if (!jobPayload.email) {
+    return deferWithoutEmail(found, jobPayload);
+  }
+  const { payload, heldIds } = await mergeHeldGuests(found, jobPayload);
+
+  const suppression = await checkSuppression('mailchimp', found, payload.email);
+  if (suppression && suppression.action === 'skip') {
+    return { ...skippedResult(payload.email, suppression), account: found.account_name, audience: found.audience_name };
+  }
+  const target = suppression ? suppression.connection : found;
+
+  const visits = await guestVisits.recordVisit('mailchimp', found.account_id, payload);
+
+  let tags;
+  const result = await withCircuitBreaker('mailchimp', target, async () => {
+    const connection = await withFieldMappings('mailchimp', await withMarketingPermissions(target));
+    const built = buildMailchimpContact(connection, payload, { visits });
+    tags = built.tags;
+    return syncMailchimpContact(connection, built.contact, tags);
+  });
+  await db.deleteGuestsWithoutEmail(heldIds);
+
+  return {
+    email: result.email,
+    status: result.status,
+    account: found.account_name,
+    audience: found.audience_name,
+    tags,
+    channels: {
+      email: result.status,
+      // SMS consent is Klaviyo-only
+      ...(payload.sms_consent !== null && payload.sms_consent !== undefined && { sms: 'ignored' }),
+    },
+    ...(result.activity && { activity: result.activity }),
+    ...(heldIds.length > 0 && { released_held: heldIds.length }),
+    ...(suppression && { suppressed: true, reason: suppression.reason }),
+  };
+}
+
+/**
+ * Klaviyo contact + custom_source for a job payload. The source string
+ * ("VivaSpot WiFi | <source tag> | <source>") doubles as a profile property.
+ * emailConsent is null for transactional-only connections and phone-only
+ * guests; smsConsent is set when the guest ticked the SMS opt-in (see
+ * consent). Custom fields
+ * go through the connection's field_mappings, as for Mailchimp. Email
+ * quality flags go in the vivaspot_email_flags property. The phone is
+ * normalized as for Mailchimp. `visits` (the guest's totals from
+ * guestVisits) adds the vivaspot_visits, vivaspot_first_visit and
+ * vivaspot_last_visit properties and the visit event's visit_number.
+ */
+function buildKlaviyoContact(connection, payload, { visits = null } = {}) {
+  const sourceTagParts = [BASE_TAG];
+  if (connection.source_tag) sourceTagParts.push(connection.source_tag);
+  if (payload.source) sourceTagParts.push(payload.source);
+  const customSource = sourceTagParts.join(' | ');
+
+  const phone = phoneFor(connection, payload);
+  const contact = {
+    email: payload.email,
+    externalId: payload.external_id || null,
+    firstName: payload.first_name,
+    lastName: payload.last_name,
+    phone,
+    properties: {
+      vivaspot_source: customSource,
+      ...(payload.email_flags && { vivaspot_email_flags: payload.email_flags }),
+      ...applyFieldMappings(payload, connection.field_mappings),
+      ...guestVisits.visitProperties(visits),
+    },
+    emailConsent: payload.email ? klaviyoConsentFor(connection) : null,
+    smsConsent: klaviyoSmsConsentFor(connection, payload, phone),
+    event: klaviyoEvents.visitEventFor(connection, payload, visits && visits.visits),
+  };
+
+  return { contact, customSource };
+}
+
+/**
+ * Per-channel outcome of a Klaviyo contact: 'subscribed' (consent sent),
+ * 'not_subscribed' (no consent for the connection), 'no_email' for
+ * phone-only guests, and 'not_requested' or 'no_phone' for SMS.
+ */
+function klaviyoChannels(contact, payload) {
+  let sms = 'not_subscribed';
+  if (!payload.sms_consent) sms = 'not_requested';
+  else if (!contact.phone) sms = 'no_phone';
+  else if (contact.smsConsent) sms = 'subscribed';
+
+  return {
+    email: !contact.email ? 'no_email' : (contact.emailConsent ? 'subscribed' : 'not_subscribed'),
+    sms,
+  };
+}
+
+/**
+ * Upsert a profile, subscribe it to the Klaviyo list mapped to the
+ * payload's MAC and record the visit event, refreshing the access token
+ * first if needed.
+ */
+async function deliverToKlaviyo(payload) {
+  const found = await db.getKlaviyoConnectionByMac(payload.mac_address);
+  if (!found) {
+    throw permanentError('No Klaviyo connection found');
+  }
+
+  const suppression = await checkSuppression('klaviyo', found, payload.email);
+  if (suppression && suppression.action === 'skip') {
+    return { ...skippedResult(payload.email, suppression), account: found.account_name, list: found.list_name };
+  }
+
+  const connection = await withFieldMappings('klaviyo', suppression ? suppression.connection : found);
+  const visits = await guestVisits.recordVisit('klaviyo', connection.account_id, payload);
+  const { contact, customSource } = buildKlaviyoContact(connection, payload, { visits });
+
+  const result = await withCircuitBreaker('klaviyo', connection, async () => {
+    let accessToken;
+    try {
+      accessToken = await getValidAccessToken(connection);
+    } catch (tokenErr) {
+      if (tokenErr.code === 'INVALID_GRANT') {
+        throw permanentError('Klaviyo app uninstalled', 'INVALID_GRANT');
+      }
+      throw tokenErr;
+    }
+
+    return klaviyo.syncContact(klaviyo.accountOf(connection, accessToken), connection.list_id, contact, customSource);
+  });
+
+  return {
+    email: result.email,
+    status: result.status,
+    account: connection.account_name,
+    list: connection.list_name,
+    source: customSource,
+    channels: klaviyoChannels(contact, payload),
+    ...(result.activity && { activity: result.activity }),
+    ...(suppression && { suppressed: true, reason: suppression.reason }),
+  };
+}
+
+const DELIVERERS = {
+  mailchimp: deliverToMailchimp,
+  klaviyo: deliverToKlaviyo,
+};
+
+module.exports = {
+  BASE_TAG,
+  PROVIDERS,
+  DELIVERERS,
+  permanentError,
+  buildJobPayload,
+  buildMailchimpContact,
+  buildKlaviyoContact,
+  klaviyoChannels,
+  resolveConnection,
+  withCircuitBreaker,
+  deliverToMailchimp,
+  deliverToKlaviyo,
+};
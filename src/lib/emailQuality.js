@@ -0,0 +1,341 @@
+/**
+ * Email quality checks.
+ *
+ * Runs after a contact's connection is resolved, before anything is queued,
+ * so bad addresses never reach a merchant's audience or list:
+ *
+ *   typo        domain name one or two keystrokes from a popular mailbox
+ *               provider with the same suffix (gmial.com), or a mistyped
+ *               TLD (.con)
+ *   disposable  throwaway inbox domain (built-in list plus
+ *               EMAIL_DISPOSABLE_DOMAINS)
+ *   role        shared mailbox such as info@ or noreply@
+ *   mx          domain has no MX (or A) record; DNS lookup, only when
+ *               EMAIL_MX_CHECK_ENABLED=true
+ *
+ * What happens on a hit is the connection's email_quality_policy, per check:
+ *   reject   contact is not synced (logged with outcome 'rejected')
+ *   correct  typo only: the suggested domain replaces the typed one
+ *   tag      contact is synced and flagged (Mailchimp tag, Klaviyo
+ *            vivaspot_email_flags property)
+ *   allow    contact is synced unchanged
+ * Every decision is returned to the caller as the response's email_quality.
+ */
+
+const dns = require('dns').promises;
+
+const CHECKS = ['typo', 'disposable', 'role', 'mx'];
+const ACTIONS = ['reject', 'correct', 'tag', 'allow'];
+
+// Typos are only tagged by default: a suggestion can still be wrong, and a
+// corrected address is synced as if the guest had typed it
+const DEFAULT_POLICY = {
+  typo: 'tag',
+  disposable: 'reject',
+  role: 'tag',
+  mx: 'reject',
+};
+
+// Mailchimp tag added for each flagged check
+const FLAG_TAGS = {
+  typo: 'Email: Possible Typo',
+  disposable: 'Email: Disposable',
+  role: 'Email: Role Account',
+  mx: 'Email: No Mail Server',
+};
+
+// Typo targets. Also includes real domains close to them (mail.com, gmx.com)
+// and the providers' regional domains, so those are never "corrected".
+const POPULAR_DOMAINS = [
+  'gmail.com', 'googlemail.com', 'yahoo.com', 'ymail.com', 'rocketmail.com',
+  'hotmail.com', 'outlook.com', 'live.com', 'msn.com', 'icloud.com', 'me.com',
+  'mac.com', 'aol.com', 'comcast.net', 'att.net', 'sbcglobal.net',
+  'verizon.net', 'cox.net', 'charter.net', 'protonmail.com', 'proton.me',
+  'pm.me', 'mail.com', 'gmx.com', 'email.com', 'btinternet.com', 'sky.com',
+  'virginmedia.com',
+  // Regional variants
+  'yahoo.co.uk', 'yahoo.ca', 'yahoo.com.au', 'yahoo.co.nz', 'yahoo.co.in',
+  'yahoo.in', 'yahoo.co.jp', 'yahoo.ie', 'yahoo.fr', 'yahoo.de', 'yahoo.es',
+  'yahoo.it', 'yahoo.com.br', 'yahoo.com.mx', 'yahoo.com.ph', 'yahoo.com.sg',
+  'hotmail.co.uk', 'hotmail.ca', 'hotmail.com.au', 'hotmail.co.nz',
+  'hotmail.fr', 'hotmail.de', 'hotmail.es', 'hotmail.it', 'hotmail.nl',
+  'hotmail.be', 'hotmail.com.br',
+  'outlook.fr', 'outlook.de', 'outlook.es', 'outlook.it', 'outlook.com.au',
+  'live.ca', 'live.co.uk', 'live.com.au', 'live.fr', 'live.de', 'live.nl',
+  'live.ie', 'live.be', 'live.it',
+  'aol.co.uk', 'aol.fr', 'aol.de',
+  'protonmail.ch', 'gmx.de', 'gmx.net', 'gmx.at', 'gmx.ch', 'web.de',
+];
+
+const TLD_TYPOS = {
+  con: 'com', cmo: 'com', ocm: 'com', comm: 'com', vom: 'com', xom: 'com', cim: 'com', coom: 'com',
+  nte: 'net', ner: 'net', nett: 'net',
+  ogr: 'org', orgg: 'org',
+};
+
+const DISPOSABLE_DOMAINS = new Set([
+  'mailinator.com', 'guerrillamail.com', 'guerrillamail.net', 'sharklasers.com',
+  '10minutemail.com', '10minutemail.net', 'tempmail.com', 'temp-mail.org',
+  'temp-mail.io', 'throwawaymail.com', 'yopmail.com', 'yopmail.net',
+  'trashmail.com', 'getnada.com', 'nada.email', 'dispostable.com',
+  'maildrop.cc', 'mailnesia.com', 'mintemail.com', 'mohmal.com',
+  'fakeinbox.com', 'emailondeck.com', 'spamgourmet.com', 'mailcatch.com',
+  'tempr.email', 'discard.email', 'burnermail.io', 'mytemp.email',
+  'tempinbox.com', 'moakt.com', 'getairmail.com', 'inboxkitten.com',
+  'mailpoof.com', 'spam4.me', 'grr.la', 'tmail.ws', 'harakirimail.com',
+]);
+
+const ROLE_LOCAL_PARTS = new Set([
+  'admin', 'administrator', 'info', 'information', 'support', 'sales',
+  'contact', 'help', 'office', 'noreply', 'no-reply', 'donotreply',
+  'postmaster', 'hostmaster', 'webmaster', 'abuse', 'billing', 'accounts',
+  'accounting', 'marketing', 'team', 'hello', 'enquiries', 'inquiries',
+  'hr', 'jobs', 'careers', 'service', 'reservations', 'bookings', 'orders',
+  'feedback', 'press', 'media', 'security', 'privacy', 'legal', 'root',
+]);
+
+const MX_LOOKUP_TIMEOUT_MS = parseInt(process.env.EMAIL_MX_TIMEOUT_MS, 10) || 2000;
+const MX_CACHE_TTL_MS = 60 * 60 * 1000;
+const MX_CACHE_MAX = 5000;
+
+// domain -> { hasMail, checkedAt }
+const mxCache = new Map();
+
+function mxCheckEnabled() {
+  return process.env.EMAIL_MX_CHECK_ENABLED === 'true';
+}
+
+function extraDisposableDomains() {
+  return (process.env.EMAIL_DISPOSABLE_DOMAINS || '')
+    .split(',')
+    .map(d => d.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent swaps, so
+ * gmial -> gmail is one edit).
+ */
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+// 'hotmail.co.uk' -> { name: 'hotmail', suffix: 'co.uk' }
+function splitDomain(domain) {
+  const dot = domain.indexOf('.');
+  return dot === -1 ? null : { name: domain.slice(0, dot), suffix: domain.slice(dot + 1) };
+}
+
+/**
+ * Suggested replacement for a mistyped domain, or null.
+ *
+ * A mistyped TLD (.con) is fixed first. Only the name before the suffix is
+ * then fuzzy-matched, against popular domains with the same suffix, so a
+ * real regional domain (hotmail.ca, yahoo.co.jp) is never "corrected" to
+ * another country's.
+ */
+function suggestDomain(domain) {
+  if (POPULAR_DOMAINS.includes(domain)) return null;
+
+  const tld = domain.slice(domain.lastIndexOf('.') + 1);
+  const fixed = TLD_TYPOS[tld] ? `${domain.slice(0, -tld.length)}${TLD_TYPOS[tld]}` : domain;
+  if (POPULAR_DOMAINS.includes(fixed)) return fixed;
+
+  const parts = splitDomain(fixed);
+  if (!parts) return null;
+
+  // Longer names tolerate two edits (hotmial), short ones only one
+  const maxDistance = parts.name.length >= 6 ? 2 : 1;
+  let best = null;
+  let bestDistance = maxDistance + 1;
+  for (const candidate of POPULAR_DOMAINS) {
+    const candidateParts = splitDomain(candidate);
+    if (candidateParts.suffix !== parts.suffix) continue;
+
+    const distance = editDistance(parts.name, candidateParts.name);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+
+  if (best) return best;
+  return fixed !== domain ? fixed : null;
+}
+
+function isDisposable(domain) {
+  const extra = extraDisposableDomains();
+  const parts = domain.split('.');
+  // Match the domain and its parents (foo.mailinator.com)
+  for (let i = 0; i < parts.length - 1; i++) {
+    const candidate = parts.slice(i).join('.');
+    if (DISPOSABLE_DOMAINS.has(candidate) || extra.includes(candidate)) return true;
+  }
+  return false;
+}
+
+function isRoleAccount(localPart) {
+  return ROLE_LOCAL_PARTS.has(localPart.split('+')[0]);
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(Object.assign(new Error('DNS lookup timed out'), { code: 'ETIMEOUT' })), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Whether a domain can receive mail: an MX record, or failing that an A
+ * record (implicit MX). Returns null when DNS couldn't answer, so a slow
+ * resolver never rejects a guest.
+ */
+async function domainAcceptsMail(domain) {
+  const cached = mxCache.get(domain);
+  if (cached && Date.now() - cached.checkedAt < MX_CACHE_TTL_MS) {
+    return cached.hasMail;
+  }
+
+  const noRecords = (error) => error.code === 'ENOTFOUND' || error.code === 'ENODATA';
+
+  let hasMail;
+  try {
+    const records = await withTimeout(dns.resolveMx(domain), MX_LOOKUP_TIMEOUT_MS);
+    hasMail = records.length > 0;
+  } catch (error) {
+    if (!noRecords(error)) return null;
+    try {
+      const addresses = await withTimeout(dns.resolve4(domain), MX_LOOKUP_TIMEOUT_MS);
+      hasMail = addresses.length > 0;
+    } catch (fallbackError) {
+      if (!noRecords(fallbackError)) return null;
+      hasMail = false;
+    }
+  }
+
+  if (mxCache.size >= MX_CACHE_MAX) mxCache.clear();
+  mxCache.set(domain, { hasMail, checkedAt: Date.now() });
+  return hasMail;
+}
+
+/**
+ * The connection's policy, with defaults for checks it doesn't set.
+ */
+function policyFor(connection) {
+  return { ...DEFAULT_POLICY, ...(connection && connection.email_quality_policy) };
+}
+
+/**
+ * Return a validation error message for an email_quality_policy, or null.
+ */
+function validateEmailQualityPolicy(policy) {
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    return 'policy must be an object of check -> action';
+  }
+  for (const [check, action] of Object.entries(policy)) {
+    if (!CHECKS.includes(check)) {
+      return `Unknown check "${check}" (expected one of: ${CHECKS.join(', ')})`;
+    }
+    if (!ACTIONS.includes(action)) {
+      return `${check} action must be one of: ${ACTIONS.join(', ')}`;
+    }
+    if (action === 'correct' && check !== 'typo') {
+      return 'Only the typo check can use "correct"';
+    }
+  }
+  return null;
+}
+
+/**
+ * Run the checks on a job payload's email under a connection's policy.
+ *
+ * Returns { payload, report, rejected }: payload has the corrected email
+ * and any email_flags, report is null when no check fired, otherwise
+ * { email, original_email?, decisions: [{ check, action, suggestion? }] }.
+ */
+async function screenEmail(connection, payload) {
+  const policy = policyFor(connection);
+  const decisions = [];
+  const flags = [];
+  let email = payload.email.trim();
+
+  const decide = (check, extra = {}) => {
+    const action = policy[check];
+    decisions.push({ check, action, ...extra });
+    if (action === 'tag') flags.push(check);
+    return action;
+  };
+
+  const domainOf = (address) => address.slice(address.lastIndexOf('@') + 1).toLowerCase();
+
+  const suggestion = suggestDomain(domainOf(email));
+  if (suggestion && policy.typo !== 'allow') {
+    const action = decide('typo', { suggestion });
+    if (action === 'correct') {
+      email = `${email.slice(0, email.lastIndexOf('@'))}@${suggestion}`;
+    }
+  }
+
+  const domain = domainOf(email);
+  if (isDisposable(domain)) decide('disposable');
+  if (isRoleAccount(email.slice(0, email.lastIndexOf('@')).toLowerCase())) decide('role');
+  if (mxCheckEnabled() && policy.mx !== 'allow' && (await domainAcceptsMail(domain)) === false) {
+    decide('mx');
+  }
+
+  if (decisions.length === 0) {
+    return { payload, report: null, rejected: false };
+  }
+
+  const report = {
+    email,
+    ...(email !== payload.email && { original_email: payload.email }),
+    decisions,
+  };
+
+  return {
+    payload: { ...payload, email, ...(flags.length > 0 && { email_flags: flags }) },
+    report,
+    rejected: decisions.some(d => d.action === 'reject'),
+  };
+}
+
+/**
+ * Error message for a rejected report.
+ */
+function rejectionMessage(report) {
+  const checks = report.decisions.filter(d => d.action === 'reject').map(d => d.check);
+  return `Email rejected by quality checks: ${checks.join(', ')}`;
+}
+
+/**
+ * Mailchimp tags for a payload's email_flags.
+ */
+function flagTags(payload) {
+  return (payload.email_flags || []).map(flag => FLAG_TAGS[flag]).filter(Boolean);
+}
+
+module.exports = {
+  CHECKS,
+  ACTIONS,
+  DEFAULT_POLICY,
+  policyFor,
+  validateEmailQualityPolicy,
+  screenEmail,
+  rejectionMessage,
+  flagTags,
+  suggestDomain,
+};
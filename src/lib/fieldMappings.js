@@ -0,0 +1,140 @@
+/**
+ * Per-connection field mappings.
+ *
+ * Maps a webhook payload key (a custom_fields key, or a top-level field such
+ * as location_name) to a Mailchimp merge tag or Klaviyo profile property,
+ * so one n8n payload can serve audiences with different schemas. Mapped
+ * custom_fields keys are renamed; unmapped ones pass through unchanged.
+ *
+ * Transforms:
+ *   uppercase   String(value).toUpperCase()
+ *   date        reformat a date to date_format (YYYY, MM, DD tokens,
+ *               e.g. 'MM/DD/YYYY', 'DD/MM/YYYY', 'MM/DD')
+ * default_value is used when the payload has no value for the key.
+ */
+
+const db = require('../db');
+
+const TRANSFORMS = ['uppercase', 'date'];
+
+const DATE_FORMAT_REGEX = /^(?=.*(YYYY|MM|DD))[YMD/\-. ]+$/;
+
+/**
+ * Parse a date as { year, month, day }: ISO (YYYY-MM-DD...) first, then
+ * anything Date understands. Returns null if unparseable.
+ */
+function parseDate(value) {
+  const iso = /^(\d{4})-(\d{1,2})-(\d{1,2})/.exec(String(value));
+  if (iso) {
+    return { year: Number(iso[1]), month: Number(iso[2]), day: Number(iso[3]) };
+  }
+
+  const parsed = new Date(value);
+  if (isNaN(parsed.getTime())) return null;
+  return { year: parsed.getUTCFullYear(), month: parsed.getUTCMonth() + 1, day: parsed.getUTCDate() };
+}
+
+function formatDate(value, format) {
+  const date = parseDate(value);
+  if (!date) return null;
+
+  const pad = (n) => String(n).padStart(2, '0');
+  return format
+    .replace('YYYY', String(date.year))
+    .replace('MM', pad(date.month))
+    .replace('DD', pad(date.day));
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '';
+}
+
+/**
+ * Value of one mapping for a payload, or undefined to leave the target unset.
+ */
+function mappedValue(payload, mapping) {
+  const customFields = payload.custom_fields || {};
+  const raw = mapping.source_key in customFields
+    ? customFields[mapping.source_key]
+    : payload[mapping.source_key];
+
+  if (isEmpty(raw)) {
+    return isEmpty(mapping.default_value) ? undefined : mapping.default_value;
+  }
+
+  if (mapping.transform === 'uppercase') {
+    return String(raw).toUpperCase();
+  }
+
+  if (mapping.transform === 'date') {
+    const formatted = formatDate(raw, mapping.date_format);
+    if (formatted === null) {
+      console.warn(`Field mapping ${mapping.source_key} -> ${mapping.target}: unparseable date "${raw}"`);
+      return isEmpty(mapping.default_value) ? undefined : mapping.default_value;
+    }
+    return formatted;
+  }
+
+  return raw;
+}
+
+/**
+ * Custom fields for a payload after applying a connection's mappings.
+ */
+function applyFieldMappings(payload, mappings = []) {
+  const fields = { ...payload.custom_fields };
+  if (mappings.length === 0) return fields;
+
+  mappings.forEach(mapping => { delete fields[mapping.source_key]; });
+
+  for (const mapping of mappings) {
+    const value = mappedValue(payload, mapping);
+    if (value !== undefined) fields[mapping.target] = value;
+  }
+
+  return fields;
+}
+
+/**
+ * Return the connection with its field mappings attached as
+ * `field_mappings`. Pass a Map as `cache` to share lookups across a batch.
+ */
+async function withFieldMappings(provider, connection, cache = null) {
+  const cacheKey = `${provider}|${connection.mac_address.toLowerCase()}`;
+
+  let mappings;
+  if (cache && cache.has(cacheKey)) {
+    mappings = cache.get(cacheKey);
+  } else {
+    mappings = await db.getFieldMappings(provider, connection.mac_address);
+    if (cache) cache.set(cacheKey, mappings);
+  }
+
+  return { ...connection, field_mappings: mappings };
+}
+
+/**
+ * Return a validation error message for a mapping body, or null if valid.
+ */
+function validateFieldMapping({ source_key, target, transform, date_format }) {
+  if (!source_key || typeof source_key !== 'string') {
+    return 'Missing required field: source_key';
+  }
+  if (!target || typeof target !== 'string') {
+    return 'Missing required field: target';
+  }
+  if (transform && !TRANSFORMS.includes(transform)) {
+    return `transform must be one of: ${TRANSFORMS.join(', ')}`;
+  }
+  if (transform === 'date' && !DATE_FORMAT_REGEX.test(date_format || '')) {
+    return 'date transform requires a date_format such as "MM/DD/YYYY"';
+  }
+  return null;
+}
+
+module.exports = {
+  TRANSFORMS,
+  applyFieldMappings,
+  withFieldMappings,
+  validateFieldMapping,
+};
@@ -0,0 +1,140 @@
+/**
+ * Guest identifiers and the versioned contact payload schema.
+ *
+ *   schema_version 1   (the default) email is required; Klaviyo also takes
+ *                      phone-only guests who ticked the SMS opt-in
+ *   schema_version 2   email, phone and external_id (the portal's guest id)
+ *                      are alternative identifiers; any one is enough
+ *
+ * Klaviyo upserts a profile by whichever identifiers it gets. Mailchimp
+ * members need an email, so a Mailchimp connection handles a guest without
+ * one by its missing_email_policy (MAILCHIMP_MISSING_EMAIL_POLICY if unset):
+ *   skip    nothing is synced or kept (the default)
+ *   hold    the guest is kept locally and synced once a contact with an
+ *           email arrives for the same phone or external_id
+ *   store   the guest is kept locally and never synced
+ * Held and stored guests live in mailchimp_guests_without_email; each
+ * decision is logged to sync_log with the policy's outcome.
+ */
+
+const db = require('../db');
+const { phoneFor } = require('./phone');
+
+const PAYLOAD_SCHEMA_VERSIONS = [1, 2];
+const DEFAULT_SCHEMA_VERSION = 1;
+
+const MISSING_EMAIL_POLICIES = ['skip', 'hold', 'store'];
+const DEFAULT_MISSING_EMAIL_POLICY = 'skip';
+
+// sync_log outcome / result status per policy
+const MISSING_EMAIL_OUTCOMES = {
+  skip: 'skipped',
+  hold: 'held',
+  store: 'stored',
+};
+
+/**
+ * A body's payload schema version, or null if unsupported.
+ */
+function schemaVersionOf(body) {
+  if (body.schema_version === undefined || body.schema_version === null) return DEFAULT_SCHEMA_VERSION;
+  const version = Number(body.schema_version);
+  return PAYLOAD_SCHEMA_VERSIONS.includes(version) ? version : null;
+}
+
+function isValidMissingEmailPolicy(policy) {
+  return MISSING_EMAIL_POLICIES.includes(policy);
+}
+
+/**
+ * A Mailchimp connection's policy for guests without an email.
+ */
+function missingEmailPolicyFor(connection) {
+  if (isValidMissingEmailPolicy(connection.missing_email_policy)) return connection.missing_email_policy;
+  const fallback = process.env.MAILCHIMP_MISSING_EMAIL_POLICY;
+  return isValidMissingEmailPolicy(fallback) ? fallback : DEFAULT_MISSING_EMAIL_POLICY;
+}
+
+/**
+ * The identifiers a guest can be matched on later: external_id and the
+ * E.164 phone.
+ */
+function identifiersOf(connection, payload) {
+  return {
+    externalId: payload.external_id || null,
+    phone: payload.phone ? phoneFor(connection, payload) : null,
+  };
+}
+
+/**
+ * Apply a Mailchimp connection's missing-email policy to a guest without an
+ * email. Returns the result a deliverer would, with `deferred: true` and
+ * status 'skipped' | 'held' | 'stored'.
+ */
+async function deferWithoutEmail(connection, payload) {
+  const policy = missingEmailPolicyFor(connection);
+  const status = MISSING_EMAIL_OUTCOMES[policy];
+  const { externalId, phone } = identifiersOf(connection, payload);
+
+  if (policy !== 'skip') {
+    await db.saveGuestWithoutEmail({
+      accountId: connection.account_id,
+      audienceId: connection.audience_id,
+      macAddress: payload.mac_address,
+      identifier: externalId ? `external_id:${externalId}` : `phone:${phone}`,
+      phone,
+      externalId,
+      payload,
+      disposition: status,
+    });
+  }
+
+  return {
+    email: null,
+    status,
+    deferred: true,
+    account: connection.account_name,
+    audience: connection.audience_name,
+    ...(externalId && { external_id: externalId }),
+    ...(phone && { phone }),
+  };
+}
+
+/**
+ * Fill a payload that has an email from guests held for the same phone or
+ * external_id on the connection's audience: fields the payload lacks are
+ * taken from the held guests, oldest first. Returns { payload, heldIds };
+ * delete heldIds once the merged payload has synced.
+ */
+async function mergeHeldGuests(connection, payload) {
+  const { externalId, phone } = identifiersOf(connection, payload);
+  if (!payload.email || (!externalId && !phone)) return { payload, heldIds: [] };
+
+  const held = await db.findHeldGuests(connection.account_id, connection.audience_id, { phone, externalId });
+  if (held.length === 0) return { payload, heldIds: [] };
+
+  const merged = { ...payload, custom_fields: { ...payload.custom_fields } };
+  for (const { payload: heldPayload } of held) {
+    for (const [key, value] of Object.entries(heldPayload)) {
+      if (key === 'custom_fields') {
+        merged.custom_fields = { ...value, ...merged.custom_fields };
+      } else if ((merged[key] === null || merged[key] === undefined) && value !== null) {
+        merged[key] = value;
+      }
+    }
+  }
+
+  console.log(`Releasing ${held.length} held guest(s) for ${payload.email}`);
+  return { payload: merged, heldIds: held.map(h => h.id) };
+}
+
+module.exports = {
+  PAYLOAD_SCHEMA_VERSIONS,
+  MISSING_EMAIL_POLICIES,
+  MISSING_EMAIL_OUTCOMES,
+  schemaVersionOf,
+  isValidMissingEmailPolicy,
+  missingEmailPolicyFor,
+  deferWithoutEmail,
+  mergeHeldGuests,
+};
@@ -0,0 +1,117 @@
+/**
+ * Local visit tracking.
+ *
+ * Every captive-portal login is recorded in guest_visits per provider
+ * account and guest email, with the MAC, location and time of the visit.
+ * Syncs then carry the guest's totals so merchants can segment regulars and
+ * lapsed guests:
+ *   Mailchimp   VISITS, FIRSTVISIT and LASTVISIT merge fields
+ *   Klaviyo     vivaspot_visits, vivaspot_first_visit and
+ *               vivaspot_last_visit profile properties
+ *
+ * The visit time is set once per contact (visited_at on the job payload):
+ * the payload's `timestamp` when it has one, so backfills and late batches
+ * keep the real login time and a redelivered request doesn't count again,
+ * else the time the request arrived. Retries and replays reuse the stored
+ * payload, so they don't count the visit again either. Guests without an
+ * email aren't tracked.
+ */
+
+const db = require('../db');
+
+// Numeric timestamps below this are unix seconds, above it milliseconds
+const MAX_UNIX_SECONDS = 1e11;
+
+/**
+ * Parse a payload `timestamp` (ISO 8601 string, or unix seconds or
+ * milliseconds) into an ISO string. Returns null if it isn't a valid time.
+ */
+function parseVisitTime(value) {
+  if (value === null || value === undefined || value === '') return null;
+
+  let time;
+  if (typeof value === 'number' || /^\d+(\.\d+)?$/.test(String(value).trim())) {
+    const number = Number(value);
+    time = number < MAX_UNIX_SECONDS ? number * 1000 : number;
+  } else if (typeof value === 'string') {
+    time = Date.parse(value);
+  } else {
+    return null;
+  }
+
+  return Number.isFinite(time) ? new Date(time).toISOString() : null;
+}
+
+/**
+ * The visit time for a webhook body: its `timestamp`, or now.
+ */
+function visitTimeOf(body) {
+  return parseVisitTime(body.timestamp) || new Date().toISOString();
+}
+
+function visitOf(payload) {
+  return {
+    email: payload.email,
+    macAddress: payload.mac_address,
+    locationName: payload.location_name,
+    // Payloads queued before visited_at existed
+    visitedAt: payload.visited_at || new Date().toISOString(),
+  };
+}
+
+/**
+ * Record the visits of payloads synced to a provider account and return
+ * each guest's totals: a Map of lowercase email ->
+ * { visits, first_visit_at, last_visit_at }.
+ */
+async function recordVisits(provider, accountId, payloads) {
+  const withEmail = payloads.filter(payload => payload.email);
+  await db.recordGuestVisits(provider, accountId, withEmail.map(visitOf));
+  return db.getGuestVisitStats(provider, accountId, withEmail.map(payload => payload.email));
+}
+
+/**
+ * Totals for one payload, or null for a guest without an email.
+ */
+async function recordVisit(provider, accountId, payload) {
+  if (!payload.email) return null;
+  const stats = await recordVisits(provider, accountId, [payload]);
+  return stats.get(payload.email.toLowerCase()) || null;
+}
+
+function toDate(value) {
+  return new Date(value).toISOString().slice(0, 10);
+}
+
+/**
+ * Mailchimp merge fields for a guest's totals (dates as YYYY-MM-DD).
+ */
+function visitMergeFields(stats) {
+  if (!stats) return {};
+  return {
+    VISITS: stats.visits,
+    FIRSTVISIT: toDate(stats.first_visit_at),
+    LASTVISIT: toDate(stats.last_visit_at),
+  };
+}
+
+/**
+ * Klaviyo profile properties for a guest's totals (ISO timestamps).
+ */
+function visitProperties(stats) {
+  if (!stats) return {};
+  return {
+    vivaspot_visits: stats.visits,
+    vivaspot_first_visit: new Date(stats.first_visit_at).toISOString(),
+    vivaspot_last_visit: new Date(stats.last_visit_at).toISOString(),
+  };
+}
+
+module.exports = {
+  parseVisitTime,
+  visitTimeOf,
+  recordVisits,
+  recordVisit,
+  visitMergeFields,
+  visitProperties,
+};
@@ -0,0 +1,137 @@
+/**
+ * Idempotency middleware for the contact webhooks.
+ *
+ * The key comes from the `Idempotency-Key` header, or is derived from
+ * mac_address + email + timestamp when the payload carries a `timestamp`.
+ * The first request with a key runs normally and its response is stored;
+ * duplicates inside the retention window get that response back (with
+ * `Idempotent-Replayed: true`) without touching the provider or sync_log.
+ *
+ * Only 2xx responses and validation errors (400, 422) are stored: those
+ * come out the same every time. Anything else, such as a 404 for a
+ * connection that isn't set up yet, a 429 or a 5xx, releases the key so the
+ * retry runs again.
+ */
+
+const crypto = require('crypto');
+const db = require('../db');
+
+const TTL_SECONDS = (parseInt(process.env.IDEMPOTENCY_TTL_HOURS, 10) || 24) * 60 * 60;
+
+// An in-flight key older than this is assumed abandoned and can be reclaimed.
+const STALE_AFTER_SECONDS = 5 * 60;
+
+const MAX_KEY_LENGTH = 255;
+
+// Non-2xx statuses that are deterministic for a given body
+const STORED_ERROR_STATUSES = new Set([400, 422]);
+
+/**
+ * Whether a response with this status is stored for replay.
+ */
+function isReplayable(status) {
+  return (status >= 200 && status < 300) || STORED_ERROR_STATUSES.has(status);
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Resolve the idempotency key for a request, or null if none applies.
+ * Returns { key, explicit } — explicit keys came from the header.
+ */
+function resolveKey(req) {
+  const header = req.get('idempotency-key');
+  if (header && header.trim()) {
+    return { key: header.trim().slice(0, MAX_KEY_LENGTH), explicit: true };
+  }
+
+  const { mac_address, email, timestamp } = req.body || {};
+  if (mac_address && email && timestamp) {
+    const material = [
+      String(mac_address).toLowerCase(),
+      String(email).toLowerCase(),
+      String(timestamp),
+    ].join('|');
+    return { key: `derived:${sha256(material)}`, explicit: false };
+  }
+
+  return null;
+}
+
+/**
+ * Build the middleware for one webhook scope ('mailchimp' | 'klaviyo').
+ * Scopes keep the same n8n payload sent to both providers from colliding.
+ */
+function idempotency(scope) {
+  return async (req, res, next) => {
+    const resolved = resolveKey(req);
+    if (!resolved) return next();
+
+    const { key, explicit } = resolved;
+    const requestHash = sha256(JSON.stringify(req.body || {}));
+
+    let claim;
+    try {
+      claim = await db.claimIdempotencyKey({
+        scope,
+        key,
+        requestHash,
+        ttlSeconds: TTL_SECONDS,
+        staleAfterSeconds: STALE_AFTER_SECONDS,
+      });
+    } catch (error) {
+      // Never block a sync on the idempotency store; worst case is a duplicate.
+      console.error('Idempotency claim failed:', error.message);
+      return next();
+    }
+
+    if (!claim.claimed && claim.row) {
+      const existing = claim.row;
+
+      // Derived keys only cover mac/email/timestamp, so other fields may
+      // legitimately differ between retries; explicit keys must match exactly.
+      if (explicit && existing.request_hash !== requestHash) {
+        return res.status(422).json({
+          error: 'Idempotency-Key was already used with a different request body',
+          idempotency_key: key,
+        });
+      }
+
+      if (existing.response_status === null) {
+        return res.status(409).json({
+          error: 'A request with this Idempotency-Key is still being processed',
+          idempotency_key: key,
+        });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.response_status).json(existing.response_body);
+    }
+
+    // Capture the handler's response before it goes out, so a retry that
+    // arrives right after it never sees the key as still in flight.
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+      const status = res.statusCode;
+      const persist = isReplayable(status)
+        ? db.saveIdempotentResponse(scope, key, status, body)
+        : db.releaseIdempotencyKey(scope, key);
+
+      persist
+        .catch((error) => console.error('Idempotency store failed:', error.message))
+        .finally(() => sendJson(body));
+      return res;
+    };
+
+    next();
+  };
+}
+
+module.exports = {
+  idempotency,
+  resolveKey,
+  isReplayable,
+  TTL_SECONDS,
+};
@@ -0,0 +1,71 @@
+/**
+ * Klaviyo visit events.
+ *
+ * Klaviyo flows are triggered by metrics, so every Klaviyo sync also posts
+ * an event for the visit, named by the connection's visit_metric_name
+ * (KLAVIYO_VISIT_METRIC_NAME, "Connected to WiFi" if unset). Properties:
+ * location, site (the connection's source tag), source, mac_address and
+ * visit_number, the guest's visit count on the account (see guestVisits).
+ *
+ * Set KLAVIYO_VISIT_EVENTS_ENABLED=false to stop sending them. A failed
+ * event never fails the sync; the profile and consent were already saved.
+ */
+
+const DEFAULT_VISIT_METRIC_NAME = 'Connected to WiFi';
+const MAX_METRIC_NAME_LENGTH = 128;
+
+function visitEventsEnabled() {
+  return process.env.KLAVIYO_VISIT_EVENTS_ENABLED !== 'false';
+}
+
+/**
+ * Return a validation error for a metric name, or null if valid.
+ */
+function validateMetricName(name) {
+  if (typeof name !== 'string' || name.trim() === '') {
+    return 'metric_name must be a non-empty string or null';
+  }
+  if (name.length > MAX_METRIC_NAME_LENGTH) {
+    return `metric_name must be at most ${MAX_METRIC_NAME_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * The metric a connection's visit events are recorded under.
+ */
+function visitMetricNameFor(connection) {
+  return connection.visit_metric_name || process.env.KLAVIYO_VISIT_METRIC_NAME || DEFAULT_VISIT_METRIC_NAME;
+}
+
+/**
+ * The visit event for a payload, or null when visit events are off.
+ * visitNumber is left out for guests without an email.
+ */
+function visitEventFor(connection, payload, visitNumber = null) {
+  if (!visitEventsEnabled()) return null;
+
+  const properties = {
+    location: payload.location_name || connection.source_tag || connection.list_name,
+    site: connection.source_tag,
+    source: payload.source,
+    mac_address: payload.mac_address,
+    visit_number: visitNumber,
+  };
+  for (const [key, value] of Object.entries(properties)) {
+    if (value === null || value === undefined || value === '') delete properties[key];
+  }
+
+  return {
+    metric: visitMetricNameFor(connection),
+    properties,
+    time: payload.visited_at || new Date().toISOString(),
+  };
+}
+
+module.exports = {
+  DEFAULT_VISIT_METRIC_NAME,
+  validateMetricName,
+  visitMetricNameFor,
+  visitEventFor,
+};
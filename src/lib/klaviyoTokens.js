@@ -0,0 +1,87 @@
+/**
+ * Klaviyo access-token helper.
+ *
+ * Shared by the Klaviyo webhook routes, the sync queue worker and the
+ * scheduled token refresher so every caller refreshes tokens the same way.
+ *
+ * Klaviyo refresh tokens are single-use: the refresh response carries a new
+ * one and the old one stops working. Every refresh therefore runs under a
+ * Postgres advisory lock on the account and re-reads the stored tokens once
+ * it holds the lock; if another request or instance refreshed in the
+ * meantime, its token is reused and the refresh token is never spent twice.
+ * The re-read and the update run on the connection holding the lock.
+ * Concurrent callers in the same process share one in-flight refresh.
+ */
+
+const db = require('../db');
+const klaviyo = require('../services/klaviyo');
+
+// Refresh a token this many seconds before it actually expires.
+const TOKEN_REFRESH_BUFFER_SECONDS = 120;
+
+// accountId -> in-flight refresh promise
+const inFlight = new Map();
+
+function expiresWithin(tokens, seconds) {
+  const expiresAt = new Date(tokens.token_expires_at).getTime();
+  return Date.now() >= expiresAt - seconds * 1000;
+}
+
+/**
+ * Refresh an account's access token under its advisory lock, unless the
+ * stored token no longer expires within `bufferSeconds`.
+ */
+async function lockedRefresh(accountId, bufferSeconds) {
+  return db.withAdvisoryLock(`klaviyo_token:${accountId}`, async (client) => {
+    const current = await db.getKlaviyoAccountTokens(accountId, client);
+    if (!current) {
+      throw new Error('Klaviyo connection no longer exists');
+    }
+
+    // Refreshed by someone else while we waited for the lock
+    if (!expiresWithin(current, bufferSeconds)) {
+      return current.access_token;
+    }
+
+    const refreshed = await klaviyo.refreshAccessToken(current.refresh_token);
+    await db.updateKlaviyoTokens(accountId, {
+      accessToken: refreshed.accessToken,
+      refreshToken: refreshed.refreshToken,
+      tokenExpiresAt: refreshed.tokenExpiresAt,
+    }, client);
+    return refreshed.accessToken;
+  });
+}
+
+/**
+ * Refresh an account's access token if the stored one expires within
+ * `bufferSeconds`. Returns the access token to use. Throws an error with
+ * code INVALID_GRANT if the app was uninstalled, or LOCK_TIMEOUT if another
+ * instance held the account's lock for too long.
+ */
+function refreshAccountToken(accountId, bufferSeconds = TOKEN_REFRESH_BUFFER_SECONDS) {
+  if (!inFlight.has(accountId)) {
+    const refresh = lockedRefresh(accountId, bufferSeconds)
+      .finally(() => inFlight.delete(accountId));
+    inFlight.set(accountId, refresh);
+  }
+  return inFlight.get(accountId);
+}
+
+/**
+ * Return a valid access token for a connection, refreshing if it's expired or
+ * about to expire. Persists refreshed tokens for every MAC on the same account.
+ * Throws an error with code INVALID_GRANT if the app was uninstalled.
+ */
+async function getValidAccessToken(connection) {
+  if (!expiresWithin(connection, TOKEN_REFRESH_BUFFER_SECONDS)) {
+    return connection.access_token;
+  }
+  return refreshAccountToken(connection.account_id);
+}
+
+module.exports = {
+  getValidAccessToken,
+  refreshAccountToken,
+  TOKEN_REFRESH_BUFFER_SECONDS,
+};
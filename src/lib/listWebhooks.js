@@ -0,0 +1,157 @@
+/**
+ * Mailchimp list webhooks.
+ *
+ * On connect, each account + audience gets one Mailchimp list webhook
+ * pointing at /mailchimp/webhook?token=<secret>, so we learn what happens
+ * to guests after they land in the audience: unsubscribes, cleaned
+ * (bounced) addresses, profile updates and email changes. Events are
+ * stored per account in mailchimp_member_status; unsubscribed and cleaned
+ * addresses are also added to the account's suppression list. The webhook
+ * is removed when the last connection to the audience is disconnected.
+ *
+ * Registration needs a public APP_BASE_URL (Mailchimp must reach it) and
+ * runs in the background, like merge field provisioning.
+ */
+
+const crypto = require('crypto');
+const db = require('../db');
+const mailchimp = require('../services/mailchimp');
+
+const WEBHOOK_PATH = '/mailchimp/webhook';
+
+function callbackUrl(token) {
+  const base = (process.env.APP_BASE_URL || '').replace(/\/+$/, '');
+  return `${base}${WEBHOOK_PATH}?token=${token}`;
+}
+
+/**
+ * Register the audience's list webhook unless it already has one.
+ */
+async function ensureListWebhook(connection) {
+  const reserved = await db.createListWebhook(
+    connection.account_id,
+    connection.audience_id,
+    crypto.randomBytes(24).toString('hex')
+  );
+  if (!reserved) return null;
+
+  try {
+    const webhook = await mailchimp.createListWebhook(
+      mailchimp.accountOf(connection),
+      connection.audience_id,
+      callbackUrl(reserved.token)
+    );
+    await db.setListWebhookId(reserved.id, webhook.id);
+    console.log(`Registered list webhook for audience ${connection.audience_id}`);
+    return webhook;
+  } catch (error) {
+    // Drop the reservation so the next connect tries again
+    await db.deleteListWebhook(reserved.id);
+    throw error;
+  }
+}
+
+/**
+ * Register the list webhook of a newly connected audience. Runs in the
+ * background so the OAuth flow never waits on it.
+ */
+function registerListWebhook(connection) {
+  if (!connection || !connection.audience_id) return;
+
+  if (!/^https?:\/\/(?!localhost|127\.)/.test(process.env.APP_BASE_URL || '')) {
+    console.log('APP_BASE_URL is not publicly reachable; skipping Mailchimp list webhook');
+    return;
+  }
+
+  ensureListWebhook(connection).catch(error => {
+    console.error(`List webhook registration failed for audience ${connection.audience_id}:`, error.message);
+  });
+}
+
+/**
+ * Remove an audience's list webhook once no connection syncs to it.
+ * `connection` is the connection that was just deleted or moved away.
+ */
+async function removeListWebhook(connection) {
+  if (!connection || !connection.audience_id) return;
+
+  try {
+    const remaining = await db.countAudienceConnections(connection.account_id, connection.audience_id);
+    if (remaining > 0) return;
+
+    const webhook = await db.getListWebhook(connection.account_id, connection.audience_id);
+    if (!webhook) return;
+
+    if (webhook.webhook_id) {
+      await mailchimp.deleteListWebhook(
+        mailchimp.accountOf(connection),
+        connection.audience_id,
+        webhook.webhook_id
+      );
+    }
+    await db.deleteListWebhook(webhook.id);
+    console.log(`Removed list webhook for audience ${connection.audience_id}`);
+  } catch (error) {
+    console.error(`List webhook removal failed for audience ${connection.audience_id}:`, error.message);
+  }
+}
+
+/**
+ * Mailchimp's fired_at ("2009-03-26 21:35:57", UTC) as a Date.
+ */
+function parseFiredAt(firedAt) {
+  const date = new Date(`${String(firedAt).replace(' ', 'T')}Z`);
+  return isNaN(date.getTime()) ? new Date() : date;
+}
+
+/**
+ * Add an unsubscribed or cleaned guest to the account's suppression list,
+ * so the next WiFi login doesn't subscribe them again.
+ */
+function suppress(webhook, email, reason) {
+  return db.addSuppressions('mailchimp', webhook.account_id, [email], { reason, source: 'webhook' });
+}
+
+/**
+ * Store a list webhook event ({ type, fired_at, data }) against its
+ * account + audience. Returns the stored rows; unknown types are ignored.
+ */
+async function handleListEvent(webhook, { type, fired_at: firedAt, data = {} }) {
+  if (!data.email && !(data.old_email && data.new_email)) return [];
+
+  const base = {
+    accountId: webhook.account_id,
+    audienceId: webhook.audience_id,
+    event: type,
+    eventAt: parseFiredAt(firedAt),
+  };
+
+  switch (type) {
+    case 'unsubscribe':
+      await suppress(webhook, data.email, 'unsubscribed');
+      return [await db.upsertMemberStatus({ ...base, email: data.email, status: 'unsubscribed', reason: data.reason || null })];
+
+    case 'cleaned':
+      await suppress(webhook, data.email, 'cleaned');
+      return [await db.upsertMemberStatus({ ...base, email: data.email, status: 'cleaned', reason: data.reason || null })];
+
+    case 'profile':
+      return [await db.upsertMemberStatus({ ...base, email: data.email, status: 'subscribed', merges: data.merges || null })];
+
+    case 'upemail':
+      return [
+        await db.upsertMemberStatus({ ...base, email: data.old_email, status: 'email_changed', newEmail: data.new_email }),
+        await db.upsertMemberStatus({ ...base, email: data.new_email, status: 'subscribed' }),
+      ];
+
+    default:
+      return [];
+  }
+}
+
+module.exports = {
+  WEBHOOK_PATH,
+  registerListWebhook,
+  removeListWebhook,
+  handleListEvent,
+};
@@ -0,0 +1,94 @@
+/**
+ * Mailchimp member activity recorded after each sync.
+ *
+ * A Mailchimp connection can opt in to two extras per synced guest:
+ *   visit_event_enabled  a `wifi_visit` member event, which Customer
+ *                        Journeys can trigger on ("welcome on first visit",
+ *                        "come back" automations)
+ *   member_note          a note added to the member's activity, written
+ *                        from a template with {location}, {source},
+ *                        {mac_address} and {date} placeholders
+ *
+ * Both are sent after the member upsert; a failure is logged but never
+ * fails the sync, since the member itself was saved.
+ */
+
+const VISIT_EVENT_NAME = 'wifi_visit';
+
+// Mailchimp limits
+const MAX_NOTE_LENGTH = 1000;
+const MAX_PROPERTY_LENGTH = 255;
+
+const NOTE_PLACEHOLDERS = ['location', 'source', 'mac_address', 'date'];
+const PLACEHOLDER_REGEX = /\{(\w+)\}/g;
+
+/**
+ * Return a validation error for a member note template, or null if valid.
+ */
+function validateMemberNote(template) {
+  if (typeof template !== 'string' || template.trim() === '') {
+    return 'member_note must be a non-empty string or null';
+  }
+  if (template.length > MAX_NOTE_LENGTH) {
+    return `member_note must be at most ${MAX_NOTE_LENGTH} characters`;
+  }
+  const unknown = [...template.matchAll(PLACEHOLDER_REGEX)]
+    .map(match => match[1])
+    .filter(name => !NOTE_PLACEHOLDERS.includes(name));
+  if (unknown.length > 0) {
+    return `Unknown placeholder(s) ${unknown.map(name => `{${name}}`).join(', ')}; use ${NOTE_PLACEHOLDERS.map(name => `{${name}}`).join(', ')}`;
+  }
+  return null;
+}
+
+function visitValues(connection, payload) {
+  return {
+    location: payload.location_name || connection.source_tag || connection.audience_name || '',
+    source: payload.source || '',
+    mac_address: payload.mac_address || '',
+    date: new Date().toISOString().slice(0, 10),
+  };
+}
+
+/**
+ * The wifi_visit event for a payload, or null if the connection doesn't
+ * send one. Event properties must be strings; empty ones are left out.
+ */
+function visitEventFor(connection, payload) {
+  if (!connection.visit_event_enabled) return null;
+
+  const values = visitValues(connection, payload);
+  const properties = {
+    location: values.location,
+    site: connection.source_tag || '',
+    mac_address: values.mac_address,
+    source: values.source,
+  };
+  for (const [key, value] of Object.entries(properties)) {
+    if (!value) delete properties[key];
+    else properties[key] = String(value).slice(0, MAX_PROPERTY_LENGTH);
+  }
+
+  return { name: VISIT_EVENT_NAME, properties };
+}
+
+/**
+ * The connection's member note rendered for a payload, or null.
+ */
+function memberNoteFor(connection, payload) {
+  if (!connection.member_note) return null;
+
+  const values = visitValues(connection, payload);
+  const note = connection.member_note
+    .replace(PLACEHOLDER_REGEX, (match, name) => (name in values ? values[name] : match))
+    .trim();
+  return note ? note.slice(0, MAX_NOTE_LENGTH) : null;
+}
+
+module.exports = {
+  VISIT_EVENT_NAME,
+  NOTE_PLACEHOLDERS,
+  validateMemberNote,
+  visitEventFor,
+  memberNoteFor,
+};
@@ -0,0 +1,143 @@
+/**
+ * Mailchimp merge field provisioning.
+ *
+ * Mailchimp rejects a whole member upsert when it carries a merge tag the
+ * audience doesn't have, so PHONE or a custom field missing from one
+ * venue's audience would lose the guest. Each audience's merge field schema
+ * is cached in mailchimp_audience_schemas; missing fields are created with
+ * a type that fits the value, and anything that can't be created is dropped
+ * from the member instead of failing it.
+ *
+ * Provisioning happens on connect (standard fields) and lazily: before a
+ * batch is submitted, and after a single upsert fails with a 400.
+ */
+
+const db = require('../db');
+const mailchimp = require('../services/mailchimp');
+
+// Fields every VivaSpot audience should have, with their Mailchimp types
+const STANDARD_MERGE_FIELDS = {
+  FNAME: { name: 'First Name', type: 'text' },
+  LNAME: { name: 'Last Name', type: 'text' },
+  PHONE: { name: 'Phone Number', type: 'phone', options: { phone_format: 'none' } },
+  BIRTHDAY: { name: 'Birthday', type: 'birthday', options: { date_format: 'MM/DD' } },
+  // Visit totals (see guestVisits)
+  VISITS: { name: 'WiFi Visits', type: 'number' },
+  FIRSTVISIT: { name: 'First WiFi Visit', type: 'date', options: { date_format: 'MM/DD/YYYY' } },
+  LASTVISIT: { name: 'Last WiFi Visit', type: 'date', options: { date_format: 'MM/DD/YYYY' } },
+};
+
+// Mailchimp merge tags: up to 10 uppercase letters, digits or underscores
+const MERGE_TAG_REGEX = /^[A-Z][A-Z0-9_]{0,9}$/;
+
+/**
+ * Merge field definition for a tag, from the standard set or inferred
+ * from a sample value.
+ */
+function mergeFieldDefinition(tag, value) {
+  if (STANDARD_MERGE_FIELDS[tag]) {
+    return { tag, ...STANDARD_MERGE_FIELDS[tag] };
+  }
+
+  const name = tag.charAt(0) + tag.slice(1).toLowerCase().replace(/_/g, ' ');
+
+  if (typeof value === 'number') {
+    return { tag, name, type: 'number' };
+  }
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return { tag, name, type: 'date', options: { date_format: 'MM/DD/YYYY' } };
+  }
+  if (/^\d{2}\/\d{2}$/.test(value)) {
+    return { tag, name, type: 'birthday', options: { date_format: 'MM/DD' } };
+  }
+  if (/^https?:\/\//i.test(value)) {
+    return { tag, name, type: 'url' };
+  }
+  return { tag, name, type: 'text' };
+}
+
+/**
+ * Merge tags of an audience as { tags: Set, cached }, from the cache unless
+ * `refresh` is set or nothing is cached yet.
+ */
+async function getAudienceMergeTags(connection, { refresh = false } = {}) {
+  if (!refresh) {
+    const cached = await db.getAudienceSchema(connection.account_id, connection.audience_id);
+    if (cached) return { tags: new Set(cached.merge_fields.map(f => f.tag)), cached: true };
+  }
+
+  const fields = await mailchimp.getMergeFields(
+    mailchimp.accountOf(connection),
+    connection.audience_id
+  );
+  await db.saveAudienceSchema(connection.account_id, connection.audience_id, fields);
+  return { tags: new Set(fields.map(f => f.tag)), cached: false };
+}
+
+/**
+ * Make sure the audience has a merge field for every key of `mergeFields`
+ * ({ TAG: sample value }), creating the missing ones.
+ *
+ * A cache miss is re-checked against Mailchimp before creating anything.
+ * Returns { available: Set of tags usable in a member, created: [tags] }.
+ */
+async function ensureMergeFields(connection, mergeFields, { refresh = false } = {}) {
+  const wanted = Object.keys(mergeFields);
+  const current = await getAudienceMergeTags(connection, { refresh });
+  let tags = current.tags;
+
+  if (current.cached && wanted.some(tag => !tags.has(tag))) {
+    tags = (await getAudienceMergeTags(connection, { refresh: true })).tags;
+  }
+
+  const missing = wanted.filter(tag => !tags.has(tag));
+  const created = [];
+
+  for (const tag of missing) {
+    if (!MERGE_TAG_REGEX.test(tag)) {
+      console.warn(`Skipping invalid merge tag "${tag}" for audience ${connection.audience_id}`);
+      continue;
+    }
+    try {
+      await mailchimp.createMergeField(
+        mailchimp.accountOf(connection),
+        connection.audience_id,
+        mergeFieldDefinition(tag, mergeFields[tag])
+      );
+      tags.add(tag);
+      created.push(tag);
+    } catch (error) {
+      console.warn(`Could not create merge field ${tag} for audience ${connection.audience_id}: ${error.message}`);
+    }
+  }
+
+  if (created.length > 0) {
+    console.log(`Created merge field(s) ${created.join(', ')} in audience ${connection.audience_id}`);
+    // Re-read so the cache holds Mailchimp's names and types
+    await getAudienceMergeTags(connection, { refresh: true });
+  }
+
+  return { available: tags, created };
+}
+
+/**
+ * Create the standard merge fields in a newly connected audience. Runs in
+ * the background so the OAuth flow never waits on it; syncs provision
+ * lazily if this fails.
+ */
+function provisionAudience(connection) {
+  if (!connection || !connection.audience_id) return;
+
+  const standard = Object.fromEntries(Object.keys(STANDARD_MERGE_FIELDS).map(tag => [tag, null]));
+  ensureMergeFields(connection, standard, { refresh: true }).catch(error => {
+    console.error(`Merge field provisioning failed for audience ${connection.audience_id}:`, error.message);
+  });
+}
+
+module.exports = {
+  STANDARD_MERGE_FIELDS,
+  MERGE_TAG_REGEX,
+  mergeFieldDefinition,
+  ensureMergeFields,
+  provisionAudience,
+};
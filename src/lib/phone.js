@@ -0,0 +1,178 @@
+/**
+ * Phone number normalization to E.164.
+ *
+ * Klaviyo rejects a profile whose phone_number isn't E.164, failing the whole
+ * upsert, and Mailchimp's PHONE merge field is only useful for SMS tools if
+ * it's consistent. Both providers therefore get the same normalized number.
+ *
+ * Numbers written with a + (or 00 / 011 international prefix) are parsed
+ * as international; anything else as a national number of the default
+ * country: the payload's `country` (the site's country, when the sender
+ * knows it), else the connection's default_country, else
+ * DEFAULT_PHONE_COUNTRY (US). Numbers that don't parse are dropped with a
+ * warning instead of failing the sync.
+ */
+
+// ISO country -> calling code, valid national number lengths and the
+// trunk prefix dialed before national numbers ('0' in most of Europe).
+const COUNTRIES = {
+  US: { code: '1', lengths: [10], trunk: '1' },
+  CA: { code: '1', lengths: [10], trunk: '1' },
+  PR: { code: '1', lengths: [10], trunk: '1' },
+  MX: { code: '52', lengths: [10] },
+  GB: { code: '44', lengths: [9, 10], trunk: '0' },
+  IE: { code: '353', lengths: [7, 8, 9], trunk: '0' },
+  FR: { code: '33', lengths: [9], trunk: '0' },
+  DE: { code: '49', lengths: [6, 7, 8, 9, 10, 11, 12, 13], trunk: '0' },
+  ES: { code: '34', lengths: [9] },
+  PT: { code: '351', lengths: [9] },
+  IT: { code: '39', lengths: [6, 7, 8, 9, 10, 11] },
+  NL: { code: '31', lengths: [9], trunk: '0' },
+  BE: { code: '32', lengths: [8, 9], trunk: '0' },
+  CH: { code: '41', lengths: [9], trunk: '0' },
+  AT: { code: '43', lengths: [4, 5, 6, 7, 8, 9, 10, 11, 12, 13], trunk: '0' },
+  DK: { code: '45', lengths: [8] },
+  NO: { code: '47', lengths: [8] },
+  SE: { code: '46', lengths: [7, 8, 9, 10, 11, 12, 13], trunk: '0' },
+  AU: { code: '61', lengths: [9], trunk: '0' },
+  NZ: { code: '64', lengths: [8, 9, 10], trunk: '0' },
+  ZA: { code: '27', lengths: [9], trunk: '0' },
+  IN: { code: '91', lengths: [10], trunk: '0' },
+  PH: { code: '63', lengths: [10], trunk: '0' },
+  SG: { code: '65', lengths: [8] },
+  JP: { code: '81', lengths: [9, 10], trunk: '0' },
+  AE: { code: '971', lengths: [8, 9], trunk: '0' },
+  BR: { code: '55', lengths: [10, 11], trunk: '0' },
+};
+
+const DEFAULT_COUNTRY = 'US';
+
+// E.164 allows at most 15 digits after the +
+const MAX_DIGITS = 15;
+const MIN_DIGITS = 8;
+
+// Calling code -> valid national lengths, merged across countries sharing it
+const LENGTHS_BY_CODE = Object.values(COUNTRIES).reduce((byCode, { code, lengths }) => {
+  byCode[code] = [...new Set([...(byCode[code] || []), ...lengths])];
+  return byCode;
+}, {});
+
+// Calling codes whose national numbers never start with 0, because 0 is
+// the trunk prefix. Not Italy: its landlines keep the 0 (+39 06 ...).
+const TRUNK_ZERO_CODES = new Set(
+  Object.values(COUNTRIES).filter(({ trunk }) => trunk === '0').map(({ code }) => code)
+);
+
+function isSupportedCountry(country) {
+  return typeof country === 'string' && Object.prototype.hasOwnProperty.call(COUNTRIES, country.toUpperCase());
+}
+
+/**
+ * Default country for a payload synced through a connection.
+ */
+function phoneCountryFor(connection, payload) {
+  const candidates = [payload && payload.country, connection && connection.default_country, process.env.DEFAULT_PHONE_COUNTRY];
+  const country = candidates.find(isSupportedCountry);
+  return country ? country.toUpperCase() : DEFAULT_COUNTRY;
+}
+
+// NANP area codes and exchanges never start with 0 or 1
+function isValidNanp(national) {
+  return /^[2-9]\d{2}[2-9]\d{6}$/.test(national);
+}
+
+function formatNational(country, national) {
+  const { code, lengths } = COUNTRIES[country];
+  if (!lengths.includes(national.length)) return null;
+  if (TRUNK_ZERO_CODES.has(code) && national.startsWith('0')) return null;
+  if (code === '1' && !isValidNanp(national)) return null;
+  return `+${code}${national}`;
+}
+
+/**
+ * Parse digits following an international prefix. Known calling codes are
+ * checked against their national lengths (and, where 0 is the trunk
+ * prefix, rejected if a 0 follows the code: +49 0151 ...); unknown ones
+ * only against the E.164 length limits.
+ */
+function formatInternational(digits) {
+  if (digits.length < MIN_DIGITS || digits.length > MAX_DIGITS) return null;
+
+  for (const codeLength of [1, 2, 3]) {
+    const code = digits.slice(0, codeLength);
+    const lengths = LENGTHS_BY_CODE[code];
+    if (!lengths) continue;
+
+    const national = digits.slice(codeLength);
+    if (!lengths.includes(national.length)) return null;
+    if (TRUNK_ZERO_CODES.has(code) && national.startsWith('0')) return null;
+    if (code === '1' && !isValidNanp(national)) return null;
+    return `+${digits}`;
+  }
+
+  return `+${digits}`;
+}
+
+/**
+ * Normalize a phone number to E.164 (+14155550123), or return null if it
+ * can't be parsed. `country` is the ISO code national numbers belong to.
+ */
+function normalizePhone(raw, country = DEFAULT_COUNTRY) {
+  if (raw === undefined || raw === null) return null;
+
+  // Drop extensions ("x123", "ext. 123") and formatting
+  const value = String(raw).trim().replace(/\s*(?:ext\.?|x|#)\s*\d+$/i, '');
+  if (!/^[+\d\s().\-/]+$/.test(value)) return null;
+
+  const digits = value.replace(/\D/g, '');
+  if (digits.length === 0) return null;
+
+  if (value.startsWith('+')) return formatInternational(digits);
+
+  const iso = isSupportedCountry(country) ? country.toUpperCase() : DEFAULT_COUNTRY;
+  const region = COUNTRIES[iso];
+
+  // International prefixes: 00 (most countries), 011 (NANP)
+  if (digits.startsWith('00')) return formatInternational(digits.slice(2));
+  if (region.code === '1' && digits.startsWith('011')) return formatInternational(digits.slice(3));
+
+  // A national number never starts with a trunk 0, so it is always
+  // dropped. A NANP '1' is only dropped when the number is too long with it.
+  let national = digits;
+  if (region.trunk === '0' && digits.startsWith('0')) {
+    national = digits.slice(1);
+  } else if (region.trunk && digits.startsWith(region.trunk) && !region.lengths.includes(digits.length)) {
+    national = digits.slice(region.trunk.length);
+  }
+
+  // The calling code typed without a + (447700900123)
+  if (!region.lengths.includes(national.length) && digits.startsWith(region.code)) {
+    return formatNational(iso, digits.slice(region.code.length));
+  }
+
+  return formatNational(iso, national);
+}
+
+/**
+ * The payload's phone in E.164 for a connection, or null. An unparseable
+ * number is logged and dropped so the rest of the contact still syncs.
+ */
+function phoneFor(connection, payload) {
+  if (!payload.phone) return null;
+
+  const country = phoneCountryFor(connection, payload);
+  const phone = normalizePhone(payload.phone, country);
+  if (!phone) {
+    console.warn(`Dropping invalid phone "${payload.phone}" (${country}) for ${payload.email}`);
+  }
+  return phone;
+}
+
+module.exports = {
+  COUNTRIES,
+  DEFAULT_COUNTRY,
+  isSupportedCountry,
+  phoneCountryFor,
+  normalizePhone,
+  phoneFor,
+};
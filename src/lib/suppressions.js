@@ -0,0 +1,96 @@
+/**
+ * Local suppression list.
+ *
+ * A guest who unsubscribed (or bounced, or asked to be removed) must not
+ * be subscribed again just because they log into the WiFi again. Each
+ * provider account keeps a list of suppressed addresses in `suppressions`,
+ * filled from provider webhooks, admin imports and the admin API, and every
+ * sync checks it before calling the provider.
+ *
+ * SUPPRESSION_ACTION decides what happens to a suppressed guest:
+ *   skip        nothing is sent to the provider (the default)
+ *   downgrade   the profile is updated without consent, as for a
+ *               transactional connection (no list subscription, no
+ *               marketing permissions, Mailchimp status_if_new
+ *               'transactional')
+ * Either way the sync is logged with outcome 'suppressed'.
+ */
+
+const db = require('../db');
+
+const SUPPRESSION_ACTIONS = ['skip', 'downgrade'];
+const DEFAULT_SUPPRESSION_ACTION = 'skip';
+
+// Where an entry came from
+const SUPPRESSION_SOURCES = ['webhook', 'import', 'api'];
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function suppressionAction() {
+  const action = process.env.SUPPRESSION_ACTION;
+  return SUPPRESSION_ACTIONS.includes(action) ? action : DEFAULT_SUPPRESSION_ACTION;
+}
+
+/**
+ * The connection to sync a suppressed guest with: consent stripped.
+ */
+function withoutConsent(connection) {
+  return { ...connection, consent_mode: 'transactional', marketing_permissions: [] };
+}
+
+/**
+ * Check a guest against the connection's account. Returns null if not
+ * suppressed, otherwise { action, reason, connection } where connection is
+ * the one to sync with when the action is 'downgrade'.
+ */
+async function checkSuppression(provider, connection, email) {
+  if (!email) return null;
+
+  const entry = await db.getSuppression(provider, connection.account_id, email);
+  if (!entry) return null;
+
+  return {
+    action: suppressionAction(),
+    reason: entry.reason,
+    connection: withoutConsent(connection),
+  };
+}
+
+/**
+ * Result of a sync skipped because the guest is suppressed.
+ */
+function skippedResult(email, suppression) {
+  return { email, status: 'suppressed', suppressed: true, reason: suppression.reason };
+}
+
+/**
+ * Return a validation error message for a suppression request body
+ * ({ provider, account_id, email | emails }), or null if valid.
+ */
+function validateSuppressionRequest({ provider, account_id, email, emails }, providers) {
+  if (!providers.includes(provider)) {
+    return `provider must be one of: ${providers.join(', ')}`;
+  }
+  if (!account_id || typeof account_id !== 'string') {
+    return 'Missing required field: account_id';
+  }
+  const list = emails !== undefined ? emails : [email];
+  if (!Array.isArray(list) || list.length === 0) {
+    return 'Request body must contain an "email" or a non-empty "emails" array';
+  }
+  const invalid = list.find(e => typeof e !== 'string' || !EMAIL_REGEX.test(e.trim()));
+  if (invalid !== undefined) {
+    return `Invalid email: ${invalid}`;
+  }
+  return null;
+}
+
+module.exports = {
+  SUPPRESSION_ACTIONS,
+  SUPPRESSION_SOURCES,
+  suppressionAction,
+  checkSuppression,
+  skippedResult,
+  withoutConsent,
+  validateSuppressionRequest,
+};
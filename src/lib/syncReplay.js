@@ -0,0 +1,123 @@
+/**
+ * Replay failed syncs recorded in sync_log.
+ *
+ * Failures store the provider and the normalized job payload, so once the
+ * underlying problem is fixed (token reconnected, audience recreated) an
+ * admin can push them through the sync queue again. Each replay is a fresh
+ * job with its own retries; the original log row is stamped with
+ * replayed_at and the new job id.
+ */
+
+const db = require('../db');
+const syncQueue = require('../services/syncQueue');
+const { PROVIDERS, resolveConnection } = require('./contactSync');
+
+/**
+ * Providers to replay a log entry to. Entries written by /ingest before any
+ * integration existed have no provider; those go to whatever is connected now.
+ */
+async function replayProvidersFor(entry) {
+  if (entry.provider) return [entry.provider];
+
+  const connected = [];
+  for (const provider of PROVIDERS) {
+    if (await resolveConnection(provider, entry.payload.mac_address, null)) {
+      connected.push(provider);
+    }
+  }
+  return connected;
+}
+
+/**
+ * Replay one sync_log entry. Returns a report row:
+ *   { log_id, email, mac_address, provider, status, job_id?, error? }
+ * where status is 'succeeded' | 'queued' | 'failed' | 'skipped'.
+ */
+async function replayLogEntry(entry) {
+  const base = { log_id: entry.id, email: entry.email, mac_address: entry.mac_address };
+
+  if (entry.success) {
+    return { ...base, provider: entry.provider, status: 'skipped', error: 'Entry is not a failure' };
+  }
+  if (!entry.payload) {
+    return { ...base, provider: entry.provider, status: 'skipped', error: 'No payload stored for this entry' };
+  }
+
+  const providers = await replayProvidersFor(entry);
+  if (providers.length === 0) {
+    return { ...base, provider: null, status: 'failed', error: 'No integration connected' };
+  }
+
+  const reports = [];
+  for (const provider of providers) {
+    try {
+      const { job, outcome } = await syncQueue.enqueueAndRun(provider, entry.payload);
+      await db.markSyncLogReplayed(entry.id, job.id);
+
+      const status = { succeeded: 'succeeded', retrying: 'queued', dead: 'failed' }[outcome.status];
+      reports.push({
+        ...base,
+        provider,
+        status,
+        job_id: job.id,
+        ...(outcome.error && { error: outcome.error.message }),
+      });
+    } catch (error) {
+      reports.push({ ...base, provider, status: 'failed', error: error.message });
+    }
+  }
+
+  return reports.length === 1 ? reports[0] : reports;
+}
+
+/**
+ * Replay many entries one at a time. Repeated failures for the same guest
+ * (same provider, MAC and email) are only replayed once per run; the extra
+ * rows are marked replayed and reported as 'duplicate'.
+ */
+async function replayLogEntries(entries) {
+  const report = {
+    total: entries.length,
+    succeeded: 0,
+    queued: 0,
+    failed: 0,
+    skipped: 0,
+    duplicate: 0,
+    results: [],
+  };
+
+  const seen = new Set();
+
+  for (const entry of entries) {
+    const dedupeKey = [entry.provider, entry.mac_address, entry.email]
+      .map(v => String(v || '').toLowerCase())
+      .join('|');
+
+    if (seen.has(dedupeKey)) {
+      await db.markSyncLogReplayed(entry.id, null);
+      report.duplicate++;
+      report.results.push({
+        log_id: entry.id,
+        email: entry.email,
+        mac_address: entry.mac_address,
+        provider: entry.provider,
+        status: 'duplicate',
+      });
+      continue;
+    }
+    seen.add(dedupeKey);
+
+    const rows = [].concat(await replayLogEntry(entry));
+    rows.forEach(row => {
+      report[row.status]++;
+      report.results.push(row);
+    });
+  }
+
+  return report;
+}
+
+module.exports = {
+  replayLogEntry,
+  replayLogEntries,
+};
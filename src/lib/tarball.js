@@ -0,0 +1,98 @@
+/**
+ * Minimal tar reader.
+ *
+ * Mailchimp batch results arrive as a .tar.gz of JSON files. We only need to
+ * read regular files out of an already-gunzipped ustar archive, so this
+ * avoids pulling in a full tar dependency.
+ *
+ * Names longer than 100 bytes are read from the ustar prefix field, a GNU
+ * long-name entry ('L') or a pax header ('x' path record). An archive that
+ * ends inside an entry throws rather than returning partial data.
+ */
+
+const BLOCK_SIZE = 512;
+
+function readString(header, start, length) {
+  const raw = header.toString('utf8', start, start + length);
+  const nul = raw.indexOf('\0');
+  return nul === -1 ? raw : raw.slice(0, nul);
+}
+
+/**
+ * `path` record of a pax extended header, or null.
+ * Records are "<length> <key>=<value>\n".
+ */
+function paxPath(data) {
+  let offset = 0;
+  while (offset < data.length) {
+    const space = data.indexOf(0x20, offset);
+    const length = parseInt(data.toString('utf8', offset, space), 10);
+    if (space === -1 || !(length > 0)) break;
+
+    const record = data.toString('utf8', space + 1, offset + length - 1);
+    const equals = record.indexOf('=');
+    if (record.slice(0, equals) === 'path') return record.slice(equals + 1);
+    offset += length;
+  }
+  return null;
+}
+
+/**
+ * Return [{ name, data }] for every regular file in a tar buffer.
+ */
+function extractTarEntries(buffer) {
+  const entries = [];
+  let offset = 0;
+  // Name from a preceding GNU long-name or pax header
+  let longName = null;
+
+  while (offset < buffer.length) {
+    if (offset + BLOCK_SIZE > buffer.length) {
+      throw new Error('Truncated tar archive');
+    }
+    const header = buffer.subarray(offset, offset + BLOCK_SIZE);
+
+    // Two zero blocks mark the end of the archive; one is enough to stop.
+    if (header.every(byte => byte === 0)) break;
+
+    const name = readString(header, 0, 100);
+    const prefix = readString(header, 345, 155);
+    const size = parseInt(readString(header, 124, 12).trim() || '0', 8);
+    const typeFlag = header[156];
+
+    if (isNaN(size)) {
+      throw new Error(`Invalid tar header at byte ${offset}`);
+    }
+
+    offset += BLOCK_SIZE;
+    if (offset + size > buffer.length) {
+      throw new Error('Truncated tar archive');
+    }
+    const data = buffer.subarray(offset, offset + size);
+
+    if (typeFlag === 0x4c) {
+      // 'L' = GNU long name of the next entry
+      longName = readString(data, 0, data.length);
+    } else if (typeFlag === 0x78) {
+      // 'x' = pax header of the next entry
+      longName = paxPath(data) || longName;
+    } else {
+      // '0' or NUL = regular file; skip directories, links and global headers.
+      if (typeFlag === 0x30 || typeFlag === 0) {
+        entries.push({
+          name: longName || (prefix ? `${prefix}/${name}` : name),
+          data,
+        });
+      }
+      longName = null;
+    }
+
+    offset += Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE;
+  }
+
+  return entries;
+}
+
+module.exports = {
+  extractTarEntries,
+};
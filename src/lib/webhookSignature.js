@@ -0,0 +1,215 @@
+/**
+ * Webhook signature verification shared by every n8n-facing router
+ * (/webhook, /klaviyo/webhook, /ingest).
+ *
+ * Canonical scheme: senders compute HMAC-SHA256 over the bytes
+ *
+ *   <timestamp> "." <raw request body exactly as sent>
+ *
+ * (an empty body for GET requests) and send:
+ *
+ *   X-Webhook-Timestamp: 1767225600         (unix seconds)
+ *   X-Webhook-Signature: <hex digest>
+ *   X-Webhook-Integration: n8n-prod         (only with a per-integration secret)
+ *
+ * The raw body is captured by captureRawBody (express.json's verify hook),
+ * so key order, whitespace and unicode escaping are whatever the sender
+ * produced; nothing is re-serialized.
+ *
+ * Requests outside WEBHOOK_TIMESTAMP_TOLERANCE_SECONDS of our clock are
+ * rejected, so a captured request can't be replayed later.
+ *
+ * Secrets:
+ *   - WEBHOOK_SECRET: comma-separated shared secrets, all active at once so
+ *     a key can rotate without downtime (add new, update senders, drop old).
+ *   - webhook_secrets table: per-integration secrets managed from the admin
+ *     API; a request naming its integration is checked only against that
+ *     integration's active secrets, so one n8n instance can be revoked alone.
+ *     They are cached for SECRETS_CACHE_TTL_MS; the admin routes invalidate
+ *     the cache on create/revoke, and other instances pick changes up when
+ *     their cache expires.
+ * Verification is skipped only when neither is configured.
+ *
+ * WEBHOOK_ALLOW_LEGACY_SIGNATURES=true also accepts the legacy schemes
+ * signed over JSON.stringify(req.body) instead of the raw body, with or
+ * without a timestamp, while senders migrate.
+ */
+
+const crypto = require('crypto');
+const db = require('../db');
+
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+const SECRETS_CACHE_TTL_MS = 30 * 1000;
+
+// { secrets: Map(integration -> [secret]), any, loadedAt } or null
+let secretsCache = null;
+// In-flight load, shared by concurrent requests
+let secretsLoading = null;
+
+// Mount paths whose requests are signed
+const SIGNED_PATHS = ['/webhook', '/klaviyo/webhook', '/ingest'];
+
+/**
+ * express.json verify hook: keep the raw body of signed webhook requests
+ * as req.rawBody (a Buffer).
+ */
+function captureRawBody(req, res, buf) {
+  const path = req.originalUrl.split('?')[0];
+  if (SIGNED_PATHS.some(p => path === p || path.startsWith(`${p}/`))) {
+    req.rawBody = buf;
+  }
+}
+
+function envSecrets() {
+  return (process.env.WEBHOOK_SECRET || '')
+    .split(',')
+    .map(s => s.trim())
+    .filter(Boolean);
+}
+
+function toleranceSeconds() {
+  return parseInt(process.env.WEBHOOK_TIMESTAMP_TOLERANCE_SECONDS, 10) || DEFAULT_TOLERANCE_SECONDS;
+}
+
+function sign(secret, content) {
+  return crypto.createHmac('sha256', secret).update(content).digest('hex');
+}
+
+/**
+ * Constant-time comparison of two hex digests.
+ */
+function safeEqual(actual, expected) {
+  const a = Buffer.from(String(actual), 'utf8');
+  const b = Buffer.from(expected, 'utf8');
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Whether `signature` matches `content` (string or Buffer) under any of
+ * `secrets`. Every secret is checked so timing doesn't reveal which one
+ * matched.
+ */
+function matchesAny(secrets, content, signature) {
+  let matched = false;
+  for (const secret of secrets) {
+    if (safeEqual(signature, sign(secret, content))) matched = true;
+  }
+  return matched;
+}
+
+/**
+ * Active per-integration secrets, from the cache while it is fresh.
+ */
+async function storedSecrets() {
+  if (secretsCache && Date.now() - secretsCache.loadedAt < SECRETS_CACHE_TTL_MS) {
+    return secretsCache;
+  }
+  if (!secretsLoading) {
+    const loading = db.getActiveWebhookSecrets()
+      .then((rows) => {
+        const secrets = new Map();
+        for (const row of rows) {
+          if (!secrets.has(row.integration)) secrets.set(row.integration, []);
+          secrets.get(row.integration).push(row.secret);
+        }
+        // Skip storing a load that an invalidation overtook
+        if (secretsLoading === loading) {
+          secretsCache = { secrets, any: rows.length > 0, loadedAt: Date.now() };
+        }
+        return { secrets, any: rows.length > 0 };
+      })
+      .finally(() => {
+        if (secretsLoading === loading) secretsLoading = null;
+      });
+    secretsLoading = loading;
+  }
+  return secretsLoading;
+}
+
+/**
+ * Drop the cached per-integration secrets, after one is created or revoked.
+ */
+function invalidateSecretsCache() {
+  secretsCache = null;
+  secretsLoading = null;
+}
+
+/**
+ * Secrets a request may be signed with: the named integration's active
+ * secrets, or the shared WEBHOOK_SECRET list. Returns null when no secret
+ * is configured anywhere (verification disabled).
+ */
+async function candidateSecrets(integration) {
+  const shared = envSecrets();
+  const stored = await storedSecrets();
+
+  if (shared.length === 0 && !stored.any) return null;
+
+  if (integration) {
+    return stored.secrets.get(integration) || [];
+  }
+  return shared;
+}
+
+/**
+ * Verify webhook signature (if any secret is configured).
+ */
+async function verifySignature(req, res, next) {
+  try {
+    const integration = req.headers['x-webhook-integration'] || null;
+    const secrets = await candidateSecrets(integration);
+
+    // Skip verification if no secret configured
+    if (!secrets) {
+      return next();
+    }
+
+    const signature = req.headers['x-webhook-signature'];
+    const timestamp = req.headers['x-webhook-timestamp'];
+
+    if (!signature) {
+      return res.status(401).json({ error: 'Missing webhook signature' });
+    }
+
+    if (secrets.length === 0) {
+      return res.status(401).json({ error: 'Invalid webhook signature' });
+    }
+
+    const allowLegacy = process.env.WEBHOOK_ALLOW_LEGACY_SIGNATURES === 'true';
+    const legacyPayload = JSON.stringify(req.body);
+
+    if (!timestamp) {
+      if (allowLegacy && matchesAny(secrets, legacyPayload, signature)) {
+        return next();
+      }
+      return res.status(401).json({ error: 'Missing webhook timestamp' });
+    }
+
+    const sentAt = Number(timestamp);
+    if (!Number.isInteger(sentAt) || Math.abs(Date.now() / 1000 - sentAt) > toleranceSeconds()) {
+      return res.status(401).json({ error: 'Webhook timestamp outside tolerance' });
+    }
+
+    const rawBody = req.rawBody || Buffer.alloc(0);
+    const signed = Buffer.concat([Buffer.from(`${timestamp}.`, 'utf8'), rawBody]);
+
+    if (matchesAny(secrets, signed, signature)) {
+      return next();
+    }
+    if (allowLegacy && matchesAny(secrets, `${timestamp}.${legacyPayload}`, signature)) {
+      return next();
+    }
+
+    res.status(401).json({ error: 'Invalid webhook signature' });
+  } catch (error) {
+    console.error('Webhook signature check error:', error.message);
+    res.status(500).json({ error: 'Failed to verify webhook signature' });
+  }
+}
+
+module.exports = {
+  captureRawBody,
+  verifySignature,
+  invalidateSecretsCache,
+};
@@ -6,10 +6,27 @@
  */
 
 const express = require('express');
+const crypto = require('crypto');
 const router = express.Router();
 
 const db = require('../db');
 const mailchimp = require('../services/mailchimp');
+const klaviyo = require('../services/klaviyo');
+const healthMonitor = require('../services/healthMonitor');
+const { replayLogEntries } = require('../lib/syncReplay');
+const { CONSENT_MODES, isValidConsentMode, refreshMarketingPermissions } = require('../lib/consent');
+const { MERGE_TAG_REGEX, provisionAudience } = require('../lib/mergeFields');
+const { registerListWebhook, removeListWebhook } = require('../lib/listWebhooks');
+const { validateFieldMapping } = require('../lib/fieldMappings');
+const { PROVIDERS } = require('../lib/contactSync');
+const { normalizeMac } = require('../lib/contactPipeline');
+const { validateSuppressionRequest } = require('../lib/suppressions');
+const { policyFor, validateEmailQualityPolicy } = require('../lib/emailQuality');
+const { COUNTRIES, isSupportedCountry } = require('../lib/phone');
+const { MISSING_EMAIL_POLICIES, isValidMissingEmailPolicy, missingEmailPolicyFor } = require('../lib/guestIdentity');
+const { VISIT_EVENT_NAME, validateMemberNote } = require('../lib/memberActivity');
+const { validateMetricName, visitMetricNameFor } = require('../lib/klaviyoEvents');
+const { invalidateSecretsCache } = require('../lib/webhookSignature');
 
 /**
  * Simple auth middleware (replace with proper auth in production)
@@ -48,6 +65,14 @@ router.get('/', async (req, res) => {
         account_name: c.account_name,
         audience_name: c.audience_name,
         source_tag: c.source_tag,
+        consent_mode: c.consent_mode,
+        status: c.status,
+        status_reason: c.status_reason,
+        status_changed_at: c.status_changed_at,
+        health: healthMonitor.healthOf(c),
+        last_checked_at: c.last_checked_at,
+        last_status: c.last_status,
+        last_check_error: c.last_check_error,
         created_at: c.created_at,
         updated_at: c.updated_at
       }))
@@ -72,8 +97,7 @@ router.get('/:mac_address', async (req, res) => {
     
     // Test if connection is still valid
     const isValid = await mailchimp.pingAccount(
-      connection.access_token,
-      connection.data_center
+      mailchimp.accountOf(connection)
     );
     
     res.json({
@@ -85,6 +109,16 @@ router.get('/:mac_address', async (req, res) => {
       audience_id: connection.audience_id,
       audience_name: connection.audience_name,
       source_tag: connection.source_tag,
+      consent_mode: connection.consent_mode,
+      default_country: connection.default_country,
+      missing_email_policy: missingEmailPolicyFor(connection),
+      visit_event_enabled: connection.visit_event_enabled,
+      member_note: connection.member_note,
+      marketing_permissions: connection.marketing_permissions,
+      status: connection.status,
+      status_reason: connection.status_reason,
+      consecutive_failures: connection.consecutive_failures,
+      status_changed_at: connection.status_changed_at,
       created_at: connection.created_at,
       updated_at: connection.updated_at,
       is_valid: isValid
@@ -96,25 +130,50 @@ router.get('/:mac_address', async (req, res) => {
 });
 
 /**
- * Update connection settings (e.g., change audience or source tag)
+ * Update connection settings (e.g., change audience, source tag or consent mode)
  * PATCH /connections/:mac_address
+ *
+ * consent_mode applies to the Mailchimp connection and, if the location
+ * also has one, its Klaviyo connection.
  */
 router.patch('/:mac_address', async (req, res) => {
   try {
-    const { audience_id, audience_name, source_tag } = req.body;
+    const { audience_id, audience_name, source_tag, consent_mode } = req.body;
     const macAddress = req.params.mac_address;
     
+    if (consent_mode !== undefined && !isValidConsentMode(consent_mode)) {
+      return res.status(400).json({ 
+        error: `consent_mode must be one of: ${CONSENT_MODES.join(', ')}` 
+      });
+    }
+    
     const existing = await db.getConnectionByMac(macAddress);
+    const klaviyoConnection = consent_mode !== undefined
+      ? await db.getKlaviyoConnectionByMac(macAddress)
+      : null;
     
-    if (!existing) {
+    if (!existing && !klaviyoConnection) {
       return res.status(404).json({ error: 'Connection not found' });
     }
     
+    // Klaviyo-only location: just the consent mode
+    if (!existing) {
+      const updatedKlaviyo = await db.updateKlaviyoConsentMode(macAddress, consent_mode);
+      
+      return res.json({
+        success: true,
+        klaviyo_connection: {
+          mac_address: updatedKlaviyo.mac_address,
+          list_name: updatedKlaviyo.list_name,
+          consent_mode: updatedKlaviyo.consent_mode
+        }
+      });
+    }
+    
     // If changing audience, verify it exists
     if (audience_id && audience_id !== existing.audience_id) {
       const audiences = await mailchimp.getAudiences(
-        existing.access_token,
-        existing.data_center
+        mailchimp.accountOf(existing)
       );
       
       const targetAudience = audiences.find(a => a.id === audience_id);
@@ -134,17 +193,48 @@ router.patch('/:mac_address', async (req, res) => {
       accountName: existing.account_name,
       audienceId: audience_id || existing.audience_id,
       audienceName: audience_name || existing.audience_name,
-      sourceTag: source_tag !== undefined ? source_tag : existing.source_tag
+      sourceTag: source_tag !== undefined ? source_tag : existing.source_tag,
+      consentMode: consent_mode || null
     });
     
+    if (updated.audience_id !== existing.audience_id) {
+      provisionAudience(updated);
+      registerListWebhook(updated);
+      await removeListWebhook(existing);
+    }
+    
+    // Opt-in modes send the audience's GDPR marketing permissions; fetch them
+    // now so the first guest doesn't have to (syncs retry the lookup if this fails)
+    let marketingPermissions = updated.marketing_permissions;
+    if (consent_mode && consent_mode !== 'transactional') {
+      try {
+        marketingPermissions = await refreshMarketingPermissions(updated);
+      } catch (error) {
+        console.error('Marketing permissions refresh failed:', error.message);
+      }
+    }
+    
+    const updatedKlaviyo = klaviyoConnection
+      ? await db.updateKlaviyoConsentMode(macAddress, consent_mode)
+      : null;
+    
     res.json({
       success: true,
       connection: {
         mac_address: updated.mac_address,
         audience_id: updated.audience_id,
         audience_name: updated.audience_name,
-        source_tag: updated.source_tag
-      }
+        source_tag: updated.source_tag,
+        consent_mode: updated.consent_mode,
+        marketing_permissions: marketingPermissions
+      },
+      ...(updatedKlaviyo && {
+        klaviyo_connection: {
+          mac_address: updatedKlaviyo.mac_address,
+          list_name: updatedKlaviyo.list_name,
+          consent_mode: updatedKlaviyo.consent_mode
+        }
+      })
     });
   } catch (error) {
     console.error('Update connection error:', error);
@@ -164,6 +254,9 @@ router.delete('/:mac_address', async (req, res) => {
       return res.status(404).json({ error: 'Connection not found' });
     }
     
+    // Last location on the audience: stop Mailchimp's list webhook
+    await removeListWebhook(deleted);
+    
     res.json({
       success: true,
       deleted: {
@@ -190,8 +283,7 @@ router.get('/:mac_address/audiences', async (req, res) => {
     }
     
     const audiences = await mailchimp.getAudiences(
-      connection.access_token,
-      connection.data_center
+      mailchimp.accountOf(connection)
     );
     
     res.json({
@@ -205,6 +297,352 @@ router.get('/:mac_address/audiences', async (req, res) => {
   }
 });
 
+/**
+ * Guest states reported by the audience's Mailchimp list webhook
+ * GET /connections/:mac_address/member-status?status=unsubscribed&limit=100
+ */
+router.get('/:mac_address/member-status', async (req, res) => {
+  try {
+    const connection = await db.getConnectionByMac(req.params.mac_address);
+    
+    if (!connection) {
+      return res.status(404).json({ error: 'Connection not found' });
+    }
+    
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const [webhook, members] = await Promise.all([
+      db.getListWebhook(connection.account_id, connection.audience_id),
+      db.getMemberStatuses(connection.account_id, connection.audience_id, {
+        status: req.query.status || null,
+        limit
+      })
+    ]);
+    
+    res.json({
+      account_name: connection.account_name,
+      audience_name: connection.audience_name,
+      webhook_registered: !!(webhook && webhook.webhook_id),
+      count: members.length,
+      members
+    });
+  } catch (error) {
+    console.error('Get member status error:', error);
+    res.status(500).json({ error: 'Failed to get member status' });
+  }
+});
+
+/**
+ * List field mappings for a location (both providers)
+ * GET /connections/:mac_address/field-mappings
+ */
+router.get('/:mac_address/field-mappings', async (req, res) => {
+  try {
+    const mappings = await db.getFieldMappingsForMac(normalizeMac(req.params.mac_address));
+    
+    res.json({
+      count: mappings.length,
+      field_mappings: mappings
+    });
+  } catch (error) {
+    console.error('List field mappings error:', error);
+    res.status(500).json({ error: 'Failed to list field mappings' });
+  }
+});
+
+/**
+ * Create a field mapping (replaces an existing one with the same target)
+ * POST /connections/:mac_address/field-mappings
+ * {
+ *   "provider": "mailchimp",             ("mailchimp" | "klaviyo")
+ *   "source_key": "dob",                 (custom_fields key or payload field)
+ *   "target": "BIRTHDAY",                (merge tag / profile property)
+ *   "transform": "date",                 (optional: "uppercase" | "date")
+ *   "date_format": "MM/DD",              (required for "date")
+ *   "default_value": null                (optional)
+ * }
+ */
+router.post('/:mac_address/field-mappings', async (req, res) => {
+  try {
+    const { provider, source_key, target, transform, date_format, default_value } = req.body;
+    const macAddress = normalizeMac(req.params.mac_address);
+    
+    if (!PROVIDERS.includes(provider)) {
+      return res.status(400).json({ error: `provider must be one of: ${PROVIDERS.join(', ')}` });
+    }
+    
+    const validationError = validateFieldMapping(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    
+    if (provider === 'mailchimp' && !MERGE_TAG_REGEX.test(target)) {
+      return res.status(400).json({ 
+        error: 'Mailchimp targets must be merge tags: up to 10 uppercase letters, digits or underscores' 
+      });
+    }
+    
+    const connection = provider === 'mailchimp'
+      ? await db.getConnectionByMac(macAddress)
+      : await db.getKlaviyoConnectionByMac(macAddress);
+    
+    if (!connection) {
+      return res.status(404).json({ error: 'Connection not found' });
+    }
+    
+    const mapping = await db.upsertFieldMapping({
+      provider,
+      macAddress: connection.mac_address,
+      sourceKey: source_key,
+      target,
+      transform: transform || null,
+      dateFormat: transform === 'date' ? date_format : null,
+      defaultValue: default_value !== undefined && default_value !== null ? String(default_value) : null
+    });
+    
+    res.status(201).json({ success: true, field_mapping: mapping });
+  } catch (error) {
+    console.error('Create field mapping error:', error);
+    res.status(500).json({ error: 'Failed to save field mapping' });
+  }
+});
+
+/**
+ * Delete a field mapping
+ * DELETE /connections/:mac_address/field-mappings/:mapping_id
+ */
+router.delete('/:mac_address/field-mappings/:mapping_id', async (req, res) => {
+  try {
+    const deleted = await db.deleteFieldMapping(
+      parseInt(req.params.mapping_id),
+      normalizeMac(req.params.mac_address)
+    );
+    
+    if (!deleted) {
+      return res.status(404).json({ error: 'Field mapping not found' });
+    }
+    
+    res.json({ success: true, deleted });
+  } catch (error) {
+    console.error('Delete field mapping error:', error);
+    res.status(500).json({ error: 'Failed to delete field mapping' });
+  }
+});
+
+/**
+ * Email quality policy for a location (both providers), with defaults filled in
+ * GET /connections/:mac_address/email-quality
+ */
+router.get('/:mac_address/email-quality', async (req, res) => {
+  try {
+    const macAddress = normalizeMac(req.params.mac_address);
+    const [mailchimpConnection, klaviyoConnection] = await Promise.all([
+      db.getConnectionByMac(macAddress),
+      db.getKlaviyoConnectionByMac(macAddress)
+    ]);
+    
+    if (!mailchimpConnection && !klaviyoConnection) {
+      return res.status(404).json({ error: 'Connection not found' });
+    }
+    
+    const describe = (connection) => connection && {
+      policy: policyFor(connection),
+      customized: connection.email_quality_policy !== null
+    };
+    
+    res.json({
+      mac_address: macAddress,
+      mailchimp: describe(mailchimpConnection),
+      klaviyo: describe(klaviyoConnection)
+    });
+  } catch (error) {
+    console.error('Get email quality policy error:', error);
+    res.status(500).json({ error: 'Failed to get email quality policy' });
+  }
+});
+
+/**
+ * Set a connection's email quality policy. Checks left out use the
+ * defaults; "policy": null resets every check to its default.
+ * PUT /connections/:mac_address/email-quality
+ * {
+ *   "provider": "mailchimp",
+ *   "policy": { "typo": "correct", "disposable": "reject", "role": "tag", "mx": "allow" }
+ * }
+ */
+router.put('/:mac_address/email-quality', async (req, res) => {
+  try {
+    const { provider, policy } = req.body;
+    
+    if (!PROVIDERS.includes(provider)) {
+      return res.status(400).json({ error: `provider must be one of: ${PROVIDERS.join(', ')}` });
+    }
+    
+    if (policy !== null) {
+      const validationError = validateEmailQualityPolicy(policy);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+    }
+    
+    const updated = await db.setEmailQualityPolicy(provider, normalizeMac(req.params.mac_address), policy);
+    
+    if (!updated) {
+      return res.status(404).json({ error: 'Connection not found' });
+    }
+    
+    res.json({
+      success: true,
+      mac_address: updated.mac_address,
+      provider,
+      policy: policyFor(updated)
+    });
+  } catch (error) {
+    console.error('Set email quality policy error:', error);
+    res.status(500).json({ error: 'Failed to save email quality policy' });
+  }
+});
+
+/**
+ * Set the country national phone numbers are parsed in, for every provider
+ * connected to the location. "country": null falls back to DEFAULT_PHONE_COUNTRY.
+ * PUT /connections/:mac_address/default-country
+ * { "country": "GB" }
+ */
+router.put('/:mac_address/default-country', async (req, res) => {
+  try {
+    const { country } = req.body;
+    
+    if (country !== null && !isSupportedCountry(country)) {
+      return res.status(400).json({ 
+        error: `country must be null or one of: ${Object.keys(COUNTRIES).join(', ')}` 
+      });
+    }
+    
+    const macAddress = normalizeMac(req.params.mac_address);
+    const updated = {};
+    for (const provider of PROVIDERS) {
+      const connection = await db.setDefaultCountry(provider, macAddress, country && country.toUpperCase());
+      if (connection) updated[provider] = connection.default_country;
+    }
+    
+    if (Object.keys(updated).length === 0) {
+      return res.status(404).json({ error: 'Connection not found' });
+    }
+    
+    res.json({ success: true, mac_address: macAddress, default_country: updated });
+  } catch (error) {
+    console.error('Set default country error:', error);
+    res.status(500).json({ error: 'Failed to save default country' });
+  }
+});
+
+/**
+ * Set what the Mailchimp connection does with guests who have no email
+ * ("skip", "hold" or "store"); null falls back to MAILCHIMP_MISSING_EMAIL_POLICY.
+ * PUT /connections/:mac_address/missing-email-policy
+ * { "policy": "hold" }
+ */
+router.put('/:mac_address/missing-email-policy', async (req, res) => {
+  try {
+    const { policy } = req.body;
+    
+    if (policy !== null && !isValidMissingEmailPolicy(policy)) {
+      return res.status(400).json({ 
+        error: `policy must be null or one of: ${MISSING_EMAIL_POLICIES.join(', ')}` 
+      });
+    }
+    
+    const updated = await db.setMissingEmailPolicy(normalizeMac(req.params.mac_address), policy);
+    
+    if (!updated) {
+      return res.status(404).json({ error: 'Connection not found' });
+    }
+    
+    res.json({
+      success: true,
+      mac_address: updated.mac_address,
+      missing_email_policy: missingEmailPolicyFor(updated)
+    });
+  } catch (error) {
+    console.error('Set missing email policy error:', error);
+    res.status(500).json({ error: 'Failed to save missing email policy' });
+  }
+});
+
+/**
+ * Configure the Mailchimp member activity recorded on each sync: the
+ * wifi_visit event and a member note template (null for no note).
+ * PUT /connections/:mac_address/member-activity
+ * { "visit_event": true, "member_note": "Connected to WiFi at {location}" }
+ */
+router.put('/:mac_address/member-activity', async (req, res) => {
+  try {
+    const { visit_event: visitEvent, member_note: memberNote } = req.body;
+    
+    if (visitEvent === undefined && memberNote === undefined) {
+      return res.status(400).json({ error: 'Provide visit_event and/or member_note' });
+    }
+    if (visitEvent !== undefined && typeof visitEvent !== 'boolean') {
+      return res.status(400).json({ error: 'visit_event must be true or false' });
+    }
+    if (memberNote !== undefined && memberNote !== null) {
+      const noteError = validateMemberNote(memberNote);
+      if (noteError) return res.status(400).json({ error: noteError });
+    }
+    
+    const updated = await db.setMemberActivity(normalizeMac(req.params.mac_address), {
+      visitEventEnabled: visitEvent,
+      memberNote
+    });
+    
+    if (!updated) {
+      return res.status(404).json({ error: 'Connection not found' });
+    }
+    
+    res.json({
+      success: true,
+      mac_address: updated.mac_address,
+      visit_event: updated.visit_event_enabled ? VISIT_EVENT_NAME : null,
+      member_note: updated.member_note
+    });
+  } catch (error) {
+    console.error('Set member activity error:', error);
+    res.status(500).json({ error: 'Failed to save member activity' });
+  }
+});
+
+/**
+ * Set the Klaviyo metric the location's visit events are recorded under;
+ * null falls back to KLAVIYO_VISIT_METRIC_NAME.
+ * PUT /connections/:mac_address/visit-metric
+ * { "metric_name": "Joined Guest WiFi" }
+ */
+router.put('/:mac_address/visit-metric', async (req, res) => {
+  try {
+    const { metric_name: metricName } = req.body;
+    
+    if (metricName !== null) {
+      const nameError = validateMetricName(metricName);
+      if (nameError) return res.status(400).json({ error: nameError });
+    }
+    
+    const updated = await db.setVisitMetricName(normalizeMac(req.params.mac_address), metricName && metricName.trim());
+    
+    if (!updated) {
+      return res.status(404).json({ error: 'Klaviyo connection not found' });
+    }
+    
+    res.json({
+      success: true,
+      mac_address: updated.mac_address,
+      metric_name: visitMetricNameFor(updated)
+    });
+  } catch (error) {
+    console.error('Set visit metric error:', error);
+    res.status(500).json({ error: 'Failed to save visit metric' });
+  }
+});
+
 /**
  * Get sync logs
  * GET /connections/logs/recent
@@ -224,6 +662,345 @@ router.get('/logs/recent', async (req, res) => {
   }
 });
 
+/**
+ * Replay one failed sync
+ * POST /connections/logs/:log_id/replay
+ */
+router.post('/logs/:log_id/replay', async (req, res) => {
+  try {
+    const entry = await db.getSyncLog(parseInt(req.params.log_id));
+    
+    if (!entry) {
+      return res.status(404).json({ error: 'Log entry not found' });
+    }
+    
+    const report = await replayLogEntries([entry]);
+    
+    res.json(report);
+  } catch (error) {
+    console.error('Replay log entry error:', error);
+    res.status(500).json({ error: 'Failed to replay log entry' });
+  }
+});
+
+/**
+ * Replay every failed sync matching the filters
+ * POST /connections/logs/replay
+ * {
+ *   "mac_address": "xx:xx:xx:xx:xx:xx",   (optional)
+ *   "account_id": "123456",               (optional, Mailchimp or Klaviyo)
+ *   "from": "2026-01-01T00:00:00Z",       (optional, inclusive)
+ *   "to": "2026-01-02T00:00:00Z",         (optional, exclusive)
+ *   "include_replayed": false,            (optional)
+ *   "limit": 100                          (optional, max 500)
+ * }
+ */
+router.post('/logs/replay', async (req, res) => {
+  try {
+    const { mac_address, account_id, from, to, include_replayed } = req.body;
+    
+    if (!mac_address && !account_id && !from && !to) {
+      return res.status(400).json({ 
+        error: 'Provide at least one filter: mac_address, account_id, from or to' 
+      });
+    }
+    
+    for (const [name, value] of [['from', from], ['to', to]]) {
+      if (value && isNaN(Date.parse(value))) {
+        return res.status(400).json({ error: `Invalid date for "${name}"` });
+      }
+    }
+    
+    const limit = Math.min(parseInt(req.body.limit) || 100, 500);
+    
+    const entries = await db.findReplayableSyncLogs({
+      macAddress: mac_address || null,
+      accountId: account_id || null,
+      from: from || null,
+      to: to || null,
+      includeReplayed: include_replayed === true,
+      limit
+    });
+    
+    const report = await replayLogEntries(entries);
+    
+    console.log(`Replayed ${report.total} failed sync(s): ${report.succeeded} succeeded, ${report.queued} queued, ${report.failed} failed`);
+    
+    res.json(report);
+  } catch (error) {
+    console.error('Replay logs error:', error);
+    res.status(500).json({ error: 'Failed to replay logs' });
+  }
+});
+
+/**
+ * Sync queue counts by provider and status
+ * GET /connections/jobs/stats
+ */
+router.get('/jobs/stats', async (req, res) => {
+  try {
+    const stats = await db.getSyncJobStats();
+    
+    res.json({ stats: stats });
+  } catch (error) {
+    console.error('Get job stats error:', error);
+    res.status(500).json({ error: 'Failed to get job stats' });
+  }
+});
+
+/**
+ * List dead-lettered sync jobs
+ * GET /connections/jobs/dead?limit=100
+ */
+router.get('/jobs/dead', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const jobs = await db.getSyncJobsByStatus('dead', limit);
+    
+    res.json({
+      count: jobs.length,
+      jobs: jobs.map(j => ({
+        id: j.id,
+        provider: j.provider,
+        mac_address: j.mac_address,
+        email: j.email,
+        attempts: j.attempts,
+        last_error: j.last_error,
+        created_at: j.created_at,
+        completed_at: j.completed_at
+      }))
+    });
+  } catch (error) {
+    console.error('Get dead jobs error:', error);
+    res.status(500).json({ error: 'Failed to get dead jobs' });
+  }
+});
+
+/**
+ * Provider API limiter state per account: calls in flight, queued, and
+ * whether the account is paused after a 429
+ * GET /connections/limits/accounts
+ */
+router.get('/limits/accounts', async (req, res) => {
+  try {
+    const label = async (provider, stats) => {
+      const names = await db.getAccountNames(provider, stats.map(entry => entry.account_id));
+      return stats.map(({ account_id, ...entry }) => ({
+        provider,
+        account_id,
+        account_name: names.get(account_id) || null,
+        ...entry
+      }));
+    };
+    
+    const limits = [
+      ...await label('mailchimp', mailchimp.getLimiterStats()),
+      ...await label('klaviyo', klaviyo.getLimiterStats())
+    ];
+    
+    res.json({
+      count: limits.length,
+      queued: limits.reduce((sum, l) => sum + l.queued, 0),
+      accounts: limits
+    });
+  } catch (error) {
+    console.error('Get limiter stats error:', error);
+    res.status(500).json({ error: 'Failed to get limiter stats' });
+  }
+});
+
+/**
+ * List webhook signing secrets (secret values are never returned again)
+ * GET /connections/webhook/secrets
+ */
+router.get('/webhook/secrets', async (req, res) => {
+  try {
+    const secrets = await db.getAllWebhookSecrets();
+    
+    res.json({
+      count: secrets.length,
+      secrets: secrets
+    });
+  } catch (error) {
+    console.error('List webhook secrets error:', error);
+    res.status(500).json({ error: 'Failed to list webhook secrets' });
+  }
+});
+
+/**
+ * Create a signing secret for an integration (e.g. one n8n instance).
+ * To rotate, create a new one, update the sender, then revoke the old one.
+ * POST /connections/webhook/secrets
+ * { "integration": "n8n-prod" }
+ */
+router.post('/webhook/secrets', async (req, res) => {
+  try {
+    const { integration } = req.body;
+    
+    if (!integration || !/^[A-Za-z0-9_.-]{1,100}$/.test(integration)) {
+      return res.status(400).json({ 
+        error: 'integration is required (letters, digits, ".", "_" or "-")' 
+      });
+    }
+    
+    const secret = crypto.randomBytes(32).toString('hex');
+    const created = await db.createWebhookSecret(integration, secret);
+    invalidateSecretsCache();
+    
+    console.log(`Webhook secret ${created.id} created for integration "${integration}"`);
+    
+    res.status(201).json({
+      id: created.id,
+      integration: created.integration,
+      secret: created.secret,
+      created_at: created.created_at
+    });
+  } catch (error) {
+    console.error('Create webhook secret error:', error);
+    res.status(500).json({ error: 'Failed to create webhook secret' });
+  }
+});
+
+/**
+ * Revoke a webhook signing secret
+ * DELETE /connections/webhook/secrets/:secret_id
+ */
+router.delete('/webhook/secrets/:secret_id', async (req, res) => {
+  try {
+    const revoked = await db.revokeWebhookSecret(parseInt(req.params.secret_id));
+    
+    if (!revoked) {
+      return res.status(404).json({ error: 'Active webhook secret not found' });
+    }
+    invalidateSecretsCache();
+    
+    console.log(`Webhook secret ${revoked.id} revoked for integration "${revoked.integration}"`);
+    
+    res.json({ success: true, revoked });
+  } catch (error) {
+    console.error('Revoke webhook secret error:', error);
+    res.status(500).json({ error: 'Failed to revoke webhook secret' });
+  }
+});
+
+/**
+ * List suppressed guests, newest first
+ * GET /connections/suppressions/entries?provider=mailchimp&account_id=...&email=...&limit=100
+ */
+router.get('/suppressions/entries', async (req, res) => {
+  try {
+    const { provider, account_id: accountId, email } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+
+    const entries = await db.listSuppressions({ provider, accountId, email, limit });
+
+    res.json({
+      count: entries.length,
+      entries
+    });
+  } catch (error) {
+    console.error('List suppressions error:', error);
+    res.status(500).json({ error: 'Failed to list suppressions' });
+  }
+});
+
+/**
+ * Suppress one guest on an account
+ * POST /connections/suppressions/entries
+ * { "provider": "mailchimp", "account_id": "...", "email": "guest@example.com", "reason": "requested removal" }
+ */
+router.post('/suppressions/entries', async (req, res) => {
+  try {
+    const { provider, account_id: accountId, email, reason } = req.body;
+
+    const validationError = validateSuppressionRequest({ provider, account_id: accountId, email }, PROVIDERS);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const added = await db.addSuppressions(provider, accountId, [email.trim()], {
+      reason: reason || 'manual',
+      source: 'api'
+    });
+
+    res.status(added ? 201 : 200).json({ success: true, added });
+  } catch (error) {
+    console.error('Add suppression error:', error);
+    res.status(500).json({ error: 'Failed to add suppression' });
+  }
+});
+
+/**
+ * Import a list of suppressed guests (e.g. an export of a previous ESP's
+ * unsubscribes). Addresses already on the list are left as they are.
+ * POST /connections/suppressions/import
+ * { "provider": "klaviyo", "account_id": "...", "emails": ["a@example.com", ...], "reason": "imported" }
+ */
+router.post('/suppressions/import', async (req, res) => {
+  try {
+    const { provider, account_id: accountId, emails, reason } = req.body;
+
+    const validationError = validateSuppressionRequest({ provider, account_id: accountId, emails }, PROVIDERS);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const added = await db.addSuppressions(provider, accountId, emails.map(e => e.trim()), {
+      reason: reason || 'imported',
+      source: 'import'
+    });
+
+    console.log(`Imported ${added} suppression(s) for ${provider} account ${accountId}`);
+
+    res.json({ success: true, total: emails.length, added });
+  } catch (error) {
+    console.error('Import suppressions error:', error);
+    res.status(500).json({ error: 'Failed to import suppressions' });
+  }
+});
+
+/**
+ * Lift a suppression; the guest syncs normally from their next login
+ * DELETE /connections/suppressions/entries/:entry_id
+ */
+router.delete('/suppressions/entries/:entry_id', async (req, res) => {
+  try {
+    const deleted = await db.deleteSuppression(parseInt(req.params.entry_id));
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Suppression not found' });
+    }
+
+    console.log(`Suppression lifted for ${deleted.email} on ${deleted.provider} account ${deleted.account_id}`);
+
+    res.json({ success: true, deleted });
+  } catch (error) {
+    console.error('Delete suppression error:', error);
+    res.status(500).json({ error: 'Failed to delete suppression' });
+  }
+});
+
+/**
+ * Mailchimp guests without email that were held or stored, newest first
+ * GET /connections/guests/without-email?account_id=...&disposition=held&limit=100
+ */
+router.get('/guests/without-email', async (req, res) => {
+  try {
+    const { account_id: accountId, disposition } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    
+    const guests = await db.listGuestsWithoutEmail({ accountId, disposition, limit });
+    
+    res.json({
+      count: guests.length,
+      guests
+    });
+  } catch (error) {
+    console.error('List guests without email error:', error);
+    res.status(500).json({ error: 'Failed to list guests without email' });
+  }
+});
+
 /**
  * Search for connections by account name (fuzzy)
  * GET /connections/search?q=pizza
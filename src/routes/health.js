@@ -8,6 +8,7 @@ const express = require('express');
 const router = express.Router();
 
 const db = require('../db');
+const healthMonitor = require('../services/healthMonitor');
 
 /**
  * Basic health check
@@ -63,6 +64,43 @@ router.get('/detailed', async (req, res) => {
     };
   }
   
+  // Sync queue backlog (pending retries and dead-lettered jobs)
+  try {
+    const stats = await db.getSyncJobStats();
+    const totals = { pending: 0, processing: 0, succeeded: 0, dead: 0 };
+    let oldestDueAt = null;
+    stats.forEach(row => {
+      totals[row.status] = (totals[row.status] || 0) + row.count;
+      if (row.oldest_due_at && (!oldestDueAt || row.oldest_due_at < oldestDueAt)) {
+        oldestDueAt = row.oldest_due_at;
+      }
+    });
+    health.checks.sync_queue = {
+      status: totals.dead > 0 ? 'degraded' : 'healthy',
+      ...totals,
+      oldest_due_at: oldestDueAt
+    };
+  } catch (error) {
+    health.checks.sync_queue = {
+      status: 'unknown',
+      error: error.message
+    };
+  }
+  
+  // Provider accounts, from the health monitor's stored checks (no live calls)
+  try {
+    const summary = await healthMonitor.getHealthSummary();
+    health.checks.connections = {
+      status: summary.failing.length > 0 || summary.stale.length > 0 ? 'degraded' : 'healthy',
+      ...summary
+    };
+  } catch (error) {
+    health.checks.connections = {
+      status: 'unknown',
+      error: error.message
+    };
+  }
+  
   // Check required environment variables
   const requiredEnvVars = [
     'MAILCHIMP_CLIENT_ID',
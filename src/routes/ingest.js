@@ -0,0 +1,161 @@
+/**
+ * Provider-agnostic Ingestion Routes  (mounted at /ingest)
+ *
+ * One endpoint for the n8n CRM Router instead of a parallel HTTP node per
+ * provider. Looks up every integration connected to the MAC (Mailchimp,
+ * Klaviyo) and delivers to each one independently through the sync queue,
+ * so a failure at one provider never hides a success at another.
+ *
+ * POST /ingest/contact
+ * {
+ *   "mac_address": "XX:XX:XX:XX:XX:XX",
+ *   "email": "guest@example.com",
+ *   "first_name": "John",
+ *   "last_name": "Doe",
+ *   "phone": "+1234567890",
+ *   "source": "WiFi Portal",
+ *   "location_name": "Joe's Pizza - Main St"
+ * }
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const db = require('../db');
+const syncQueue = require('../services/syncQueue');
+const { PROVIDERS, buildJobPayload, resolveConnection } = require('../lib/contactSync');
+const { validateContact, normalizeMac, screenContact } = require('../lib/contactPipeline');
+const { idempotency } = require('../lib/idempotency');
+const { verifySignature } = require('../lib/webhookSignature');
+
+/**
+ * Deliver one payload to one provider and describe the outcome.
+ * Never throws: an error here only affects this provider's entry.
+ *
+ * Email quality checks run per provider, since each connection has its own
+ * policy; their decisions are included in the provider's entry.
+ */
+async function deliverToProvider(provider, connection, payload) {
+  if (!connection) {
+    return { status: 'not_connected' };
+  }
+
+  try {
+    const screened = await screenContact(provider, connection, payload);
+    const emailQuality = screened.emailQuality && { email_quality: screened.emailQuality };
+    if (screened.error) {
+      return { status: 'rejected', account: connection.account_name, error: screened.error, ...emailQuality };
+    }
+
+    const { job, outcome } = await syncQueue.enqueueAndRun(provider, screened.payload);
+
+    if (outcome.status === 'succeeded') {
+      // Guest on the account's suppression list: skipped or synced without
+      // consent. Mailchimp guest without email: skipped, held or stored.
+      let status = outcome.result.suppressed ? 'suppressed' : 'synced';
+      if (outcome.result.deferred) status = outcome.result.status;
+      return { status, job_id: job.id, result: outcome.result, ...emailQuality };
+    }
+
+    if (outcome.status === 'retrying') {
+      return {
+        status: 'queued',
+        job_id: job.id,
+        account: connection.account_name,
+        next_attempt_at: outcome.nextAttemptAt,
+        error: outcome.error.message,
+        ...emailQuality,
+      };
+    }
+
+    return {
+      status: 'failed',
+      job_id: job.id,
+      account: connection.account_name,
+      error: outcome.error.message,
+      ...(outcome.error.connectionStatus && { connection_status: outcome.error.connectionStatus }),
+      ...((outcome.error.code === 'INVALID_GRANT' || outcome.error.connectionStatus === 'revoked') && { reconnect_required: true }),
+      ...emailQuality,
+    };
+  } catch (error) {
+    console.error(`Ingest ${provider} delivery error:`, error.message);
+    return { status: 'failed', account: connection.account_name, error: error.message };
+  }
+}
+
+// Provider statuses that count as handled
+const COMPLETED_STATUSES = ['synced', 'suppressed', 'skipped', 'held', 'stored'];
+
+/**
+ * Overall HTTP status for a set of provider results:
+ *   200 all handled (synced, suppressed, or a guest without email skipped,
+ *   held or stored), 202 nothing failed but some queued,
+ *   207 mixed success and failure (a rejected email counts as a failure),
+ *   422 every provider rejected the email, 500 every provider failed.
+ */
+function overallStatusCode(results) {
+  const statuses = results.map(r => r.status);
+  if (statuses.every(s => s === 'rejected')) return 422;
+  if (statuses.every(s => s === 'failed' || s === 'rejected')) return 500;
+  if (statuses.includes('failed') || statuses.includes('rejected')) return 207;
+  if (statuses.includes('queued')) return 202;
+  return 200;
+}
+
+/**
+ * Fan-out contact sync endpoint.
+ * POST /ingest/contact
+ */
+router.post('/contact', verifySignature, idempotency('ingest'), async (req, res) => {
+  const startTime = Date.now();
+  try {
+    const validationError = validateContact(req.body);
+    if (validationError) return res.status(400).json({ error: validationError });
+
+    const { email, location_name } = req.body;
+    const normalizedMac = normalizeMac(req.body.mac_address);
+
+    const connections = await Promise.all(
+      PROVIDERS.map(provider => resolveConnection(provider, normalizedMac, location_name))
+    );
+
+    if (connections.every(c => !c)) {
+      await db.logSync({
+        macAddress: normalizedMac,
+        email,
+        success: false,
+        errorMessage: 'No integration connected',
+        payload: buildJobPayload(req.body, normalizedMac),
+      });
+      return res.status(404).json({ error: 'No integration connected for this location', mac_address: normalizedMac });
+    }
+
+    // Each provider is independent: its own job, retries and dead-lettering.
+    const payload = buildJobPayload(req.body, normalizedMac);
+    const results = await Promise.all(
+      PROVIDERS.map((provider, i) => deliverToProvider(provider, connections[i], payload))
+    );
+
+    const providers = {};
+    PROVIDERS.forEach((provider, i) => { providers[provider] = results[i]; });
+
+    const attempted = results.filter(r => r.status !== 'not_connected');
+    const statusCode = overallStatusCode(attempted);
+    const duration = Date.now() - startTime;
+
+    console.log(`Contact ingested: ${email || req.body.phone || req.body.external_id} (${PROVIDERS.map((p, i) => `${p}=${results[i].status}`).join(', ')}, ${duration}ms)`);
+
+    res.status(statusCode).json({
+      success: attempted.every(r => COMPLETED_STATUSES.includes(r.status)),
+      mac_address: normalizedMac,
+      email,
+      providers,
+      duration_ms: duration,
+    });
+  } catch (error) {
+    console.error('Ingest contact error:', error.message);
+    res.status(500).json({ error: 'Failed to ingest contact', message: error.message });
+  }
+});
+
+module.exports = router;
@@ -12,137 +12,329 @@
  *   "first_name": "John",
  *   "last_name": "Doe",
  *   "phone": "+1234567890",
+ *   "sms_consent": true,
  *   "source": "WiFi Portal",
  *   "location_name": "Hill Country BBQ"
  * }
+ *
+ * sms_consent (the portal's SMS opt-in) adds Klaviyo SMS marketing consent;
+ * with it, "email" may be left out to subscribe a guest by phone only.
+ * With "schema_version": 2, any of email, phone and external_id identifies
+ * the profile.
+ *
+ * Idempotency-Key handling matches /webhook/contact (scoped separately).
+ *
+ * POST /klaviyo/webhook/contacts/batch
+ * { "contacts": [ { ...same fields as above... } ] }
  */
 
 const express = require('express');
-const crypto = require('crypto');
 const router = express.Router();
 
 const db = require('../db');
 const klaviyo = require('../services/klaviyo');
+const syncQueue = require('../services/syncQueue');
+const { buildKlaviyoContact } = require('../lib/contactSync');
+const { prepareContact } = require('../lib/contactPipeline');
+const { withFieldMappings } = require('../lib/fieldMappings');
+const { idempotency } = require('../lib/idempotency');
+const { verifySignature } = require('../lib/webhookSignature');
+const { getValidAccessToken } = require('../lib/klaviyoTokens');
+const connectionStatus = require('../lib/connectionStatus');
+const { suppressionAction, withoutConsent } = require('../lib/suppressions');
+const guestVisits = require('../lib/guestVisits');
 
-// Refresh a token this many seconds before it actually expires.
-const TOKEN_REFRESH_BUFFER_SECONDS = 120;
+// Contacts accepted by /contacts/batch in one request (matches /webhook).
+const MAX_BATCH_CONTACTS = 1000;
 
 /**
- * Verify webhook signature (if WEBHOOK_SECRET is configured).
+ * Main contact sync endpoint.
+ * POST /klaviyo/webhook/contact
  */
-function verifySignature(req, res, next) {
-  const secret = process.env.WEBHOOK_SECRET;
-  if (!secret) return next();
+router.post('/contact', verifySignature, idempotency('klaviyo'), async (req, res) => {
+  const startTime = Date.now();
+  let payload = null;
+  try {
+    // Shared intake: validation, MAC normalization, connection + auto-mapping.
+    const prepared = await prepareContact('klaviyo', req.body);
+    if (prepared.error) {
+      return res.status(prepared.status).json({
+        error: prepared.error,
+        ...(prepared.macAddress && { mac_address: prepared.macAddress }),
+        ...(prepared.emailQuality && { email_quality: prepared.emailQuality }),
+      });
+    }
 
-  const signature = req.headers['x-webhook-signature'];
-  if (!signature) {
-    return res.status(401).json({ error: 'Missing webhook signature' });
-  }
-  const payload = JSON.stringify(req.body);
-  const expected = crypto.createHmac('sha256', secret).update(payload).digest('hex');
-  if (signature !== expected) {
-    return res.status(401).json({ error: 'Invalid webhook signature' });
-  }
-  next();
-}
+    const { connection } = prepared;
+    payload = prepared.payload;
+    // Email quality decisions (typo fixes, flags), reported in every response
+    const emailQuality = prepared.emailQuality && { email_quality: prepared.emailQuality };
+    // Phone-only and external_id-only guests have no email
+    const guest = payload.email || payload.phone || payload.external_id;
 
-/**
- * Return a valid access token for a connection, refreshing if it's expired or
- * about to expire. Persists refreshed tokens for every MAC on the same account.
- * Throws an error with code INVALID_GRANT if the app was uninstalled.
- */
-async function getValidAccessToken(connection) {
-  const expiresAt = new Date(connection.token_expires_at).getTime();
-  const needsRefresh = Date.now() >= expiresAt - TOKEN_REFRESH_BUFFER_SECONDS * 1000;
+    // Persist before acknowledging, then deliver inline. Transient Klaviyo
+    // failures are retried by the sync worker.
+    const { job, outcome } = await syncQueue.enqueueAndRun('klaviyo', payload);
+    const duration = Date.now() - startTime;
 
-  if (!needsRefresh) {
-    return connection.access_token;
-  }
+    if (outcome.status === 'retrying') {
+      console.log(`Klaviyo contact queued for retry: ${guest} -> ${connection.account_name} (job ${job.id})`);
+      return res.status(202).json({
+        success: false,
+        queued: true,
+        job_id: job.id,
+        next_attempt_at: outcome.nextAttemptAt,
+        error: outcome.error.message,
+        account: connection.account_name,
+        ...emailQuality,
+        duration_ms: duration,
+      });
+    }
+
+    if (outcome.status === 'dead') {
+      if (outcome.error.code === 'INVALID_GRANT') {
+        return res.status(410).json({ error: 'Klaviyo app was uninstalled for this account. Please reconnect.', account: connection.account_name, job_id: job.id, ...emailQuality });
+      }
+      if (outcome.error.code === 'CIRCUIT_OPEN') {
+        return res.status(410).json({ error: outcome.error.message, connection_status: outcome.error.connectionStatus, account: connection.account_name, job_id: job.id, ...emailQuality });
+      }
+      return res.status(500).json({ error: 'Failed to sync contact', message: outcome.error.message, job_id: job.id, ...emailQuality });
+    }
 
-  const refreshed = await klaviyo.refreshAccessToken(connection.refresh_token);
-  await db.updateKlaviyoTokens(connection.account_id, {
-    accessToken: refreshed.accessToken,
-    refreshToken: refreshed.refreshToken,
-    tokenExpiresAt: refreshed.tokenExpiresAt,
-  });
-  return refreshed.accessToken;
-}
+    const result = outcome.result;
+    console.log(`Klaviyo contact synced: ${guest} -> ${connection.account_name} (${duration}ms)`);
+
+    res.json({
+      success: true,
+      email: result.email,
+      status: result.status,
+      account: result.account,
+      list: result.list,
+      source: result.source,
+      channels: result.channels,
+      ...(result.activity && { activity: result.activity }),
+      ...(result.suppressed && { suppressed: true, suppression_reason: result.reason }),
+      ...emailQuality,
+      job_id: job.id,
+      duration_ms: duration,
+    });
+  } catch (error) {
+    console.error('Klaviyo contact sync error:', error.message);
+    await db.logSync({ macAddress: req.body.mac_address, email: req.body.email, success: false, errorMessage: error.message, provider: 'klaviyo', payload });
+    res.status(500).json({ error: 'Failed to sync contact', message: error.message });
+  }
+});
 
 /**
- * Main contact sync endpoint.
- * POST /klaviyo/webhook/contact
+ * Batch contact sync endpoint.
+ * POST /klaviyo/webhook/contacts/batch
+ *
+ * Contacts are grouped by Klaviyo account (one token refresh per account),
+ * then by list + custom source + consent. Each group is sent as one bulk profile
+ * import (names, phone, properties) plus one bulk subscription job and one
+ * bulk visit event job, instead of three requests per guest. Klaviyo
+ * processes the jobs asynchronously, so an accepted import and subscription
+ * are recorded as a successful sync; as for single syncs, a failed event
+ * job doesn't fail the contacts.
  */
-router.post('/contact', verifySignature, async (req, res) => {
-  const startTime = Date.now();
+router.post('/contacts/batch', verifySignature, async (req, res) => {
   try {
-    const { mac_address, email, first_name, last_name, phone, source, location_name, custom_fields = {} } = req.body;
+    const { contacts } = req.body;
+
+    if (!Array.isArray(contacts) || contacts.length === 0) {
+      return res.status(400).json({ error: 'Request body must contain a non-empty "contacts" array' });
+    }
+    if (contacts.length > MAX_BATCH_CONTACTS) {
+      return res.status(400).json({ error: `Maximum ${MAX_BATCH_CONTACTS} contacts per batch` });
+    }
 
-    if (!mac_address) return res.status(400).json({ error: 'Missing required field: mac_address' });
-    if (!email) return res.status(400).json({ error: 'Missing required field: email' });
+    const results = {
+      total: contacts.length,
+      success: 0,
+      failed: 0,
+      suppressed: 0,
+      errors: [],
+      suppressed_contacts: [],
+      email_quality: [],
+      jobs: [],
+    };
+    const logEntries = [];
 
-    const normalizedMac = mac_address.toLowerCase();
+    // Downgraded (suppressed) guests still count as a success, logged as 'suppressed'
+    const record = (item, success, error = null) => {
+      if (success) {
+        results.success++;
+      } else {
+        results.failed++;
+        results.errors.push({ index: item.index, email: item.email, error });
+      }
+      logEntries.push({
+        macAddress: item.macAddress,
+        email: item.email,
+        success,
+        outcome: success && item.suppressed ? 'suppressed' : null,
+        errorMessage: error,
+        provider: 'klaviyo',
+        payload: item.payload,
+      });
+    };
 
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
-      return res.status(400).json({ error: 'Invalid email format' });
-    }
+    const skipSuppressed = ({ index, payload }) => {
+      results.suppressed++;
+      results.suppressed_contacts.push({ index, email: payload.email });
+      logEntries.push({
+        macAddress: payload.mac_address,
+        email: payload.email,
+        success: true,
+        outcome: 'suppressed',
+        provider: 'klaviyo',
+      });
+    };
+
+    // Intake first, so each account's suppression list is read once
+    const intake = [];
+    const connectionCache = new Map();
+    const mappingCache = new Map();
+
+    for (const [index, raw] of contacts.entries()) {
+      // Same intake as /contact; it logs "no connection" outcomes itself.
+      const prepared = await prepareContact('klaviyo', raw, { connectionCache });
+      if (prepared.emailQuality) {
+        results.email_quality.push({ index, ...prepared.emailQuality });
+      }
+      if (prepared.error) {
+        results.failed++;
+        results.errors.push({ index, email: raw && raw.email, error: prepared.error });
+        continue;
+      }
 
-    // Look up connection; fall back to fuzzy auto-mapping by location name.
-    let connection = await db.getKlaviyoConnectionByMac(normalizedMac);
-    if (!connection && location_name) {
-      connection = await tryAutoMapping(normalizedMac, location_name);
+      const connection = await withFieldMappings('klaviyo', prepared.connection, mappingCache);
+      intake.push({ index, payload: prepared.payload, connection });
     }
 
-    if (!connection) {
-      await db.logSync({ macAddress: normalizedMac, email, success: false, errorMessage: 'No Klaviyo connection found' });
-      return res.status(404).json({ error: 'No Klaviyo connection found for this location', mac_address: normalizedMac });
+    // account_id -> Set of suppressed emails, Map of email -> visit totals
+    // (skipped suppressed guests' visits aren't recorded)
+    const action = suppressionAction();
+    const suppressedByAccount = new Map();
+    const visitsByAccount = new Map();
+    for (const accountId of new Set(intake.map(i => i.connection.account_id))) {
+      const accountIntake = intake.filter(i => i.connection.account_id === accountId);
+      const emails = accountIntake.filter(i => i.payload.email).map(i => i.payload.email);
+      const suppressed = await db.getSuppressedEmails('klaviyo', accountId, emails);
+      suppressedByAccount.set(accountId, suppressed);
+
+      const visiting = accountIntake
+        .map(i => i.payload)
+        .filter(payload => !(action === 'skip' && payload.email && suppressed.has(payload.email.toLowerCase())));
+      visitsByAccount.set(accountId, await guestVisits.recordVisits('klaviyo', accountId, visiting));
     }
 
-    // Build contact + source tag.
-    const sourceTagParts = ['VivaSpot WiFi'];
-    if (connection.source_tag) sourceTagParts.push(connection.source_tag);
-    if (source) sourceTagParts.push(source);
-    const customSource = sourceTagParts.join(' | ');
-
-    const contact = {
-      email,
-      firstName: first_name,
-      lastName: last_name,
-      phone,
-      properties: { vivaspot_source: customSource, ...custom_fields },
-    };
+    // account_id -> { connection, groups: Map(list_id|custom_source|email consent|sms consent -> group) }
+    const accounts = new Map();
 
-    // Valid (refreshed if needed) token, then sync.
-    let accessToken;
-    try {
-      accessToken = await getValidAccessToken(connection);
-    } catch (tokenErr) {
-      if (tokenErr.code === 'INVALID_GRANT') {
-        await db.logSync({ macAddress: normalizedMac, email, success: false, errorMessage: 'Klaviyo app uninstalled' });
-        return res.status(410).json({ error: 'Klaviyo app was uninstalled for this account. Please reconnect.', account: connection.account_name });
+    for (const { index, payload, connection: itemConnection } of intake) {
+      const suppressed = Boolean(payload.email) &&
+        suppressedByAccount.get(itemConnection.account_id).has(payload.email.toLowerCase());
+      if (suppressed && action === 'skip') {
+        skipSuppressed({ index, payload });
+        continue;
+      }
+
+      const connection = suppressed ? withoutConsent(itemConnection) : itemConnection;
+      const visits = payload.email
+        ? visitsByAccount.get(itemConnection.account_id).get(payload.email.toLowerCase())
+        : null;
+      const { contact, customSource } = buildKlaviyoContact(connection, payload, { visits });
+
+      if (!accounts.has(connection.account_id)) {
+        accounts.set(connection.account_id, { connection: itemConnection, groups: new Map() });
+      }
+      const { groups } = accounts.get(connection.account_id);
+      const subscribe = klaviyo.hasSubscription(contact);
+      const channels = {
+        email: subscribe && Boolean(contact.email && contact.emailConsent),
+        sms: subscribe && Boolean(contact.phone && contact.smsConsent),
+      };
+      const groupKey = `${connection.list_id}|${customSource}|${channels.email}|${channels.sms}`;
+      if (!groups.has(groupKey)) {
+        groups.set(groupKey, {
+          listId: connection.list_id,
+          listName: connection.list_name,
+          customSource,
+          subscribe,
+          channels,
+          items: [],
+        });
       }
-      throw tokenErr;
+      groups.get(groupKey).items.push({ index, email: payload.email, macAddress: payload.mac_address, payload, contact, suppressed });
     }
 
-    const result = await klaviyo.syncContact(accessToken, connection.list_id, contact, customSource);
-    const duration = Date.now() - startTime;
+    for (const { connection, groups } of accounts.values()) {
+      const accountItems = [...groups.values()].flatMap(g => g.items);
 
-    await db.logSync({ macAddress: normalizedMac, email, success: true, errorMessage: null });
-    console.log(`Klaviyo contact synced: ${email} -> ${connection.account_name} (${duration}ms)`);
+      if (!(await connectionStatus.allowSync('klaviyo', connection))) {
+        const message = connectionStatus.circuitOpenError('klaviyo', connection).message;
+        accountItems.forEach(item => record(item, false, message));
+        continue;
+      }
 
-    res.json({
-      success: true,
-      email: result.email,
-      status: result.status,
-      account: connection.account_name,
-      list: connection.list_name,
-      source: customSource,
-      duration_ms: duration,
-    });
+      let accessToken;
+      try {
+        accessToken = await getValidAccessToken(connection);
+      } catch (tokenErr) {
+        await connectionStatus.recordFailure('klaviyo', connection, tokenErr);
+        const message = tokenErr.code === 'INVALID_GRANT' ? 'Klaviyo app uninstalled' : tokenErr.message;
+        accountItems.forEach(item => record(item, false, message));
+        continue;
+      }
+      const account = klaviyo.accountOf(connection, accessToken);
+
+      for (const group of groups.values()) {
+        for (let i = 0; i < group.items.length; i += klaviyo.BULK_PROFILE_LIMIT) {
+          const chunk = group.items.slice(i, i + klaviyo.BULK_PROFILE_LIMIT);
+          const chunkContacts = chunk.map(item => item.contact);
+
+          try {
+            const importJobId = await klaviyo.bulkImportProfiles(account, chunkContacts);
+            // Transactional-only contacts get the profile without list consent
+            if (group.subscribe) {
+              await klaviyo.subscribeProfilesToList(account, group.listId, chunkContacts, group.customSource);
+            }
+
+            await connectionStatus.recordSuccess('klaviyo', { ...connection, list_id: group.listId });
+            chunk.forEach(item => record(item, true));
+
+            const eventContacts = chunkContacts.filter(contact => contact.event);
+            let events = null;
+            if (eventContacts.length > 0) {
+              events = await klaviyo.bulkCreateEvents(account, eventContacts)
+                .then(() => 'recorded', klaviyo.eventFailureOutcome);
+            }
+            results.jobs.push({
+              account: connection.account_name,
+              list: group.listName,
+              source: group.customSource,
+              subscribed: group.subscribe,
+              channels: group.channels,
+              profiles: chunk.length,
+              import_job_id: importJobId,
+              ...(events && { events }),
+            });
+          } catch (error) {
+            await connectionStatus.recordFailure('klaviyo', { ...connection, list_id: group.listId }, error);
+            chunk.forEach(item => record(item, false, error.message));
+          }
+        }
+      }
+    }
+
+    await db.logSyncMany(logEntries);
+    console.log(`Klaviyo batch sync: ${results.success} accepted in ${results.jobs.length} job(s), ${results.suppressed} suppressed, ${results.failed} failed`);
+
+    res.json(results);
   } catch (error) {
-    console.error('Klaviyo contact sync error:', error.message);
-    await db.logSync({ macAddress: req.body.mac_address, email: req.body.email, success: false, errorMessage: error.message });
-    res.status(500).json({ error: 'Failed to sync contact', message: error.message });
+    console.error('Klaviyo batch sync error:', error.message);
+    res.status(500).json({ error: 'Batch sync failed', message: error.message });
   }
 });
 
@@ -167,7 +359,7 @@ router.post('/test', async (req, res) => {
       return res.json({ success: false, error: tokenErr.code === 'INVALID_GRANT' ? 'App uninstalled — reconnect required' : 'Token refresh failed', account: connection.account_name });
     }
 
-    const isValid = await klaviyo.pingAccount(accessToken);
+    const isValid = await klaviyo.pingAccount(klaviyo.accountOf(connection, accessToken));
     res.json({
       success: isValid,
       connection: {
@@ -185,34 +377,4 @@ router.post('/test', async (req, res) => {
   }
 });
 
-/**
- * Fuzzy-map a location to an existing Klaviyo connection and create a row for
- * this MAC. Mirrors the Mailchimp webhook auto-mapping.
- */
-async function tryAutoMapping(macAddress, locationName) {
-  try {
-    const matches = await db.findKlaviyoConnectionsByAccountName(locationName, 0.3);
-    if (matches.length === 0) return null;
-
-    const best = matches[0];
-    console.log(`Klaviyo auto-mapped "${locationName}" -> "${best.account_name}" (score: ${best.match_score})`);
-
-    return await db.upsertKlaviyoConnection({
-      macAddress,
-      accessToken: best.access_token,
-      refreshToken: best.refresh_token,
-      tokenExpiresAt: best.token_expires_at,
-      accountId: best.account_id,
-      accountName: best.account_name,
-      loginEmail: best.login_email,
-      listId: best.list_id,
-      listName: best.list_name,
-      sourceTag: locationName,
-    });
-  } catch (error) {
-    console.error('Klaviyo auto-mapping error:', error.message);
-    return null;
-  }
-}
-
 module.exports = router;
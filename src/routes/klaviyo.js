@@ -148,7 +148,7 @@ router.get('/oauth/callback', async (req, res) => {
 
     // Account + lists.
     const metadata = await klaviyo.getAccountMetadata(tokens.accessToken);
-    const lists = await klaviyo.getLists(tokens.accessToken);
+    const lists = await klaviyo.getLists({ accessToken: tokens.accessToken, accountId: metadata.accountId });
 
     logEvent('klaviyo.oauth.exchanged', {
       ref_id: refId,
@@ -225,7 +225,7 @@ router.post('/oauth/select-list', express.urlencoded({ extended: true }), async
     let resolvedName = (list_name || '').trim();
     if (!resolvedName) {
       try {
-        const lists = await klaviyo.getLists(tokensObj.accessToken);
+        const lists = await klaviyo.getLists({ accessToken: tokensObj.accessToken, accountId: metadata.accountId });
         const found = lists.find((l) => l.id === list_id);
         if (found) resolvedName = found.name;
       } catch (e) {
@@ -375,7 +375,7 @@ router.get('/oauth/status/:mac_address', async (req, res) => {
     if (!connection) {
       return res.json({ connected: false });
     }
-    const isValid = await klaviyo.pingAccount(connection.access_token);
+    const isValid = await klaviyo.pingAccount(klaviyo.accountOf(connection));
     res.json({
       connected: true,
       valid: isValid,
@@ -383,6 +383,8 @@ router.get('/oauth/status/:mac_address', async (req, res) => {
       listName: connection.list_name,
       sourceTag: connection.source_tag,
       tokenExpiresAt: connection.token_expires_at,
+      status: connection.status,
+      statusReason: connection.status_reason,
       connectedAt: connection.created_at,
     });
   } catch (error) {
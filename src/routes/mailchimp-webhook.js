@@ -0,0 +1,57 @@
+/**
+ * Mailchimp List Webhook Routes  (mounted at /mailchimp/webhook)
+ *
+ * Receives Mailchimp list webhook events for audiences registered on
+ * connect (see lib/listWebhooks). Mailchimp posts form-encoded bodies:
+ *
+ *   type=unsubscribe&fired_at=2009-03-26 21:40:57&data[email]=guest@example.com
+ *     &data[list_id]=a6b5da1054&data[reason]=manual
+ *
+ * Handled types: unsubscribe, cleaned, profile, upemail. The `token` query
+ * parameter identifies the registered account + audience; requests without
+ * a known token are rejected.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const db = require('../db');
+const { handleListEvent } = require('../lib/listWebhooks');
+
+/**
+ * URL validation: Mailchimp sends a GET when the webhook is created
+ * GET /mailchimp/webhook
+ */
+router.get('/', (req, res) => {
+  res.send('OK');
+});
+
+/**
+ * List webhook event
+ * POST /mailchimp/webhook?token=...
+ */
+router.post('/', async (req, res) => {
+  try {
+    const webhook = req.query.token && await db.getListWebhookByToken(String(req.query.token));
+    if (!webhook) {
+      return res.status(401).json({ error: 'Unknown webhook token' });
+    }
+
+    const { type, data } = req.body;
+    if (data?.list_id && data.list_id !== webhook.audience_id) {
+      return res.status(400).json({ error: 'Event is for a different audience' });
+    }
+
+    const stored = await handleListEvent(webhook, req.body);
+    if (stored.length > 0) {
+      console.log(`Mailchimp ${type} event for audience ${webhook.audience_id}`);
+    }
+
+    res.json({ received: true });
+  } catch (error) {
+    console.error('Mailchimp list webhook error:', error.message);
+    res.status(500).json({ error: 'Failed to process event' });
+  }
+});
+
+module.exports = router;
@@ -20,6 +20,8 @@ const router = express.Router();
 
 const db = require('../db');
 const mailchimp = require('../services/mailchimp');
+const { provisionAudience } = require('../lib/mergeFields');
+const { registerListWebhook, removeListWebhook } = require('../lib/listWebhooks');
 const {
   newRefId,
   hashState,
@@ -201,7 +203,11 @@ router.get('/callback', async (req, res) => {
     console.log(`OAuth completed for MAC: ${mac_address}, Account: ${metadata.accountName}`);
     
     // Get available audiences for selection
-    const audiences = await mailchimp.getAudiences(accessToken, metadata.dataCenter);
+    const audiences = await mailchimp.getAudiences({
+      accessToken,
+      dataCenter: metadata.dataCenter,
+      accountId: metadata.accountId
+    });
     
     if (audiences.length === 0) {
       return res.status(400).send(`
@@ -231,7 +237,7 @@ router.get('/callback', async (req, res) => {
 
         if (mac_address && mac_address !== 'auto') {
           // Use provided MAC address
-          await db.upsertConnection({
+          const connection = await db.upsertConnection({
             macAddress: mac_address,
             accessToken: accessToken,
             dataCenter: metadata.dataCenter,
@@ -241,6 +247,8 @@ router.get('/callback', async (req, res) => {
             audienceName: selectedAudience.name,
             sourceTag: null
           });
+          provisionAudience(connection);
+          registerListWebhook(connection);
 
           return renderSuccessPage(res, metadata.accountName, selectedAudience.name, redirect_url);
         } else {
@@ -273,7 +281,9 @@ router.get('/callback', async (req, res) => {
             sourceTag: site.restaurant_name || null
           }));
 
-          await db.bulkUpsertConnections(connections);
+          const saved = await db.bulkUpsertConnections(connections);
+          provisionAudience(saved[0]);
+          registerListWebhook(saved[0]);
 
           return renderSuccessPage(res, metadata.accountName, selectedAudience.name, redirect_url, site.mac_addresses.length, site.restaurant_name);
         } else {
@@ -421,7 +431,9 @@ router.post('/select-audience', express.urlencoded({ extended: true }), async (r
           sourceTag: source_tag || site.restaurant_name || null
         }));
 
-        await db.bulkUpsertConnections(connections);
+        const saved = await db.bulkUpsertConnections(connections);
+        provisionAudience(saved[0]);
+        registerListWebhook(saved[0]);
 
         // Clean up pending OAuth
         await db.query('DELETE FROM pending_oauth WHERE state = $1', [state]);
@@ -580,7 +592,9 @@ router.post('/select-location', express.urlencoded({ extended: true }), async (r
       }
     }
 
-    await db.bulkUpsertConnections(allConnections);
+    const saved = await db.bulkUpsertConnections(allConnections);
+    provisionAudience(saved[0]);
+    registerListWebhook(saved[0]);
 
     // Clean up pending OAuth
     await db.query('DELETE FROM pending_oauth WHERE state = $1', [state]);
@@ -646,7 +660,7 @@ router.post('/add-location', express.urlencoded({ extended: true }), async (req,
     console.log(`Manually added site "${location_name}" with MAC ${mac_address}`);
 
     // Create mailchimp connection for this MAC
-    await db.upsertConnection({
+    const connection = await db.upsertConnection({
       macAddress: mac_address.toLowerCase(),
       accessToken,
       dataCenter: metadata.dataCenter,
@@ -656,6 +670,8 @@ router.post('/add-location', express.urlencoded({ extended: true }), async (req,
       audienceName,
       sourceTag: location_name
     });
+    provisionAudience(connection);
+    registerListWebhook(connection);
 
     // Clean up pending OAuth
     await db.query('DELETE FROM pending_oauth WHERE state = $1', [state]);
@@ -683,8 +699,7 @@ router.get('/status/:mac_address', async (req, res) => {
     
     // Test if the connection is still valid
     const isValid = await mailchimp.pingAccount(
-      connection.access_token, 
-      connection.data_center
+      mailchimp.accountOf(connection)
     );
     
     res.json({
@@ -714,6 +729,9 @@ router.delete('/disconnect/:mac_address', async (req, res) => {
       return res.status(404).json({ error: 'Connection not found' });
     }
     
+    // Last location on the audience: stop Mailchimp's list webhook
+    await removeListWebhook(deleted);
+    
     res.json({ 
       success: true, 
       message: `Disconnected ${deleted.account_name}` 
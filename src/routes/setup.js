@@ -8,6 +8,8 @@ const express = require('express');
 const router = express.Router();
 
 const db = require('../db');
+const { provisionAudience } = require('../lib/mergeFields');
+const { registerListWebhook } = require('../lib/listWebhooks');
 
 /**
  * GET /setup/:accountId
@@ -348,7 +350,10 @@ router.post('/save', express.json(), async (req, res) => {
       sourceTag: source_tag || null
     }));
     
-    await db.bulkUpsertConnections(connections);
+    const saved = await db.bulkUpsertConnections(connections);
+    
+    provisionAudience(saved[0]);
+    registerListWebhook(saved[0]);
     
     console.log(`Manual setup: ${validMacs.length} MAC(s) mapped to account ${account_name}`);
     
@@ -13,159 +13,121 @@
  *   "source": "WiFi Portal",
  *   "location_name": "Joe's Pizza - Main St"
  * }
+ *
+ * With "schema_version": 2, email, phone and external_id are alternative
+ * identifiers. Guests without an email follow the connection's
+ * missing_email_policy (skip, hold or store; see guestIdentity).
+ *
+ * Send an `Idempotency-Key` header (or a `timestamp` field) so n8n retries
+ * are answered with the original response instead of syncing again.
  */
 
 const express = require('express');
-const crypto = require('crypto');
 const router = express.Router();
 
 const db = require('../db');
 const mailchimp = require('../services/mailchimp');
+const syncQueue = require('../services/syncQueue');
+const { buildMailchimpContact } = require('../lib/contactSync');
+const { prepareContact } = require('../lib/contactPipeline');
+const { withMarketingPermissions } = require('../lib/consent');
+const { ensureMergeFields } = require('../lib/mergeFields');
+const { withFieldMappings } = require('../lib/fieldMappings');
+const connectionStatus = require('../lib/connectionStatus');
+const { suppressionAction, withoutConsent } = require('../lib/suppressions');
+const { deferWithoutEmail, mergeHeldGuests } = require('../lib/guestIdentity');
+const guestVisits = require('../lib/guestVisits');
+const { idempotency } = require('../lib/idempotency');
+const { verifySignature } = require('../lib/webhookSignature');
 
-/**
- * Verify webhook signature (if secret is configured)
- */
-function verifySignature(req, res, next) {
-  const secret = process.env.WEBHOOK_SECRET;
-  
-  // Skip verification if no secret configured
-  if (!secret) {
-    return next();
-  }
-  
-  const signature = req.headers['x-webhook-signature'];
-  
-  if (!signature) {
-    return res.status(401).json({ error: 'Missing webhook signature' });
-  }
-  
-  // Calculate expected signature
-  const payload = JSON.stringify(req.body);
-  const expectedSignature = crypto
-    .createHmac('sha256', secret)
-    .update(payload)
-    .digest('hex');
-  
-  if (signature !== expectedSignature) {
-    return res.status(401).json({ error: 'Invalid webhook signature' });
-  }
-  
-  next();
-}
+// Contacts accepted by /contacts/batch in one request. They are split into
+// one Mailchimp batch operation per account + audience.
+const MAX_BATCH_CONTACTS = 1000;
 
 /**
  * Main contact sync endpoint
  * POST /webhook/contact
  */
-router.post('/contact', verifySignature, async (req, res) => {
+router.post('/contact', verifySignature, idempotency('mailchimp'), async (req, res) => {
   const startTime = Date.now();
+  let payload = null;
   
   try {
-    const {
-      mac_address,
-      email,
-      first_name,
-      last_name,
-      phone,
-      source,
-      location_name,
-      custom_fields = {}
-    } = req.body;
-    
-    // Validate required fields
-    if (!mac_address) {
-      return res.status(400).json({ 
-        error: 'Missing required field: mac_address' 
-      });
-    }
-    
-    if (!email) {
-      return res.status(400).json({ 
-        error: 'Missing required field: email' 
+    // Validate, normalize the MAC and resolve the connection (with
+    // auto-mapping by location name)
+    const prepared = await prepareContact('mailchimp', req.body);
+    
+    if (prepared.error) {
+      return res.status(prepared.status).json({
+        error: prepared.error,
+        ...(prepared.macAddress && { mac_address: prepared.macAddress }),
+        ...(prepared.emailQuality && { email_quality: prepared.emailQuality })
       });
     }
     
-    // Normalize MAC address to lowercase for consistent matching
-    const normalizedMac = mac_address.toLowerCase();
+    const { connection } = prepared;
+    payload = prepared.payload;
+    // Email quality decisions (typo fixes, flags), reported in every response
+    const emailQuality = prepared.emailQuality && { email_quality: prepared.emailQuality };
+    // Guests without email (schema_version 2) are identified by phone or external_id
+    const guest = payload.email || payload.phone || payload.external_id;
     
-    // Validate email format
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
-      return res.status(400).json({ 
-        error: 'Invalid email format' 
-      });
-    }
+    // Persist the contact before acknowledging it, then try delivering inline.
+    // Transient Mailchimp failures are retried by the sync worker.
+    const { job, outcome } = await syncQueue.enqueueAndRun('mailchimp', payload);
     
-    // Look up connection by MAC address
-    let connection = await db.getConnectionByMac(normalizedMac);
-    
-    // If no direct connection, try auto-mapping by location name
-    if (!connection && location_name) {
-      connection = await tryAutoMapping(normalizedMac, location_name);
-    }
+    const duration = Date.now() - startTime;
     
-    if (!connection) {
-      console.log(`No Mailchimp connection for MAC: ${normalizedMac}`);
+    if (outcome.status === 'retrying') {
+      console.log(`Contact queued for retry: ${guest} -> ${connection.account_name} (job ${job.id})`);
       
-      await db.logSync({
-        macAddress: normalizedMac,
-        email: email,
+      return res.status(202).json({
         success: false,
-        errorMessage: 'No Mailchimp connection found'
-      });
-      
-      return res.status(404).json({
-        error: 'No Mailchimp connection found for this location',
-        mac_address: normalizedMac
+        queued: true,
+        job_id: job.id,
+        next_attempt_at: outcome.nextAttemptAt,
+        error: outcome.error.message,
+        account: connection.account_name,
+        ...emailQuality,
+        duration_ms: duration
       });
     }
     
-    // Build contact object
-    const contact = {
-      email: email,
-      firstName: first_name,
-      lastName: last_name,
-      phone: phone,
-      mergeFields: custom_fields
-    };
-    
-    // Build tags array - always include VivaSpot WiFi tag
-    const tags = ['VivaSpot WiFi'];
-    if (connection.source_tag) {
-      tags.push(connection.source_tag);
-    }
-    if (source) {
-      tags.push(source);
+    if (outcome.status === 'dead') {
+      if (outcome.error.code === 'CIRCUIT_OPEN') {
+        return res.status(410).json({
+          error: outcome.error.message,
+          connection_status: outcome.error.connectionStatus,
+          account: connection.account_name,
+          job_id: job.id,
+          ...emailQuality
+        });
+      }
+      return res.status(500).json({
+        error: 'Failed to sync contact',
+        message: outcome.error.message,
+        job_id: job.id,
+        ...emailQuality
+      });
     }
     
-    // Sync contact to Mailchimp
-    const result = await mailchimp.syncContact(
-      connection.access_token,
-      connection.data_center,
-      connection.audience_id,
-      contact,
-      tags
-    );
-    
-    const duration = Date.now() - startTime;
-    
-    // Log successful sync
-    await db.logSync({
-      macAddress: normalizedMac,
-      email: email,
-      success: true,
-      errorMessage: null
-    });
-    
-    console.log(`Contact synced: ${email} -> ${connection.account_name} (${duration}ms)`);
+    const result = outcome.result;
+    console.log(`Contact synced: ${guest} -> ${connection.account_name} (${duration}ms)`);
     
     res.json({
       success: true,
       email: result.email,
       status: result.status,
-      account: connection.account_name,
-      audience: connection.audience_name,
-      tags: tags,
+      account: result.account,
+      audience: result.audience,
+      tags: result.tags,
+      channels: result.channels,
+      ...(result.activity && { activity: result.activity }),
+      ...(result.deferred && { deferred: true }),
+      ...(result.released_held && { released_held: result.released_held }),
+      ...(result.suppressed && { suppressed: true, suppression_reason: result.reason }),
+      ...emailQuality,
+      job_id: job.id,
       duration_ms: duration
     });
     
@@ -177,7 +139,9 @@ router.post('/contact', verifySignature, async (req, res) => {
       macAddress: req.body.mac_address,
       email: req.body.email,
       success: false,
-      errorMessage: error.message
+      errorMessage: error.message,
+      provider: 'mailchimp',
+      payload
     });
     
     res.status(500).json({
@@ -190,6 +154,11 @@ router.post('/contact', verifySignature, async (req, res) => {
 /**
  * Batch contact sync endpoint
  * POST /webhook/contacts/batch
+ *
+ * Contacts are grouped by Mailchimp account + audience and each group is
+ * submitted as a single Mailchimp batch operation (POST /batches). Responds
+ * 202 with the batch ids; poll GET /webhook/contacts/batch/:batch_id for
+ * the outcome.
  */
 router.post('/contacts/batch', verifySignature, async (req, res) => {
   try {
@@ -201,65 +170,191 @@ router.post('/contacts/batch', verifySignature, async (req, res) => {
       });
     }
     
-    if (contacts.length > 100) {
+    if (contacts.length > MAX_BATCH_CONTACTS) {
       return res.status(400).json({ 
-        error: 'Maximum 100 contacts per batch' 
+        error: `Maximum ${MAX_BATCH_CONTACTS} contacts per batch` 
       });
     }
     
     const results = {
       total: contacts.length,
-      success: 0,
+      queued: 0,
       failed: 0,
-      errors: []
+      suppressed: 0,
+      errors: [],
+      suppressed_contacts: [],
+      email_quality: [],
+      without_email: [],
+      batches: []
+    };
+    
+    const fail = (index, email, error) => {
+      results.failed++;
+      results.errors.push({ index, email, error });
     };
     
-    // Process contacts in parallel with concurrency limit
-    const CONCURRENCY = 5;
-    for (let i = 0; i < contacts.length; i += CONCURRENCY) {
-      const batch = contacts.slice(i, i + CONCURRENCY);
+    // Same intake as /contact (validation, MAC normalization, auto-mapping,
+    // no-connection logging), then group by account + audience so each
+    // group is one Mailchimp batch
+    const connectionCache = new Map();
+    const mappingCache = new Map();
+    const groups = new Map();
+    const withoutEmailLog = [];
+    
+    for (const [index, contact] of contacts.entries()) {
+      const prepared = await prepareContact('mailchimp', contact, { connectionCache });
       
-      await Promise.all(batch.map(async (contact, index) => {
-        try {
-          const connection = await db.getConnectionByMac(contact.mac_address);
-          
-          if (!connection) {
-            results.failed++;
-            results.errors.push({
-              index: i + index,
-              email: contact.email,
-              error: 'No connection found'
-            });
-            return;
-          }
-          
-          await mailchimp.syncContact(
-            connection.access_token,
-            connection.data_center,
-            connection.audience_id,
-            {
-              email: contact.email,
-              firstName: contact.first_name,
-              lastName: contact.last_name,
-              phone: contact.phone
-            },
-            connection.source_tag ? [connection.source_tag] : []
-          );
+      if (prepared.emailQuality) {
+        results.email_quality.push({ index, ...prepared.emailQuality });
+      }
+      
+      if (prepared.error) {
+        fail(index, contact && contact.email, prepared.error);
+        continue;
+      }
+      
+      // Guests without email follow the connection's missing-email policy
+      if (!prepared.payload.email) {
+        const deferred = await deferWithoutEmail(prepared.connection, prepared.payload);
+        results.without_email.push({ index, status: deferred.status });
+        withoutEmailLog.push({
+          macAddress: prepared.payload.mac_address,
+          email: null,
+          success: true,
+          outcome: deferred.status,
+          provider: 'mailchimp'
+        });
+        continue;
+      }
+      
+      const { payload, heldIds } = await mergeHeldGuests(prepared.connection, prepared.payload);
+      const connection = await withFieldMappings('mailchimp', prepared.connection, mappingCache);
+      const groupKey = `${connection.account_id}|${connection.audience_id}`;
+      if (!groups.has(groupKey)) {
+        groups.set(groupKey, { connection, items: [] });
+      }
+      groups.get(groupKey).items.push({ index, payload, connection, heldIds });
+    }
+    await db.logSyncMany(withoutEmailLog);
+    
+    for (const group of groups.values()) {
+      const { connection } = group;
+      let { items } = group;
+      
+      try {
+        // Suppressed guests are skipped, or sent without consent
+        const suppressed = await db.getSuppressedEmails(
+          'mailchimp',
+          connection.account_id,
+          items.map(({ payload }) => payload.email)
+        );
+        const isSuppressed = ({ payload }) => suppressed.has(payload.email.toLowerCase());
+        
+        if (suppressed.size > 0 && suppressionAction() === 'skip') {
+          const skipped = items.filter(isSuppressed);
+          items = items.filter(item => !isSuppressed(item));
           
-          results.success++;
+          results.suppressed += skipped.length;
+          skipped.forEach(({ index, payload }) => results.suppressed_contacts.push({ index, email: payload.email }));
+          await db.logSyncMany(skipped.map(({ payload }) => ({
+            macAddress: payload.mac_address,
+            email: payload.email,
+            success: true,
+            outcome: 'suppressed',
+            provider: 'mailchimp'
+          })));
           
-        } catch (error) {
-          results.failed++;
-          results.errors.push({
-            index: i + index,
-            email: contact.email,
-            error: error.message
-          });
+          if (items.length === 0) continue;
+        }
+        
+        const visits = await guestVisits.recordVisits('mailchimp', connection.account_id, items.map(item => item.payload));
+        
+        // Open circuit: don't spend a batch on a revoked account or deleted audience
+        if (!(await connectionStatus.allowSync('mailchimp', connection))) {
+          throw connectionStatus.circuitOpenError('mailchimp', connection);
         }
-      }));
+        
+        // Marketing permissions belong to the audience, so one lookup per group
+        const { marketing_permissions: permissions } = await withMarketingPermissions(connection);
+        
+        const built = items.map(item => {
+          const itemConnection = { ...item.connection, marketing_permissions: permissions };
+          return {
+            index: item.index,
+            ...buildMailchimpContact(
+              isSuppressed(item) ? withoutConsent(itemConnection) : itemConnection,
+              item.payload,
+              { visits: visits.get(item.payload.email.toLowerCase()) }
+            )
+          };
+        });
+        
+        // Batch results arrive too late to fix a missing merge tag, so
+        // provision every tag the group uses before submitting
+        const mergeFields = Object.assign({}, 
+          ...built.map(({ contact }) => mailchimp.buildMemberPayload(contact).merge_fields)
+        );
+        const { available } = await ensureMergeFields(connection, mergeFields);
+        const mergeFieldTags = [...available];
+        
+        const operations = built.flatMap(({ index, contact, tags }) => 
+          mailchimp.buildSyncOperations(connection.audience_id, { ...contact, mergeFieldTags }, tags, `c${index}`)
+        );
+        
+        const batch = await mailchimp.createBatch(
+          mailchimp.accountOf(connection),
+          operations
+        );
+        await connectionStatus.recordSuccess('mailchimp', connection);
+        await db.deleteGuestsWithoutEmail(items.flatMap(item => item.heldIds));
+        
+        await db.createMailchimpBatch({
+          batchId: batch.id,
+          accountId: connection.account_id,
+          accountName: connection.account_name,
+          audienceId: connection.audience_id,
+          dataCenter: connection.data_center,
+          contacts: items.map(item => ({
+            operation_prefix: `c${item.index}`,
+            index: item.index,
+            mac_address: item.payload.mac_address,
+            email: item.payload.email,
+            payload: item.payload,
+            ...(isSuppressed(item) && { suppressed: true })
+          })),
+          status: batch.status,
+          totalOperations: operations.length
+        });
+        
+        results.queued += items.length;
+        results.batches.push({
+          batch_id: batch.id,
+          account: connection.account_name,
+          audience: connection.audience_name,
+          contacts: items.length,
+          status: batch.status,
+          status_url: `/webhook/contacts/batch/${batch.id}`
+        });
+        
+      } catch (error) {
+        await connectionStatus.recordFailure('mailchimp', connection, error);
+        items.forEach(({ index, payload }) => fail(index, payload.email, error.message));
+        
+        // The batch never reached Mailchimp, so nothing will log these later
+        await db.logSyncMany(items.map(({ payload }) => ({
+          macAddress: payload.mac_address,
+          email: payload.email,
+          success: false,
+          errorMessage: error.message,
+          provider: 'mailchimp',
+          payload
+        })));
+      }
     }
     
-    res.json(results);
+    console.log(`Batch sync: ${results.queued} queued in ${results.batches.length} Mailchimp batch(es), ${results.suppressed} suppressed, ${results.failed} failed`);
+    
+    res.status(results.batches.length > 0 ? 202 : 200).json(results);
     
   } catch (error) {
     console.error('Batch sync error:', error);
@@ -267,6 +362,75 @@ router.post('/contacts/batch', verifySignature, async (req, res) => {
   }
 });
 
+/**
+ * Batch status endpoint
+ * GET /webhook/contacts/batch/:batch_id
+ *
+ * Reports Mailchimp's progress. Once the batch has finished, downloads the
+ * per-operation results, writes one sync_log row per contact and returns
+ * the per-contact outcome (stored, so later polls don't hit Mailchimp).
+ */
+router.get('/contacts/batch/:batch_id', verifySignature, async (req, res) => {
+  try {
+    const batchRow = await db.getMailchimpBatch(req.params.batch_id);
+    
+    if (!batchRow) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+    
+    if (batchRow.results_logged_at) {
+      return res.json(formatBatchStatus(batchRow));
+    }
+    
+    const connection = (batchRow.account_id && await db.getConnectionByAccountId(batchRow.account_id))
+      || await db.getConnectionByMac(batchRow.contacts[0]?.mac_address);
+    
+    if (!connection) {
+      return res.status(409).json({
+        error: 'No Mailchimp connection remains for this batch\'s account',
+        batch_id: batchRow.batch_id
+      });
+    }
+    
+    const batch = await mailchimp.getBatch(
+      mailchimp.accountOf(connection),
+      batchRow.batch_id
+    );
+    
+    let updated = await db.updateMailchimpBatchStatus(batchRow.batch_id, batch);
+    
+    if (batch.status === 'finished' && batch.responseBodyUrl) {
+      const operations = await mailchimp.getBatchResults(batch.responseBodyUrl);
+      const summary = summarizeBatchResults(batchRow.contacts, operations);
+      
+      // Only the poll that records the summary writes sync_log rows
+      const completed = await db.completeMailchimpBatch(batchRow.batch_id, summary);
+      if (completed) {
+        const payloadsByIndex = new Map(batchRow.contacts.map(c => [c.index, c.payload]));
+        await db.logSyncMany(summary.contacts.map(c => ({
+          macAddress: c.mac_address,
+          email: c.email,
+          success: c.success,
+          outcome: c.success && c.suppressed ? 'suppressed' : null,
+          errorMessage: c.error,
+          provider: 'mailchimp',
+          payload: payloadsByIndex.get(c.index)
+        })));
+        console.log(`Batch ${batchRow.batch_id} finished: ${summary.success} synced, ${summary.failed} failed`);
+        updated = completed;
+      } else {
+        updated = await db.getMailchimpBatch(batchRow.batch_id);
+      }
+    }
+    
+    res.json(formatBatchStatus(updated));
+    
+  } catch (error) {
+    console.error('Batch status error:', error);
+    res.status(500).json({ error: 'Failed to get batch status', message: error.message });
+  }
+});
+
 /**
  * Test endpoint - verify connection works
  * POST /webhook/test
@@ -290,8 +454,7 @@ router.post('/test', async (req, res) => {
     
     // Test the Mailchimp connection
     const isValid = await mailchimp.pingAccount(
-      connection.access_token,
-      connection.data_center
+      mailchimp.accountOf(connection)
     );
     
     if (!isValid) {
@@ -304,8 +467,7 @@ router.post('/test', async (req, res) => {
     
     // Get audience info to verify it still exists
     const audiences = await mailchimp.getAudiences(
-      connection.access_token,
-      connection.data_center
+      mailchimp.accountOf(connection)
     );
     
     const targetAudience = audiences.find(a => a.id === connection.audience_id);
@@ -330,46 +492,60 @@ router.post('/test', async (req, res) => {
 });
 
 // =============================================================================
-// Auto-Mapping Helper
+// Batch Helpers
 // =============================================================================
 
 /**
- * Try to auto-map a location to an existing Mailchimp account
- * Uses fuzzy matching on account/location name
+ * Collapse per-operation batch results into one outcome per contact.
+ * A contact succeeded if every operation for it (member upsert and tags)
+ * returned 2xx. The wifi_visit event and member note don't count, as for
+ * single syncs.
  */
-async function tryAutoMapping(macAddress, locationName) {
-  try {
-    // Search for similar account names
-    const matches = await db.findConnectionsByAccountName(locationName, 0.3);
-    
-    if (matches.length === 0) {
-      console.log(`No auto-mapping match for: ${locationName}`);
-      return null;
+function summarizeBatchResults(contacts, operations) {
+  const byOperationId = new Map(operations.map(op => [op.operationId, op]));
+  
+  const outcomes = contacts.map(contact => {
+    const ops = [`${contact.operation_prefix}:member`, `${contact.operation_prefix}:tags`]
+      .map(id => byOperationId.get(id))
+      .filter(Boolean);
+    const failedOp = ops.find(op => op.statusCode < 200 || op.statusCode >= 300);
+    
+    let error = null;
+    if (ops.length === 0) {
+      error = 'No result returned for contact';
+    } else if (failedOp) {
+      error = failedOp.response?.detail || failedOp.response?.title || `HTTP ${failedOp.statusCode}`;
     }
     
-    // Use the best match
-    const bestMatch = matches[0];
-    console.log(`Auto-mapped "${locationName}" -> "${bestMatch.account_name}" (score: ${bestMatch.match_score})`);
-    
-    // Create a connection for this MAC address using the matched account
-    const newConnection = await db.upsertConnection({
-      macAddress: macAddress,
-      accessToken: bestMatch.access_token,
-      dataCenter: bestMatch.data_center,
-      accountId: bestMatch.account_id,
-      accountName: bestMatch.account_name,
-      audienceId: bestMatch.audience_id,
-      audienceName: bestMatch.audience_name,
-      // Use location name as source tag for multi-location groups
-      sourceTag: locationName
-    });
-    
-    return newConnection;
-    
-  } catch (error) {
-    console.error('Auto-mapping error:', error);
-    return null;
-  }
+    return {
+      index: contact.index,
+      mac_address: contact.mac_address,
+      email: contact.email,
+      success: !error,
+      ...(contact.suppressed && { suppressed: true }),
+      error
+    };
+  });
+  
+  return {
+    success: outcomes.filter(o => o.success).length,
+    failed: outcomes.filter(o => !o.success).length,
+    contacts: outcomes
+  };
+}
+
+function formatBatchStatus(row) {
+  return {
+    batch_id: row.batch_id,
+    status: row.status,
+    account: row.account_name,
+    total_operations: row.total_operations,
+    finished_operations: row.finished_operations,
+    errored_operations: row.errored_operations,
+    submitted_at: row.created_at,
+    results_logged_at: row.results_logged_at,
+    results: row.summary || null
+  };
 }
 
 module.exports = router;
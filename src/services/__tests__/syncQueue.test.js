@@ -0,0 +1,150 @@
+jest.mock('../../db', () => ({
+  completeSyncJob: jest.fn(),
+  rescheduleSyncJob: jest.fn(),
+  deadLetterSyncJob: jest.fn(),
+  logSync: jest.fn(),
+}));
+jest.mock('../../lib/contactSync', () => ({
+  ...jest.requireActual('../../lib/contactSync'),
+  DELIVERERS: { mailchimp: jest.fn() },
+}));
+
+const db = require('../../db');
+const { DELIVERERS, permanentError } = require('../../lib/contactSync');
+const { circuitOpenError } = require('../../lib/connectionStatus');
+const { processJob, computeBackoffMs, isRetryable } = require('../syncQueue');
+
+const job = (overrides = {}) => ({
+  id: 1,
+  provider: 'mailchimp',
+  mac_address: 'aa:bb:cc:dd:ee:ff',
+  email: 'guest@example.com',
+  payload: { email: 'guest@example.com' },
+  attempts: 1,
+  max_attempts: 8,
+  ...overrides,
+});
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('processJob', () => {
+  test('a failed bookkeeping write after delivery neither retries nor redelivers', async () => {
+    DELIVERERS.mailchimp.mockResolvedValue({ email: 'guest@example.com', status: 'subscribed' });
+    db.completeSyncJob.mockRejectedValue(new Error('timeout exceeded when trying to connect'));
+    db.logSync.mockRejectedValue(new Error('timeout exceeded when trying to connect'));
+
+    const outcome = await processJob(job());
+
+    expect(outcome.status).toBe('succeeded');
+    expect(DELIVERERS.mailchimp).toHaveBeenCalledTimes(1);
+    expect(db.completeSyncJob).toHaveBeenCalledTimes(3);
+    expect(db.rescheduleSyncJob).not.toHaveBeenCalled();
+    expect(db.deadLetterSyncJob).not.toHaveBeenCalled();
+  });
+
+  test('a bookkeeping write that fails once is retried', async () => {
+    DELIVERERS.mailchimp.mockResolvedValue({ email: 'guest@example.com', status: 'subscribed' });
+    db.completeSyncJob.mockRejectedValueOnce(new Error('Connection terminated')).mockResolvedValue();
+
+    const outcome = await processJob(job());
+
+    expect(outcome.status).toBe('succeeded');
+    expect(db.completeSyncJob).toHaveBeenCalledTimes(2);
+    expect(db.logSync).toHaveBeenCalledWith(expect.objectContaining({ success: true, outcome: 'synced' }));
+  });
+
+  test('a transient delivery failure is rescheduled', async () => {
+    DELIVERERS.mailchimp.mockRejectedValue(Object.assign(new Error('Service Unavailable'), { httpStatus: 503 }));
+
+    const outcome = await processJob(job());
+
+    expect(outcome.status).toBe('retrying');
+    expect(db.rescheduleSyncJob).toHaveBeenCalledWith(1, 'Service Unavailable', outcome.nextAttemptAt);
+    expect(db.completeSyncJob).not.toHaveBeenCalled();
+  });
+
+  test('a delivery failure on the last attempt is dead-lettered and logged', async () => {
+    DELIVERERS.mailchimp.mockRejectedValue(Object.assign(new Error('Service Unavailable'), { httpStatus: 503 }));
+
+    const outcome = await processJob(job({ attempts: 8 }));
+
+    expect(outcome.status).toBe('dead');
+    expect(db.deadLetterSyncJob).toHaveBeenCalledWith(1, 'Service Unavailable');
+    expect(db.logSync).toHaveBeenCalledWith(expect.objectContaining({ success: false, payload: job().payload }));
+  });
+});
+
+describe('computeBackoffMs', () => {
+  const BASE_MS = 30 * 1000;
+  const MAX_MS = 6 * 60 * 60 * 1000;
+
+  test.each([[1, BASE_MS], [2, BASE_MS * 2], [5, BASE_MS * 16], [20, MAX_MS]])(
+    'attempt %i waits between half and all of %i ms',
+    (attempt, window) => {
+      jest.spyOn(Math, 'random').mockReturnValue(0);
+      expect(computeBackoffMs(attempt)).toBe(window / 2);
+
+      Math.random.mockReturnValue(0.999999);
+      expect(computeBackoffMs(attempt)).toBeLessThanOrEqual(window);
+      expect(computeBackoffMs(attempt)).toBeGreaterThan(window * 0.99);
+    }
+  );
+
+  test('never exceeds the cap, however many attempts', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0.999999);
+    expect(computeBackoffMs(100)).toBeLessThanOrEqual(MAX_MS);
+  });
+
+  test('is jittered', () => {
+    const delays = new Set(Array.from({ length: 20 }, () => computeBackoffMs(3)));
+    expect(delays.size).toBeGreaterThan(1);
+    for (const delay of delays) {
+      expect(delay).toBeGreaterThanOrEqual(BASE_MS * 2);
+      expect(delay).toBeLessThanOrEqual(BASE_MS * 4);
+    }
+  });
+});
+
+describe('isRetryable', () => {
+  const httpError = (status) => Object.assign(new Error(`HTTP ${status}`), { httpStatus: status });
+
+  test.each([[429], [408], [500], [502], [503]])('retries HTTP %i', (status) => {
+    expect(isRetryable(httpError(status))).toBe(true);
+  });
+
+  test.each([[400], [401], [403], [404], [422]])('does not retry HTTP %i', (status) => {
+    expect(isRetryable(httpError(status))).toBe(false);
+  });
+
+  test('reads the status of an axios error', () => {
+    expect(isRetryable(Object.assign(new Error('Too Many Requests'), { response: { status: 429 } }))).toBe(true);
+    expect(isRetryable(Object.assign(new Error('Bad Request'), { response: { status: 400 } }))).toBe(false);
+  });
+
+  test('retries timeouts and network errors', () => {
+    expect(isRetryable(Object.assign(new Error('timeout of 30000ms exceeded'), { code: 'ECONNABORTED' }))).toBe(true);
+    expect(isRetryable(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }))).toBe(true);
+  });
+
+  test('does not retry a permanent error, whatever its status', () => {
+    expect(isRetryable(permanentError('Invalid email address'))).toBe(false);
+    expect(isRetryable(Object.assign(permanentError('Compliance state'), { httpStatus: 503 }))).toBe(false);
+  });
+
+  test('does not retry while the circuit is open', () => {
+    expect(isRetryable(circuitOpenError('mailchimp', { status: 'revoked' }))).toBe(false);
+    expect(isRetryable(circuitOpenError('klaviyo', { status: 'audience_missing' }))).toBe(false);
+  });
+
+  test('does not retry a revoked refresh token', () => {
+    expect(isRetryable(Object.assign(new Error('invalid_grant'), { code: 'INVALID_GRANT' }))).toBe(false);
+  });
+});
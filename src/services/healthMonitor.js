@@ -0,0 +1,155 @@
+/**
+ * Connection Health Monitor
+ *
+ * Background job that checks every distinct account + audience/list on a
+ * schedule, so a dead token or deleted audience shows up before a guest
+ * sync fails on it. Each check reads the audience/list with the account's
+ * token (see connectionStatus.probeConnection); the result is stored on the
+ * connection rows as last_checked_at, last_status ('ok' | 'revoked' |
+ * 'audience_missing' | 'error') and last_check_error. 'error' means the
+ * check couldn't complete (timeout, 5xx, 429), not that the account is bad.
+ *
+ * Admin and health endpoints read the stored results only. A check that
+ * hasn't run for two intervals is reported as stale.
+ *
+ * Checks are picked by last_checked_at, so several instances running the
+ * monitor mostly split the work rather than repeat it.
+ */
+
+const db = require('../db');
+const { PROVIDERS } = require('../lib/contactSync');
+const { probeConnection } = require('../lib/connectionStatus');
+
+const INTERVAL_SECONDS = parseInt(process.env.HEALTH_CHECK_INTERVAL_SECONDS, 10) || 60 * 60;
+const POLL_INTERVAL_MS = parseInt(process.env.HEALTH_CHECK_POLL_MS, 10) || 60 * 1000;
+const STALE_AFTER_SECONDS = INTERVAL_SECONDS * 2;
+
+let pollTimer = null;
+let running = false;
+
+/**
+ * Check one account + audience/list and store the result.
+ */
+async function checkConnection(provider, connection) {
+  const probe = await probeConnection(provider, connection);
+  // Only a classified failure (401/403, invalid_grant, 404) says the
+  // connection is revoked or its audience gone; anything else, such as a
+  // provider outage, is just 'error'
+  let status = 'ok';
+  if (!probe.ok) status = probe.status === 'revoked' || probe.status === 'audience_missing' ? probe.status : 'error';
+
+  await db.recordHealthCheck(provider, {
+    accountId: connection.account_id,
+    audienceId: provider === 'mailchimp' ? connection.audience_id : connection.list_id,
+    status,
+    error: probe.ok ? null : probe.reason,
+  });
+
+  if (status === 'error') {
+    console.warn(`Health check error: ${provider} account "${connection.account_name}" could not be checked (${probe.reason})`);
+  } else if (!probe.ok) {
+    console.warn(`Health check failed: ${provider} account "${connection.account_name}" is ${status} (${probe.reason})`);
+  }
+  return status;
+}
+
+/**
+ * Check every account + audience/list that is due. Returns the number checked.
+ */
+async function runOnce() {
+  let checked = 0;
+  for (const provider of PROVIDERS) {
+    const targets = await db.getHealthCheckTargets(provider, INTERVAL_SECONDS);
+    for (const connection of targets) {
+      try {
+        await checkConnection(provider, connection);
+        checked++;
+      } catch (error) {
+        console.error(`Health check error for ${provider} account ${connection.account_id}:`, error.message);
+      }
+    }
+  }
+  return checked;
+}
+
+async function tick() {
+  if (running) return;
+  running = true;
+  try {
+    const checked = await runOnce();
+    if (checked > 0) {
+      console.log(`Health monitor checked ${checked} account(s)`);
+    }
+  } catch (error) {
+    console.error('Health monitor error:', error.message);
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * 'ok', 'failing', 'stale' or 'unchecked' for a stored check result
+ * (a connection row or a getConnectionHealth row).
+ */
+function healthOf(row) {
+  if (!row.last_checked_at) return 'unchecked';
+  if (row.last_status !== 'ok') return 'failing';
+  const ageSeconds = (Date.now() - new Date(row.last_checked_at).getTime()) / 1000;
+  return ageSeconds > STALE_AFTER_SECONDS ? 'stale' : 'ok';
+}
+
+/**
+ * Stored health of every account + audience/list:
+ * { healthy, failing: [...], stale: [...], unchecked: [...] }
+ */
+async function getHealthSummary() {
+  const rows = await db.getConnectionHealth();
+  const summary = { healthy: 0, failing: [], stale: [], unchecked: [] };
+
+  for (const row of rows) {
+    const health = healthOf(row);
+    if (health === 'ok') {
+      summary.healthy++;
+      continue;
+    }
+    summary[health].push({
+      provider: row.provider,
+      account_id: row.account_id,
+      account_name: row.account_name,
+      audience_id: row.audience_id,
+      audience_name: row.audience_name,
+      connections: row.connections,
+      last_checked_at: row.last_checked_at,
+      last_status: row.last_status,
+      error: row.last_check_error,
+    });
+  }
+  return summary;
+}
+
+/**
+ * Start the monitor (idempotent).
+ */
+function start() {
+  if (pollTimer) return;
+  pollTimer = setInterval(tick, POLL_INTERVAL_MS);
+  pollTimer.unref();
+  console.log(`✓ Health monitor started (each account checked every ${INTERVAL_SECONDS}s)`);
+}
+
+/**
+ * Stop the monitor.
+ */
+function stop() {
+  clearInterval(pollTimer);
+  pollTimer = null;
+}
+
+module.exports = {
+  checkConnection,
+  runOnce,
+  healthOf,
+  getHealthSummary,
+  start,
+  stop,
+};
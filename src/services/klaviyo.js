@@ -14,6 +14,8 @@
 const axios = require('axios');
 const crypto = require('crypto');
 
+const { createAccountLimiter } = require('../lib/accountLimiter');
+
 // OAuth endpoints
 const OAUTH_AUTHORIZE_URL = 'https://www.klaviyo.com/oauth/authorize';
 const OAUTH_TOKEN_URL = 'https://a.klaviyo.com/oauth/token';
@@ -26,10 +28,13 @@ const API_BASE_URL = 'https://a.klaviyo.com/api';
 // code change. Defaults to a known-stable GA revision.
 const API_REVISION = process.env.KLAVIYO_API_REVISION || '2024-10-15';
 
+// Most profiles Klaviyo accepts in one bulk subscription / import job.
+const BULK_PROFILE_LIMIT = 1000;
+
 // Scopes requested at install time. accounts:read is required by default.
 const DEFAULT_SCOPES =
   process.env.KLAVIYO_SCOPES ||
-  'accounts:read lists:read lists:write profiles:write subscriptions:write';
+  'accounts:read events:write lists:read lists:write profiles:write subscriptions:write';
 
 // =============================================================================
 // PKCE helpers
@@ -156,7 +161,9 @@ async function refreshAccessToken(refreshToken) {
       err.code = 'INVALID_GRANT';
       throw err;
     }
-    throw new Error('Failed to refresh access token');
+    const err = new Error('Failed to refresh access token');
+    err.httpStatus = error.response?.status || null;
+    throw err;
   }
 }
 
@@ -186,7 +193,33 @@ async function revokeToken(token, tokenTypeHint = 'access_token') {
 // API client
 // =============================================================================
 
-function createClient(accessToken) {
+// Klaviyo limits each account per endpoint (the smallest steady tiers are a
+// few requests per second), so cap concurrency and request rate per account
+// and let Retry-After handle the rest. A 429 only pauses the endpoint that
+// returned it.
+const limiter = createAccountLimiter({
+  provider: 'klaviyo',
+  maxConcurrent: parseInt(process.env.KLAVIYO_MAX_CONCURRENT, 10) || 5,
+  maxPerSecond: parseInt(process.env.KLAVIYO_MAX_REQUESTS_PER_SECOND, 10) || 10,
+  maxRetries: parseInt(process.env.RATE_LIMIT_MAX_RETRIES, 10) || 3,
+  pauseScope: 'endpoint',
+});
+
+/**
+ * The `account` argument every API call below takes: { accessToken,
+ * accountId }. accessToken defaults to the connection's stored one; pass
+ * the token from getValidAccessToken when it was refreshed.
+ */
+function accountOf(connection, accessToken = connection.access_token) {
+  return { accessToken, accountId: connection.account_id };
+}
+
+/**
+ * Klaviyo API client for one access token, without the account limiter.
+ * Only for reading the account itself while connecting, before its id is
+ * known.
+ */
+function createUnlimitedClient(accessToken) {
   return axios.create({
     baseURL: API_BASE_URL,
     headers: {
@@ -199,6 +232,22 @@ function createClient(accessToken) {
   });
 }
 
+/**
+ * Klaviyo API client for an account; calls go through the account's
+ * limiter (see lib/accountLimiter).
+ */
+function createClient({ accessToken, accountId }) {
+  return limiter.wrap(createUnlimitedClient(accessToken), accountId);
+}
+
+/**
+ * Per-account limiter state: [{ account_id, active, queued, paused_until,
+ * paused_endpoints }]
+ */
+function getLimiterStats() {
+  return limiter.stats();
+}
+
 /**
  * Fetch account metadata (id, organization name, sender email).
  * GET /api/accounts/?fields[account]=contact_information
@@ -209,7 +258,7 @@ function createClient(accessToken) {
  * do not exist and produced `undefined`.
  */
 async function getAccountMetadata(accessToken) {
-  const client = createClient(accessToken);
+  const client = createUnlimitedClient(accessToken);
   try {
     const response = await client.get('/accounts/', {
       params: { 'fields[account]': 'contact_information' },
@@ -241,8 +290,8 @@ async function getAccountMetadata(accessToken) {
  * Fetch lists for the account.
  * GET /api/lists
  */
-async function getLists(accessToken) {
-  const client = createClient(accessToken);
+async function getLists(account) {
+  const client = createClient(account);
   try {
     const response = await client.get('/lists/', {
       params: { 'fields[list]': 'name' },
@@ -258,20 +307,82 @@ async function getLists(accessToken) {
 }
 
 /**
- * Create or update a profile's identity fields (name, phone, properties).
- * Klaviyo's Create Profile returns 409 on an existing email; we then PATCH.
- * Returns the profile id.
+ * Fetch one list, or null if it doesn't exist (deleted).
+ * GET /api/lists/{id}
  */
-async function upsertProfile(accessToken, contact) {
-  const client = createClient(accessToken);
+async function getList(account, listId) {
+  const client = createClient(account);
+  try {
+    const response = await client.get(`/lists/${listId}/`, {
+      params: { 'fields[list]': 'name' },
+    });
+    const list = response.data.data;
+    return { id: list.id, name: list.attributes?.name || '(unnamed list)' };
+  } catch (error) {
+    if (error.response?.status === 404) return null;
+    const err = new Error(error.response?.data?.errors?.[0]?.detail || 'Failed to fetch list');
+    err.httpStatus = error.response?.status || null;
+    throw err;
+  }
+}
 
-  const attributes = { email: contact.email };
+/**
+ * Profile identity attributes (identifiers, name, phone, custom properties)
+ * for a contact. Any of email, phone_number and external_id identifies it.
+ */
+function buildProfileAttributes(contact) {
+  const attributes = {};
+  if (contact.email) attributes.email = contact.email;
+  if (contact.externalId) attributes.external_id = contact.externalId;
   if (contact.firstName) attributes.first_name = contact.firstName;
   if (contact.lastName) attributes.last_name = contact.lastName;
   if (contact.phone) attributes.phone_number = contact.phone;
   if (contact.properties && Object.keys(contact.properties).length > 0) {
     attributes.properties = contact.properties;
   }
+  return attributes;
+}
+
+/**
+ * Profile entry for a subscription job: identifiers plus email and/or SMS
+ * consent. SMS consent needs the phone number; a phone-only contact has no
+ * email subscription.
+ */
+function buildSubscriptionProfile(contact) {
+  const subscriptions = {};
+  if (contact.email && contact.emailConsent) {
+    subscriptions.email = { marketing: { consent: contact.emailConsent } };
+  }
+  if (contact.phone && contact.smsConsent) {
+    subscriptions.sms = { marketing: { consent: contact.smsConsent } };
+  }
+
+  const profileAttributes = { subscriptions };
+  if (contact.email) {
+    profileAttributes.email = contact.email;
+  }
+  if (contact.phone) {
+    profileAttributes.phone_number = contact.phone;
+  }
+  return { type: 'profile', attributes: profileAttributes };
+}
+
+/**
+ * Whether a contact has any consent to send in a subscription job.
+ */
+function hasSubscription(contact) {
+  return Boolean((contact.email && contact.emailConsent) || (contact.phone && contact.smsConsent));
+}
+
+/**
+ * Create or update a profile's identity fields (name, phone, properties).
+ * Klaviyo's Create Profile returns 409 on an existing email; we then PATCH.
+ * Returns the profile id.
+ */
+async function upsertProfile(account, contact) {
+  const client = createClient(account);
+
+  const attributes = buildProfileAttributes(contact);
 
   const body = { data: { type: 'profile', attributes } };
 
@@ -289,25 +400,28 @@ async function upsertProfile(accessToken, contact) {
       return dupId;
     }
     console.error('Klaviyo profile upsert failed:', error.response?.data || error.message);
-    throw new Error('Failed to create/update profile');
+    const err = new Error('Failed to create/update profile');
+    err.httpStatus = status || null;
+    throw err;
   }
 }
 
 /**
- * Subscribe a profile to a list with email marketing consent.
+ * Subscribe a profile to a list with email and/or SMS marketing consent.
  * POST /api/profile-subscription-bulk-create-jobs
  * This both records consent and adds the profile to the list.
  */
-async function subscribeProfileToList(accessToken, listId, contact, customSource = 'VivaSpot WiFi') {
-  const client = createClient(accessToken);
+async function subscribeProfileToList(account, listId, contact, customSource = 'VivaSpot WiFi') {
+  return subscribeProfilesToList(account, listId, [contact], customSource);
+}
 
-  const profileAttributes = {
-    email: contact.email,
-    subscriptions: { email: { marketing: { consent: 'SUBSCRIBED' } } },
-  };
-  if (contact.phone) {
-    profileAttributes.phone_number = contact.phone;
-  }
+/**
+ * Subscribe many profiles to a list in one job (max BULK_PROFILE_LIMIT).
+ * POST /api/profile-subscription-bulk-create-jobs
+ * Klaviyo accepts the job (202) and processes it asynchronously.
+ */
+async function subscribeProfilesToList(account, listId, contacts, customSource = 'VivaSpot WiFi') {
+  const client = createClient(account);
 
   const body = {
     data: {
@@ -315,7 +429,7 @@ async function subscribeProfileToList(accessToken, listId, contact, customSource
       attributes: {
         custom_source: customSource,
         profiles: {
-          data: [{ type: 'profile', attributes: profileAttributes }],
+          data: contacts.map(buildSubscriptionProfile),
         },
       },
       relationships: {
@@ -329,28 +443,174 @@ async function subscribeProfileToList(accessToken, listId, contact, customSource
     return { success: true };
   } catch (error) {
     console.error('Klaviyo subscribe failed:', error.response?.data || error.message);
-    throw new Error(
+    const err = new Error(
       error.response?.data?.errors?.[0]?.detail || 'Failed to subscribe profile to list'
     );
+    err.httpStatus = error.response?.status || null;
+    throw err;
+  }
+}
+
+/**
+ * Create or update many profiles' identity fields in one job
+ * (max BULK_PROFILE_LIMIT). Batch counterpart of upsertProfile.
+ * POST /api/profile-bulk-import-jobs
+ * Returns the import job id.
+ */
+async function bulkImportProfiles(account, contacts) {
+  const client = createClient(account);
+
+  const body = {
+    data: {
+      type: 'profile-bulk-import-job',
+      attributes: {
+        profiles: {
+          data: contacts.map((contact) => ({
+            type: 'profile',
+            attributes: buildProfileAttributes(contact),
+          })),
+        },
+      },
+    },
+  };
+
+  try {
+    const response = await client.post('/profile-bulk-import-jobs/', body);
+    return response.data?.data?.id || null;
+  } catch (error) {
+    console.error('Klaviyo bulk profile import failed:', error.response?.data || error.message);
+    const err = new Error(
+      error.response?.data?.errors?.[0]?.detail || 'Failed to import profiles'
+    );
+    err.httpStatus = error.response?.status || null;
+    throw err;
   }
 }
 
 /**
- * Full sync: set identity fields, then subscribe to the list with consent.
+ * Event attributes for contact.event ({ metric, properties, time }),
+ * attached to the contact's profile by its identifiers.
+ */
+function buildEventAttributes(contact) {
+  const { email, phone_number, external_id } = buildProfileAttributes(contact);
+  const profileAttributes = {};
+  if (email) profileAttributes.email = email;
+  if (phone_number) profileAttributes.phone_number = phone_number;
+  if (external_id) profileAttributes.external_id = external_id;
+
+  return {
+    properties: contact.event.properties,
+    time: contact.event.time,
+    metric: { data: { type: 'metric', attributes: { name: contact.event.metric } } },
+    profile: { data: { type: 'profile', attributes: profileAttributes } },
+  };
+}
+
+/**
+ * Record contact.event on the contact's profile.
+ * POST /api/events
  */
-async function syncContact(accessToken, listId, contact, customSource) {
+async function createEvent(account, contact) {
+  const client = createClient(account);
+
+  try {
+    await client.post('/events/', {
+      data: { type: 'event', attributes: buildEventAttributes(contact) },
+    });
+    return { success: true };
+  } catch (error) {
+    console.error('Klaviyo event failed:', error.response?.data || error.message);
+    const err = new Error(
+      error.response?.data?.errors?.[0]?.detail || 'Failed to create event'
+    );
+    err.httpStatus = error.response?.status || null;
+    throw err;
+  }
+}
+
+/**
+ * Outcome reported for a failed event request. The profile was saved with
+ * the same token just before, so a 403 means the token lacks the
+ * events:write scope: the account was connected before it was requested
+ * and must reconnect to grant it.
+ */
+function eventFailureOutcome(error) {
+  return error.httpStatus === 403 ? 'reconnect_required' : 'failed';
+}
+
+/**
+ * Record many contacts' events in one job (max BULK_PROFILE_LIMIT).
+ * Batch counterpart of createEvent.
+ * POST /api/event-bulk-create-jobs
+ */
+async function bulkCreateEvents(account, contacts) {
+  const client = createClient(account);
+
+  const body = {
+    data: {
+      type: 'event-bulk-create-job',
+      attributes: {
+        'events-bulk-create': {
+          data: contacts.map((contact) => {
+            const { profile, ...event } = buildEventAttributes(contact);
+            return {
+              type: 'event-bulk-create',
+              attributes: {
+                profile,
+                events: { data: [{ type: 'event', attributes: event }] },
+              },
+            };
+          }),
+        },
+      },
+    },
+  };
+
+  try {
+    await client.post('/event-bulk-create-jobs/', body);
+    return { success: true };
+  } catch (error) {
+    console.error('Klaviyo bulk event create failed:', error.response?.data || error.message);
+    const err = new Error(
+      error.response?.data?.errors?.[0]?.detail || 'Failed to create events'
+    );
+    err.httpStatus = error.response?.status || null;
+    throw err;
+  }
+}
+
+/**
+ * Full sync: set identity fields, then subscribe to the list with consent,
+ * then record contact.event if set. A contact with neither email nor SMS
+ * consent (transactional-only) is not subscribed. The profile is saved by
+ * the time the event is sent, so a failed event is reported in
+ * result.activity ('recorded' | 'failed' | 'reconnect_required') instead of
+ * failing the sync.
+ */
+async function syncContact(account, listId, contact, customSource) {
   // Identity first (names/phone/properties), then consent + list membership.
-  await upsertProfile(accessToken, contact);
-  await subscribeProfileToList(accessToken, listId, contact, customSource);
-  return { success: true, email: contact.email, status: 'subscribed' };
+  await upsertProfile(account, contact);
+  let status = 'transactional';
+  if (hasSubscription(contact)) {
+    await subscribeProfileToList(account, listId, contact, customSource);
+    status = 'subscribed';
+  }
+
+  const result = { success: true, email: contact.email, status };
+  if (contact.event) {
+    result.activity = {
+      event: await createEvent(account, contact).then(() => 'recorded', eventFailureOutcome),
+    };
+  }
+  return result;
 }
 
 /**
  * Lightweight validity check — can we read the account?
  */
-async function pingAccount(accessToken) {
+async function pingAccount(account) {
   try {
-    await getAccountMetadata(accessToken);
+    await createClient(account).get('/accounts/');
     return true;
   } catch {
     return false;
@@ -366,15 +626,25 @@ module.exports = {
   revokeToken,
 
   // API
+  accountOf,
   createClient,
+  getLimiterStats,
   getAccountMetadata,
   getLists,
+  getList,
   upsertProfile,
   subscribeProfileToList,
+  subscribeProfilesToList,
+  bulkImportProfiles,
+  createEvent,
+  eventFailureOutcome,
+  bulkCreateEvents,
+  hasSubscription,
   syncContact,
   pingAccount,
 
   // Constants (exported for tests/visibility)
   API_REVISION,
   DEFAULT_SCOPES,
+  BULK_PROFILE_LIMIT,
 };
@@ -0,0 +1,82 @@
+/**
+ * Klaviyo Token Refresher
+ *
+ * Background job that renews Klaviyo access tokens before they expire, so
+ * guest syncs rarely have to refresh inline. Every poll it refreshes each
+ * account whose token expires within KLAVIYO_TOKEN_REFRESH_LEAD_SECONDS,
+ * through the same locked refresh as request-time callers (see
+ * lib/klaviyoTokens), so it can run on every instance without spending a
+ * refresh token twice.
+ *
+ * An invalid_grant (app uninstalled) opens the connection's circuit so
+ * syncs stop until the account reconnects.
+ */
+
+const db = require('../db');
+const { refreshAccountToken } = require('../lib/klaviyoTokens');
+const connectionStatus = require('../lib/connectionStatus');
+
+const LEAD_SECONDS = parseInt(process.env.KLAVIYO_TOKEN_REFRESH_LEAD_SECONDS, 10) || 10 * 60;
+const POLL_INTERVAL_MS = parseInt(process.env.KLAVIYO_TOKEN_REFRESH_POLL_MS, 10) || 60 * 1000;
+
+let pollTimer = null;
+let running = false;
+
+/**
+ * Refresh every account whose token is about to expire. Returns the number
+ * refreshed.
+ */
+async function runOnce() {
+  const accounts = await db.getExpiringKlaviyoAccounts(LEAD_SECONDS);
+  let refreshed = 0;
+
+  for (const connection of accounts) {
+    try {
+      await refreshAccountToken(connection.account_id, LEAD_SECONDS);
+      refreshed++;
+    } catch (error) {
+      console.error(`Klaviyo token refresh failed for account "${connection.account_name}":`, error.message);
+      await connectionStatus.recordFailure('klaviyo', connection, error);
+    }
+  }
+  return refreshed;
+}
+
+async function tick() {
+  if (running) return;
+  running = true;
+  try {
+    const refreshed = await runOnce();
+    if (refreshed > 0) {
+      console.log(`Refreshed ${refreshed} Klaviyo token(s)`);
+    }
+  } catch (error) {
+    console.error('Klaviyo token refresher error:', error.message);
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Start the refresher (idempotent).
+ */
+function start() {
+  if (pollTimer) return;
+  pollTimer = setInterval(tick, POLL_INTERVAL_MS);
+  pollTimer.unref();
+  console.log(`✓ Klaviyo token refresher started (renews ${LEAD_SECONDS}s before expiry)`);
+}
+
+/**
+ * Stop the refresher.
+ */
+function stop() {
+  clearInterval(pollTimer);
+  pollTimer = null;
+}
+
+module.exports = {
+  runOnce,
+  start,
+  stop,
+};
@@ -2,11 +2,17 @@
  * Mailchimp API Service
  * 
  * Handles all interactions with the Mailchimp Marketing API.
- * Requires OAuth access token and data center prefix.
+ * API calls take an `account` ({ accessToken, dataCenter, accountId }, see
+ * accountOf): the OAuth access token, data center prefix and the account
+ * id its rate limiter is keyed by.
  */
 
 const axios = require('axios');
 const crypto = require('crypto');
+const zlib = require('zlib');
+
+const { extractTarEntries } = require('../lib/tarball');
+const { createAccountLimiter } = require('../lib/accountLimiter');
 
 // Mailchimp OAuth endpoints (not data center specific)
 const OAUTH_AUTHORIZE_URL = 'https://login.mailchimp.com/oauth2/authorize';
@@ -81,13 +87,33 @@ async function getAccountMetadata(accessToken) {
   }
 }
 
+// Mailchimp allows 10 simultaneous connections per account
+const limiter = createAccountLimiter({
+  provider: 'mailchimp',
+  maxConcurrent: parseInt(process.env.MAILCHIMP_MAX_CONCURRENT, 10) || 10,
+  maxRetries: parseInt(process.env.RATE_LIMIT_MAX_RETRIES, 10) || 3
+});
+
+/**
+ * API credentials of a connection row, as the `account` argument every API
+ * call below takes: { accessToken, dataCenter, accountId }
+ */
+function accountOf(connection) {
+  return {
+    accessToken: connection.access_token,
+    dataCenter: connection.data_center,
+    accountId: connection.account_id
+  };
+}
+
 /**
- * Create a Mailchimp API client for a specific account
+ * Create a Mailchimp API client for a specific account.
+ * Calls go through the account's limiter (see lib/accountLimiter).
  */
-function createClient(accessToken, dataCenter) {
+function createClient({ accessToken, dataCenter, accountId }) {
   const baseURL = `https://${dataCenter}.api.mailchimp.com/3.0`;
   
-  return axios.create({
+  const client = axios.create({
     baseURL,
     headers: {
       'Authorization': `Bearer ${accessToken}`,
@@ -95,13 +121,22 @@ function createClient(accessToken, dataCenter) {
     },
     timeout: 30000
   });
+  
+  return limiter.wrap(client, accountId);
+}
+
+/**
+ * Per-account limiter state: [{ account_id, active, queued, paused_until }]
+ */
+function getLimiterStats() {
+  return limiter.stats();
 }
 
 /**
  * Get all audiences (lists) for an account
  */
-async function getAudiences(accessToken, dataCenter) {
-  const client = createClient(accessToken, dataCenter);
+async function getAudiences(account) {
+  const client = createClient(account);
   
   try {
     const response = await client.get('/lists', {
@@ -122,6 +157,174 @@ async function getAudiences(accessToken, dataCenter) {
   }
 }
 
+/**
+ * Get one audience, or null if it doesn't exist (deleted)
+ */
+async function getAudience(account, audienceId) {
+  const client = createClient(account);
+  
+  try {
+    const response = await client.get(`/lists/${audienceId}`, {
+      params: { fields: 'id,name' }
+    });
+    return { id: response.data.id, name: response.data.name };
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return null;
+    }
+    const err = new Error(error.response?.data?.detail || 'Failed to fetch audience');
+    err.httpStatus = error.response?.status || null;
+    throw err;
+  }
+}
+
+/**
+ * Get the GDPR marketing permissions of an audience as [{ id, text }].
+ * Mailchimp has no endpoint listing them, so they are read from one member
+ * of the audience. An audience without GDPR fields returns []; a GDPR
+ * audience without members yet returns null, as its permissions can't be
+ * read until the first member is added.
+ */
+async function getMarketingPermissions(account, audienceId) {
+  const client = createClient(account);
+  
+  try {
+    const list = await client.get(`/lists/${audienceId}`, {
+      params: { fields: 'marketing_permissions' }
+    });
+    
+    if (!list.data.marketing_permissions) {
+      return [];
+    }
+    
+    const response = await client.get(`/lists/${audienceId}/members`, {
+      params: { fields: 'members.marketing_permissions', count: 1 }
+    });
+    
+    const member = response.data.members?.[0];
+    if (!member) {
+      return null;
+    }
+    return (member.marketing_permissions || []).map(p => ({
+      id: p.marketing_permission_id,
+      text: p.text
+    }));
+  } catch (error) {
+    console.error('Failed to fetch marketing permissions:', error.response?.data || error.message);
+    const err = new Error(error.response?.data?.detail || 'Failed to fetch marketing permissions');
+    err.httpStatus = error.response?.status || null;
+    throw err;
+  }
+}
+
+/**
+ * Get an audience's merge fields as [{ tag, name, type }]
+ * GET /lists/{list_id}/merge-fields
+ */
+async function getMergeFields(account, audienceId) {
+  const client = createClient(account);
+  
+  try {
+    const response = await client.get(`/lists/${audienceId}/merge-fields`, {
+      params: {
+        fields: 'merge_fields.tag,merge_fields.name,merge_fields.type',
+        count: 1000
+      }
+    });
+    
+    return response.data.merge_fields.map(field => ({
+      tag: field.tag,
+      name: field.name,
+      type: field.type
+    }));
+  } catch (error) {
+    console.error('Failed to fetch merge fields:', error.response?.data || error.message);
+    const err = new Error(error.response?.data?.detail || 'Failed to fetch merge fields');
+    err.httpStatus = error.response?.status || null;
+    throw err;
+  }
+}
+
+/**
+ * Register a list webhook for guest-driven and admin changes (not our own
+ * API calls, which would echo every sync back)
+ * POST /lists/{list_id}/webhooks
+ */
+async function createListWebhook(account, audienceId, url) {
+  const client = createClient(account);
+  
+  try {
+    const response = await client.post(`/lists/${audienceId}/webhooks`, {
+      url,
+      events: {
+        subscribe: false,
+        unsubscribe: true,
+        profile: true,
+        cleaned: true,
+        upemail: true,
+        campaign: false
+      },
+      sources: { user: true, admin: true, api: false }
+    });
+    
+    return { id: response.data.id };
+  } catch (error) {
+    console.error('Failed to create list webhook:', error.response?.data || error.message);
+    const err = new Error(error.response?.data?.detail || 'Failed to create list webhook');
+    err.httpStatus = error.response?.status || null;
+    throw err;
+  }
+}
+
+/**
+ * Remove a list webhook; an already-deleted webhook counts as removed
+ * DELETE /lists/{list_id}/webhooks/{webhook_id}
+ */
+async function deleteListWebhook(account, audienceId, webhookId) {
+  const client = createClient(account);
+  
+  try {
+    await client.delete(`/lists/${audienceId}/webhooks/${webhookId}`);
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return;
+    }
+    const err = new Error(error.response?.data?.detail || 'Failed to delete list webhook');
+    err.httpStatus = error.response?.status || null;
+    throw err;
+  }
+}
+
+/**
+ * Add a merge field to an audience
+ * POST /lists/{list_id}/merge-fields
+ */
+async function createMergeField(account, audienceId, { tag, name, type, options }) {
+  const client = createClient(account);
+  
+  try {
+    const response = await client.post(`/lists/${audienceId}/merge-fields`, {
+      tag,
+      name,
+      type,
+      required: false,
+      public: false,
+      ...(options && { options })
+    });
+    
+    return {
+      tag: response.data.tag,
+      name: response.data.name,
+      type: response.data.type
+    };
+  } catch (error) {
+    console.error(`Failed to create merge field ${tag}:`, error.response?.data || error.message);
+    const err = new Error(error.response?.data?.detail || `Failed to create merge field ${tag}`);
+    err.httpStatus = error.response?.status || null;
+    throw err;
+  }
+}
+
 /**
  * Calculate subscriber hash (MD5 of lowercase email)
  */
@@ -133,13 +336,12 @@ function getSubscriberHash(email) {
 }
 
 /**
- * Add or update a contact in a Mailchimp audience
- * Uses PUT to /lists/{list_id}/members/{subscriber_hash}
+ * Build the member body for PUT /lists/{list_id}/members/{subscriber_hash}
+ * contact.status sets status_if_new ('subscribed', 'pending' for double
+ * opt-in, 'transactional'); existing members keep their status.
+ * contact.mergeFieldTags, if set, limits merge_fields to those tags.
  */
-async function upsertContact(accessToken, dataCenter, audienceId, contact) {
-  const client = createClient(accessToken, dataCenter);
-  const subscriberHash = getSubscriberHash(contact.email);
-  
+function buildMemberPayload(contact) {
   const payload = {
     email_address: contact.email,
     status_if_new: contact.status || 'subscribed',
@@ -162,6 +364,35 @@ async function upsertContact(accessToken, dataCenter, audienceId, contact) {
     payload.merge_fields = { ...payload.merge_fields, ...contact.mergeFields };
   }
   
+  // Drop merge fields the audience doesn't have (a single unknown tag
+  // makes Mailchimp reject the whole member)
+  if (contact.mergeFieldTags) {
+    const allowed = new Set(contact.mergeFieldTags);
+    for (const tag of Object.keys(payload.merge_fields)) {
+      if (!allowed.has(tag)) delete payload.merge_fields[tag];
+    }
+  }
+  
+  // GDPR marketing permissions the guest consented to
+  if (contact.marketingPermissionIds && contact.marketingPermissionIds.length > 0) {
+    payload.marketing_permissions = contact.marketingPermissionIds.map(id => ({
+      marketing_permission_id: id,
+      enabled: true
+    }));
+  }
+  
+  return payload;
+}
+
+/**
+ * Add or update a contact in a Mailchimp audience
+ * Uses PUT to /lists/{list_id}/members/{subscriber_hash}
+ */
+async function upsertContact(account, audienceId, contact) {
+  const client = createClient(account);
+  const subscriberHash = getSubscriberHash(contact.email);
+  const payload = buildMemberPayload(contact);
+  
   try {
     const response = await client.put(
       `/lists/${audienceId}/members/${subscriberHash}`,
@@ -177,15 +408,17 @@ async function upsertContact(accessToken, dataCenter, audienceId, contact) {
     };
   } catch (error) {
     console.error('Failed to upsert contact:', error.response?.data || error.message);
-    throw new Error(error.response?.data?.detail || 'Failed to add/update contact');
+    const err = new Error(error.response?.data?.detail || 'Failed to add/update contact');
+    err.httpStatus = error.response?.status || null;
+    throw err;
   }
 }
 
 /**
  * Add tags to a contact
  */
-async function addTagsToContact(accessToken, dataCenter, audienceId, email, tags) {
-  const client = createClient(accessToken, dataCenter);
+async function addTagsToContact(account, audienceId, email, tags) {
+  const client = createClient(account);
   const subscriberHash = getSubscriberHash(email);
   
   // Format tags for the API
@@ -203,15 +436,63 @@ async function addTagsToContact(accessToken, dataCenter, audienceId, email, tags
     return { success: true };
   } catch (error) {
     console.error('Failed to add tags:', error.response?.data || error.message);
-    throw new Error('Failed to add tags to contact');
+    const err = new Error('Failed to add tags to contact');
+    err.httpStatus = error.response?.status || null;
+    throw err;
+  }
+}
+
+/**
+ * Record a custom event on a member
+ * POST /lists/{list_id}/members/{subscriber_hash}/events
+ */
+async function addMemberEvent(account, audienceId, email, event) {
+  const client = createClient(account);
+  const subscriberHash = getSubscriberHash(email);
+  
+  try {
+    await client.post(
+      `/lists/${audienceId}/members/${subscriberHash}/events`,
+      { name: event.name, properties: event.properties }
+    );
+    
+    return { success: true };
+  } catch (error) {
+    console.error('Failed to add member event:', error.response?.data || error.message);
+    const err = new Error(error.response?.data?.detail || 'Failed to add member event');
+    err.httpStatus = error.response?.status || null;
+    throw err;
+  }
+}
+
+/**
+ * Add a note to a member
+ * POST /lists/{list_id}/members/{subscriber_hash}/notes
+ */
+async function addMemberNote(account, audienceId, email, note) {
+  const client = createClient(account);
+  const subscriberHash = getSubscriberHash(email);
+  
+  try {
+    const response = await client.post(
+      `/lists/${audienceId}/members/${subscriberHash}/notes`,
+      { note }
+    );
+    
+    return { success: true, id: response.data.id };
+  } catch (error) {
+    console.error('Failed to add member note:', error.response?.data || error.message);
+    const err = new Error(error.response?.data?.detail || 'Failed to add member note');
+    err.httpStatus = error.response?.status || null;
+    throw err;
   }
 }
 
 /**
  * Get contact by email
  */
-async function getContact(accessToken, dataCenter, audienceId, email) {
-  const client = createClient(accessToken, dataCenter);
+async function getContact(account, audienceId, email) {
+  const client = createClient(account);
   const subscriberHash = getSubscriberHash(email);
   
   try {
@@ -235,25 +516,180 @@ async function getContact(accessToken, dataCenter, audienceId, email) {
 }
 
 /**
- * Full contact sync: upsert contact and add tags
+ * Full contact sync: upsert contact and add tags, then record
+ * contact.event and contact.note if set. The member is already saved by
+ * then, so a failed event or note is reported in result.activity
+ * ('recorded' | 'failed') instead of failing the sync.
  */
-async function syncContact(accessToken, dataCenter, audienceId, contact, tags = []) {
+async function syncContact(account, audienceId, contact, tags = []) {
   // First, add/update the contact
-  const result = await upsertContact(accessToken, dataCenter, audienceId, contact);
+  const result = await upsertContact(account, audienceId, contact);
   
   // Then add tags if any are specified
   if (tags.length > 0) {
-    await addTagsToContact(accessToken, dataCenter, audienceId, contact.email, tags);
+    await addTagsToContact(account, audienceId, contact.email, tags);
+  }
+  
+  const activity = {};
+  if (contact.event) {
+    activity.event = await addMemberEvent(account, audienceId, contact.email, contact.event)
+      .then(() => 'recorded', () => 'failed');
+  }
+  if (contact.note) {
+    activity.note = await addMemberNote(account, audienceId, contact.email, contact.note)
+      .then(() => 'recorded', () => 'failed');
+  }
+  
+  return Object.keys(activity).length > 0 ? { ...result, activity } : result;
+}
+
+// =============================================================================
+// Batch Operations
+// =============================================================================
+
+/**
+ * Build the batch operations that mirror syncContact for one contact:
+ * a member upsert plus (if any) a tags call, event and note. Operation ids
+ * are `${operationPrefix}:member`, `:tags`, `:event` and `:note`.
+ */
+function buildSyncOperations(audienceId, contact, tags, operationPrefix) {
+  const subscriberHash = getSubscriberHash(contact.email);
+  const memberPath = `/lists/${audienceId}/members/${subscriberHash}`;
+  
+  const operations = [{
+    method: 'PUT',
+    path: memberPath,
+    operation_id: `${operationPrefix}:member`,
+    body: JSON.stringify(buildMemberPayload(contact))
+  }];
+  
+  if (tags.length > 0) {
+    operations.push({
+      method: 'POST',
+      path: `${memberPath}/tags`,
+      operation_id: `${operationPrefix}:tags`,
+      body: JSON.stringify({
+        tags: tags.map(tag => ({ name: tag, status: 'active' }))
+      })
+    });
+  }
+  
+  if (contact.event) {
+    operations.push({
+      method: 'POST',
+      path: `${memberPath}/events`,
+      operation_id: `${operationPrefix}:event`,
+      body: JSON.stringify({ name: contact.event.name, properties: contact.event.properties })
+    });
+  }
+  
+  if (contact.note) {
+    operations.push({
+      method: 'POST',
+      path: `${memberPath}/notes`,
+      operation_id: `${operationPrefix}:note`,
+      body: JSON.stringify({ note: contact.note })
+    });
   }
   
-  return result;
+  return operations;
+}
+
+function normalizeBatch(data) {
+  return {
+    id: data.id,
+    status: data.status,                    // pending | preprocessing | started | finalizing | finished
+    totalOperations: data.total_operations,
+    finishedOperations: data.finished_operations,
+    erroredOperations: data.errored_operations,
+    submittedAt: data.submitted_at,
+    completedAt: data.completed_at || null,
+    responseBodyUrl: data.response_body_url || null
+  };
+}
+
+/**
+ * Submit a batch of operations
+ * POST /batches
+ */
+async function createBatch(account, operations) {
+  const client = createClient(account);
+  
+  try {
+    const response = await client.post('/batches', { operations });
+    return normalizeBatch(response.data);
+  } catch (error) {
+    console.error('Failed to create batch:', error.response?.data || error.message);
+    const err = new Error(error.response?.data?.detail || 'Failed to create batch');
+    err.httpStatus = error.response?.status || null;
+    throw err;
+  }
+}
+
+/**
+ * Get batch status
+ * GET /batches/{batch_id}
+ */
+async function getBatch(account, batchId) {
+  const client = createClient(account);
+  
+  try {
+    const response = await client.get(`/batches/${batchId}`);
+    return normalizeBatch(response.data);
+  } catch (error) {
+    console.error('Failed to fetch batch:', error.response?.data || error.message);
+    const err = new Error(error.response?.data?.detail || 'Failed to fetch batch');
+    err.httpStatus = error.response?.status || null;
+    throw err;
+  }
+}
+
+/**
+ * Download the results of a finished batch.
+ * response_body_url points at a gzipped tar of JSON files, each holding an
+ * array of { operation_id, status_code, response }. The URL is pre-signed,
+ * so no Mailchimp auth header is sent.
+ */
+async function getBatchResults(responseBodyUrl) {
+  try {
+    const response = await axios.get(responseBodyUrl, {
+      responseType: 'arraybuffer',
+      timeout: 60000
+    });
+    
+    const archive = zlib.gunzipSync(Buffer.from(response.data));
+    const results = [];
+    
+    for (const entry of extractTarEntries(archive)) {
+      if (!entry.name.endsWith('.json')) continue;
+      const operations = JSON.parse(entry.data.toString('utf8'));
+      operations.forEach(op => {
+        let body = null;
+        try {
+          body = op.response ? JSON.parse(op.response) : null;
+        } catch {
+          body = op.response;
+        }
+        results.push({
+          operationId: op.operation_id,
+          statusCode: op.status_code,
+          response: body
+        });
+      });
+    }
+    
+    return results;
+  } catch (error) {
+    console.error('Failed to download batch results:', error.message);
+    throw new Error('Failed to download batch results');
+  }
 }
 
 /**
  * Validate that we can access an account (ping test)
  */
-async function pingAccount(accessToken, dataCenter) {
-  const client = createClient(accessToken, dataCenter);
+async function pingAccount(account) {
+  const client = createClient(account);
   
   try {
     const response = await client.get('/ping');
@@ -266,8 +702,8 @@ async function pingAccount(accessToken, dataCenter) {
 /**
  * Get account details
  */
-async function getAccountInfo(accessToken, dataCenter) {
-  const client = createClient(accessToken, dataCenter);
+async function getAccountInfo(account) {
+  const client = createClient(account);
   
   try {
     const response = await client.get('/');
@@ -290,15 +726,32 @@ module.exports = {
   getAccountMetadata,
   
   // Account
+  accountOf,
   createClient,
+  getLimiterStats,
   pingAccount,
   getAccountInfo,
   getAudiences,
+  getAudience,
+  getMarketingPermissions,
+  getMergeFields,
+  createMergeField,
+  createListWebhook,
+  deleteListWebhook,
   
   // Contacts
   getSubscriberHash,
+  buildMemberPayload,
   upsertContact,
   addTagsToContact,
+  addMemberEvent,
+  addMemberNote,
   getContact,
-  syncContact
+  syncContact,
+  
+  // Batch operations
+  buildSyncOperations,
+  createBatch,
+  getBatch,
+  getBatchResults
 };
@@ -0,0 +1,273 @@
+/**
+ * Durable Sync Queue
+ *
+ * Postgres-backed job queue for contact deliveries (table: sync_jobs).
+ *
+ *   1. The webhook route persists the normalized contact as a job and makes
+ *      the first delivery attempt inline (enqueueAndRun).
+ *   2. If that attempt fails with a transient error (timeout, 429, 5xx) the
+ *      job goes back to 'pending' with an exponential backoff + jitter delay.
+ *   3. The background worker claims due jobs and retries them until they
+ *      succeed or exhaust max_attempts, at which point they are dead-lettered.
+ *
+ * Only final outcomes (succeeded / dead) are written to sync_log. Only the
+ * delivery itself decides between retry and dead-letter: if saving the
+ * outcome of a delivered contact fails, that is logged and the contact is
+ * not delivered again.
+ */
+
+const db = require('../db');
+const { DELIVERERS } = require('../lib/contactSync');
+
+const MAX_ATTEMPTS = parseInt(process.env.SYNC_MAX_ATTEMPTS, 10) || 8;
+const RETRY_BASE_MS = parseInt(process.env.SYNC_RETRY_BASE_MS, 10) || 30 * 1000;
+const RETRY_MAX_MS = parseInt(process.env.SYNC_RETRY_MAX_MS, 10) || 6 * 60 * 60 * 1000;
+const POLL_INTERVAL_MS = parseInt(process.env.SYNC_WORKER_INTERVAL_MS, 10) || 5000;
+const BATCH_SIZE = parseInt(process.env.SYNC_WORKER_BATCH_SIZE, 10) || 10;
+
+// A job still 'processing' after this long is assumed orphaned (the process
+// died mid-delivery) and is reclaimed by the worker.
+const LOCK_TIMEOUT_SECONDS = 5 * 60;
+
+// Writes after a successful delivery (completing the job, sync_log) are
+// retried this many times, with a growing delay, before giving up.
+const BOOKKEEPING_ATTEMPTS = 3;
+const BOOKKEEPING_RETRY_MS = 500;
+
+// Succeeded jobs are purged after this many days; dead jobs are kept.
+const RETENTION_DAYS = parseInt(process.env.SYNC_JOB_RETENTION_DAYS, 10) || 7;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+let pollTimer = null;
+let purgeTimer = null;
+let running = false;
+
+/**
+ * Exponential backoff with "equal jitter": half the window is fixed, the
+ * other half random, so retries from one outage don't stampede together.
+ * `attempt` is the number of attempts already made (1-based).
+ */
+function computeBackoffMs(attempt) {
+  const window = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** (attempt - 1));
+  return Math.round(window / 2 + Math.random() * (window / 2));
+}
+
+/**
+ * Decide whether a delivery error is worth retrying. Network errors and
+ * timeouts have no HTTP status and are retried; 4xx other than 408/429 mean
+ * the request itself is bad and retrying won't help.
+ */
+function isRetryable(error) {
+  if (typeof error.retryable === 'boolean') return error.retryable;
+  if (error.code === 'INVALID_GRANT') return false;
+
+  const status = error.httpStatus ?? error.response?.status ?? null;
+  if (!status) return true;
+  return status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * sync_log outcome of a delivered job: 'synced', 'suppressed', or for a
+ * Mailchimp guest without email its policy's 'skipped' | 'held' | 'stored'.
+ */
+function syncOutcome(result) {
+  if (result.deferred) return result.status;
+  return result.suppressed ? 'suppressed' : 'synced';
+}
+
+/**
+ * Run a job's provider deliverer. Only errors thrown here decide between
+ * retry and dead-letter.
+ */
+async function deliverJob(job) {
+  const deliver = DELIVERERS[job.provider];
+  if (!deliver) {
+    const err = new Error(`Unknown sync provider: ${job.provider}`);
+    err.retryable = false;
+    throw err;
+  }
+  return deliver(job.payload);
+}
+
+/**
+ * Run a bookkeeping write, retrying briefly. A failure is logged and
+ * swallowed: the contact was already delivered, and delivering it again
+ * would repeat writes that aren't idempotent (visit events, member notes).
+ */
+async function recordBookkeeping(job, label, write) {
+  for (let attempt = 1; attempt <= BOOKKEEPING_ATTEMPTS; attempt++) {
+    try {
+      await write();
+      return true;
+    } catch (error) {
+      if (attempt === BOOKKEEPING_ATTEMPTS) {
+        console.error(`Sync job ${job.id} (${job.provider}) delivered, but ${label} failed: ${error.message}`);
+        return false;
+      }
+      await new Promise(resolve => setTimeout(resolve, BOOKKEEPING_RETRY_MS * attempt));
+    }
+  }
+  return false;
+}
+
+/**
+ * Reschedule a failed job, or dead-letter it once retrying can't help.
+ */
+async function failJob(job, error) {
+  if (isRetryable(error) && job.attempts < job.max_attempts) {
+    const nextAttemptAt = new Date(Date.now() + computeBackoffMs(job.attempts));
+    await db.rescheduleSyncJob(job.id, error.message, nextAttemptAt);
+    console.warn(`Sync job ${job.id} (${job.provider}) attempt ${job.attempts}/${job.max_attempts} failed, retrying at ${nextAttemptAt.toISOString()}: ${error.message}`);
+    return { status: 'retrying', error, nextAttemptAt };
+  }
+
+  await db.deadLetterSyncJob(job.id, error.message);
+  await db.logSync({
+    macAddress: job.mac_address,
+    email: job.email,
+    success: false,
+    errorMessage: error.message,
+    provider: job.provider,
+    payload: job.payload,
+  });
+  console.error(`Sync job ${job.id} (${job.provider}) dead-lettered after ${job.attempts} attempt(s): ${error.message}`);
+  return { status: 'dead', error };
+}
+
+/**
+ * Run one claimed job through its provider deliverer and record the outcome.
+ * Never throws for delivery errors; returns { status, result?, error?, nextAttemptAt? }
+ * where status is 'succeeded' | 'retrying' | 'dead'. Once delivery
+ * succeeded the job is 'succeeded', even if saving that fails.
+ */
+async function processJob(job) {
+  let result;
+  try {
+    result = await deliverJob(job);
+  } catch (error) {
+    return failJob(job, error);
+  }
+
+  await recordBookkeeping(job, 'completing the job', () => db.completeSyncJob(job.id, result));
+  await recordBookkeeping(job, 'logging the sync', () => db.logSync({
+    macAddress: job.mac_address,
+    email: job.email,
+    success: true,
+    outcome: syncOutcome(result),
+    provider: job.provider,
+  }));
+  return { status: 'succeeded', result };
+}
+
+/**
+ * Persist a job for the worker to deliver later.
+ */
+async function enqueue(provider, payload) {
+  return db.createSyncJob({
+    provider,
+    macAddress: payload.mac_address,
+    email: payload.email,
+    payload,
+    maxAttempts: MAX_ATTEMPTS,
+  });
+}
+
+/**
+ * Persist a job already claimed by the caller, then make the first delivery
+ * attempt inline. Returns { job, outcome } — see processJob for the outcome.
+ */
+async function enqueueAndRun(provider, payload) {
+  const job = await db.createSyncJob({
+    provider,
+    macAddress: payload.mac_address,
+    email: payload.email,
+    payload,
+    maxAttempts: MAX_ATTEMPTS,
+    claim: true,
+  });
+
+  const outcome = await processJob(job);
+  return { job, outcome };
+}
+
+/**
+ * Claim and process one batch of due jobs. Returns the number processed.
+ */
+async function runOnce() {
+  const jobs = await db.claimSyncJobs(BATCH_SIZE, LOCK_TIMEOUT_SECONDS);
+  for (const job of jobs) {
+    await processJob(job);
+  }
+  return jobs.length;
+}
+
+async function tick() {
+  if (running) return;
+  running = true;
+  try {
+    // Keep draining while full batches come back, then wait for the next poll.
+    let processed;
+    do {
+      processed = await runOnce();
+    } while (processed === BATCH_SIZE && pollTimer);
+  } catch (error) {
+    console.error('Sync worker error:', error.message);
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Hourly housekeeping: drop succeeded jobs past retention and webhook
+ * idempotency keys past their window.
+ */
+async function purge() {
+  try {
+    const purged = await db.purgeCompletedSyncJobs(RETENTION_DAYS);
+    if (purged > 0) {
+      console.log(`Purged ${purged} completed sync job(s)`);
+    }
+    const expiredKeys = await db.purgeExpiredIdempotencyKeys();
+    if (expiredKeys > 0) {
+      console.log(`Purged ${expiredKeys} expired idempotency key(s)`);
+    }
+  } catch (error) {
+    console.error('Sync job purge error:', error.message);
+  }
+}
+
+/**
+ * Start the background worker (idempotent).
+ */
+function start() {
+  if (pollTimer) return;
+  pollTimer = setInterval(tick, POLL_INTERVAL_MS);
+  purgeTimer = setInterval(purge, PURGE_INTERVAL_MS);
+  pollTimer.unref();
+  purgeTimer.unref();
+  console.log(`✓ Sync worker started (poll ${POLL_INTERVAL_MS}ms, max ${MAX_ATTEMPTS} attempts)`);
+}
+
+/**
+ * Stop the background worker.
+ */
+function stop() {
+  clearInterval(pollTimer);
+  clearInterval(purgeTimer);
+  pollTimer = null;
+  purgeTimer = null;
+}
+
+module.exports = {
+  enqueue,
+  enqueueAndRun,
+  processJob,
+  runOnce,
+  start,
+  stop,
+
+  // Exported for visibility
+  computeBackoffMs,
+  isRetryable,
+  MAX_ATTEMPTS,
+};